@@ -0,0 +1,414 @@
+"use client";
+
+import { useState, useRef, useEffect, useCallback } from "react";
+import {
+  X,
+  ZoomIn,
+  ZoomOut,
+  Maximize,
+  Columns2,
+  Repeat,
+  RefreshCw,
+} from "lucide-react";
+import { OUTPUT_FORMATS, INPUT_FORMATS, rasterizeSvg } from "@/lib/formats";
+import { hasEdits, renderEdited } from "@/lib/edits";
+import { changesBackground, trimAndPad } from "@/lib/background";
+import { computeResizeLayout } from "@/lib/resize";
+import { formatSize } from "@/lib/utils";
+
+const MIN_ZOOM = 0.05;
+// 16 screen pixels per image pixel is plenty to inspect individual pixels.
+const MAX_ZOOM = 16;
+const FLICKER_INTERVAL = 700;
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+const createCanvas = (width, height) =>
+  Object.assign(document.createElement("canvas"), { width, height });
+
+// The original goes through the same edits, trim/pad and resize layout as
+// the conversion did, so it lines up with the converted image. Watermarks
+// and flattening are left off; they're part of what's being compared.
+const renderOriginal = async (file, image) => {
+  const { settings } = image;
+  const bitmap =
+    INPUT_FORMATS[image.sourceFormat].decoder === "main-thread"
+      ? await rasterizeSvg(file, settings.svgWidth)
+      : await createImageBitmap(file, {
+          imageOrientation: settings.metadata.applyOrientation
+            ? "from-image"
+            : "none",
+        });
+  let source = hasEdits(image.edits)
+    ? renderEdited(bitmap, image.edits, createCanvas)
+    : bitmap;
+  if (changesBackground(settings.background)) {
+    // Animations aren't trimmed; each frame would trim differently.
+    source = trimAndPad(source, settings.background, createCanvas, {
+      trim: image.outputFrameCount > 1 ? false : settings.background.trim,
+    });
+  }
+  const layout = computeResizeLayout(
+    source.width,
+    source.height,
+    settings.resize
+  );
+  const canvas = createCanvas(layout.width, layout.height);
+  const ctx = canvas.getContext("2d");
+  ctx.imageSmoothingQuality = "high";
+  ctx.drawImage(
+    source,
+    layout.sx,
+    layout.sy,
+    layout.sw,
+    layout.sh,
+    layout.dx,
+    layout.dy,
+    layout.dw,
+    layout.dh
+  );
+  bitmap.close();
+  return canvas;
+};
+
+// --- Component: Before/After Comparison ---
+// Both images are drawn at the output's pixel size inside one transformed
+// stage, so zoom and pan always stay in sync between them. A kept original
+// goes through no edits or resizing, so it's compared with itself as is.
+export default function ComparisonModal({
+  image,
+  file,
+  defaultQuality,
+  onReencode,
+  onClose,
+}) {
+  const [original, setOriginal] = useState(null);
+  const [originalFailed, setOriginalFailed] = useState(false);
+  const [mode, setMode] = useState("split");
+  const [split, setSplit] = useState(50);
+  const [showConverted, setShowConverted] = useState(true);
+  const [view, setView] = useState({ scale: 1, x: 0, y: 0 });
+  const [quality, setQuality] = useState(image.quality ?? defaultQuality);
+  const viewportRef = useRef(null);
+  const originalRef = useRef(null);
+  const dragRef = useRef(null);
+
+  const format = OUTPUT_FORMATS[image.outputFormat];
+  // Under the "never larger" policy the result may be the original file.
+  const formatLabel = image.keptOriginal
+    ? `original ${INPUT_FORMATS[image.sourceFormat].label}`
+    : format.label;
+  const isConverting = image.status === "converting";
+
+  const { sourceFormat, settings, edits, outputFrameCount } = image;
+  useEffect(() => {
+    let cancelled = false;
+    renderOriginal(file, { sourceFormat, settings, edits, outputFrameCount })
+      .then((canvas) => !cancelled && setOriginal(canvas))
+      .catch(() => !cancelled && setOriginalFailed(true));
+    return () => {
+      cancelled = true;
+    };
+  }, [file, sourceFormat, settings, edits, outputFrameCount]);
+
+  useEffect(() => {
+    const target = originalRef.current;
+    if (!original || !target) return;
+    target.width = original.width;
+    target.height = original.height;
+    target.getContext("2d").drawImage(original, 0, 0);
+  }, [original]);
+
+  const fitToView = useCallback(() => {
+    const viewport = viewportRef.current;
+    if (!viewport || !image.width) return;
+    const scale = Math.min(
+      viewport.clientWidth / image.width,
+      viewport.clientHeight / image.height,
+      1
+    );
+    setView({
+      scale,
+      x: (viewport.clientWidth - image.width * scale) / 2,
+      y: (viewport.clientHeight - image.height * scale) / 2,
+    });
+  }, [image.width, image.height]);
+
+  useEffect(() => {
+    fitToView();
+  }, [fitToView]);
+
+  const zoomAt = useCallback((factor, pointX, pointY) => {
+    setView((prev) => {
+      const scale = clamp(prev.scale * factor, MIN_ZOOM, MAX_ZOOM);
+      const ratio = scale / prev.scale;
+      return {
+        scale,
+        x: pointX - (pointX - prev.x) * ratio,
+        y: pointY - (pointY - prev.y) * ratio,
+      };
+    });
+  }, []);
+
+  const zoomAtCenter = (factor) => {
+    const viewport = viewportRef.current;
+    zoomAt(factor, viewport.clientWidth / 2, viewport.clientHeight / 2);
+  };
+
+  const showActualPixels = () => zoomAtCenter(1 / view.scale);
+
+  // React registers wheel listeners as passive, which rules out preventDefault.
+  useEffect(() => {
+    const viewport = viewportRef.current;
+    const handleWheel = (e) => {
+      e.preventDefault();
+      const rect = viewport.getBoundingClientRect();
+      zoomAt(
+        e.deltaY < 0 ? 1.2 : 1 / 1.2,
+        e.clientX - rect.left,
+        e.clientY - rect.top
+      );
+    };
+    viewport.addEventListener("wheel", handleWheel, { passive: false });
+    return () => viewport.removeEventListener("wheel", handleWheel);
+  }, [zoomAt]);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === "Escape") onClose();
+    };
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [onClose]);
+
+  useEffect(() => {
+    if (mode !== "flicker") return;
+    const interval = setInterval(
+      () => setShowConverted((prev) => !prev),
+      FLICKER_INTERVAL
+    );
+    return () => clearInterval(interval);
+  }, [mode]);
+
+  const updateSplit = (clientX) => {
+    const rect = viewportRef.current.getBoundingClientRect();
+    const imageX = (clientX - rect.left - view.x) / view.scale;
+    setSplit(clamp((imageX / image.width) * 100, 0, 100));
+  };
+
+  const handlePointerDown = (e) => {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    dragRef.current = e.target.dataset.splitHandle ? "split" : "pan";
+    if (dragRef.current === "split") updateSplit(e.clientX);
+  };
+
+  const handlePointerMove = (e) => {
+    if (dragRef.current === "split") {
+      updateSplit(e.clientX);
+    } else if (dragRef.current === "pan") {
+      setView((prev) => ({
+        ...prev,
+        x: prev.x + e.movementX,
+        y: prev.y + e.movementY,
+      }));
+    }
+  };
+
+  const handlePointerUp = () => {
+    dragRef.current = null;
+  };
+
+  const imageStyle = {
+    position: "absolute",
+    inset: 0,
+    width: "100%",
+    height: "100%",
+    imageRendering: view.scale >= 2 ? "pixelated" : "auto",
+  };
+  const converted = (
+    <img
+      src={image.convertedUrl}
+      alt={`${image.originalName} converted`}
+      draggable={false}
+      style={{
+        ...imageStyle,
+        clipPath: mode === "split" ? `inset(0 0 0 ${split}%)` : "none",
+        visibility: mode === "split" || showConverted ? "visible" : "hidden",
+      }}
+    />
+  );
+
+  return (
+    <div
+      className="fixed inset-0 z-50 bg-slate-900/80 backdrop-blur-sm flex items-center justify-center p-4"
+      onClick={onClose}
+    >
+      <div
+        className="bg-white rounded-2xl shadow-2xl w-full max-w-6xl h-[90vh] flex flex-col overflow-hidden"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between gap-4 p-4 border-b border-slate-200">
+          <div className="min-w-0">
+            <h2 className="font-semibold text-slate-800 truncate">
+              {image.originalName}
+            </h2>
+            <p className="text-xs text-slate-500">
+              {formatSize(image.originalSize)} &rarr;{" "}
+              {formatSize(image.convertedSize)} {formatLabel} · {image.width}×
+              {image.height} · {Math.round(view.scale * 100)}%
+            </p>
+          </div>
+          <div className="flex items-center gap-1">
+            <button
+              onClick={() => setMode("split")}
+              className={`p-2 rounded-lg ${
+                mode === "split"
+                  ? "bg-indigo-100 text-indigo-600"
+                  : "text-slate-500 hover:bg-slate-100"
+              }`}
+              title="Split view"
+            >
+              <Columns2 size={18} />
+            </button>
+            <button
+              onClick={() => setMode("flicker")}
+              className={`p-2 rounded-lg ${
+                mode === "flicker"
+                  ? "bg-indigo-100 text-indigo-600"
+                  : "text-slate-500 hover:bg-slate-100"
+              }`}
+              title="Flicker between original and converted"
+            >
+              <Repeat size={18} />
+            </button>
+            <span className="w-px h-6 bg-slate-200 mx-1" />
+            <button
+              onClick={() => zoomAtCenter(1 / 1.5)}
+              className="p-2 rounded-lg text-slate-500 hover:bg-slate-100"
+              title="Zoom out"
+            >
+              <ZoomOut size={18} />
+            </button>
+            <button
+              onClick={() => zoomAtCenter(1.5)}
+              className="p-2 rounded-lg text-slate-500 hover:bg-slate-100"
+              title="Zoom in"
+            >
+              <ZoomIn size={18} />
+            </button>
+            <button
+              onClick={showActualPixels}
+              className="px-2 py-1 rounded-lg text-xs font-bold text-slate-500 hover:bg-slate-100"
+              title="Actual pixels"
+            >
+              1:1
+            </button>
+            <button
+              onClick={fitToView}
+              className="p-2 rounded-lg text-slate-500 hover:bg-slate-100"
+              title="Fit to view"
+            >
+              <Maximize size={18} />
+            </button>
+            <span className="w-px h-6 bg-slate-200 mx-1" />
+            <button
+              onClick={onClose}
+              className="p-2 rounded-lg text-slate-400 hover:text-red-500 hover:bg-red-100"
+              title="Close"
+            >
+              <X size={18} />
+            </button>
+          </div>
+        </div>
+
+        <div
+          ref={viewportRef}
+          className="relative flex-grow overflow-hidden bg-[repeating-conic-gradient(#e2e8f0_0%_25%,#f8fafc_0%_50%)] bg-[length:20px_20px] cursor-grab active:cursor-grabbing touch-none select-none"
+          onPointerDown={handlePointerDown}
+          onPointerMove={handlePointerMove}
+          onPointerUp={handlePointerUp}
+          onPointerCancel={handlePointerUp}
+        >
+          <div
+            style={{
+              position: "absolute",
+              left: 0,
+              top: 0,
+              width: image.width,
+              height: image.height,
+              transform: `translate(${view.x}px, ${view.y}px) scale(${view.scale})`,
+              transformOrigin: "0 0",
+            }}
+          >
+            {original && (
+              <canvas
+                ref={originalRef}
+                aria-label={`${image.originalName} original`}
+                style={imageStyle}
+              />
+            )}
+            {converted}
+          </div>
+
+          {mode === "split" && (
+            <div
+              data-split-handle="true"
+              className="absolute top-0 bottom-0 w-4 -ml-2 cursor-ew-resize flex justify-center"
+              style={{
+                left: view.x + (split / 100) * image.width * view.scale,
+              }}
+            >
+              <div
+                data-split-handle="true"
+                className="w-0.5 h-full bg-white shadow-[0_0_4px_rgba(0,0,0,0.5)]"
+              />
+            </div>
+          )}
+
+          <span className="absolute top-3 left-3 text-xs font-semibold bg-slate-900/70 text-white px-2 py-1 rounded">
+            {mode === "flicker" && showConverted
+              ? `Converted (${formatLabel})`
+              : "Original"}
+          </span>
+          {mode === "split" && (
+            <span className="absolute top-3 right-3 text-xs font-semibold bg-slate-900/70 text-white px-2 py-1 rounded">
+              Converted ({formatLabel})
+            </span>
+          )}
+          {originalFailed && (
+            <span className="absolute bottom-3 left-3 text-xs bg-amber-100 text-amber-700 px-2 py-1 rounded">
+              This browser can&apos;t display the original file.
+            </span>
+          )}
+        </div>
+
+        {format.lossy && (
+          <div className="flex flex-col sm:flex-row items-center gap-4 p-4 border-t border-slate-200">
+            <label className="flex-grow w-full text-sm font-medium text-slate-600">
+              Quality for this image:{" "}
+              <span className="font-bold text-indigo-600">{quality}</span>
+              <input
+                type="range"
+                min="0"
+                max="100"
+                value={quality}
+                onChange={(e) => setQuality(Number(e.target.value))}
+                className="w-full h-2 bg-slate-200 rounded-lg appearance-none cursor-pointer accent-indigo-600 mt-2"
+              />
+            </label>
+            <button
+              onClick={() => onReencode(image.id, quality)}
+              disabled={isConverting}
+              className="flex-shrink-0 bg-indigo-600 text-white font-bold py-2 px-4 rounded-lg hover:bg-indigo-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center text-sm"
+            >
+              <RefreshCw
+                className={`mr-2 h-4 w-4 ${isConverting ? "animate-spin" : ""}`}
+              />
+              {isConverting ? "Re-encoding..." : "Re-encode"}
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
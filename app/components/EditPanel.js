@@ -0,0 +1,386 @@
+"use client";
+
+import { useState, useRef, useEffect } from "react";
+import {
+  X,
+  RotateCcw,
+  RotateCw,
+  FlipHorizontal2,
+  FlipVertical2,
+  Undo2,
+  Copy,
+} from "lucide-react";
+import { INPUT_FORMATS, rasterizeSvg } from "@/lib/formats";
+import {
+  DEFAULT_EDITS,
+  MAX_STRAIGHTEN,
+  CROP_ASPECTS,
+  centeredCrop,
+  renderEdited,
+} from "@/lib/edits";
+
+// The preview works on a downscaled copy; edits are resolution independent.
+const PREVIEW_SIZE = 1200;
+// Smallest crop, as a fraction of either side.
+const MIN_CROP = 0.02;
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+const decodePreview = async (file, sourceFormat) => {
+  const bitmap =
+    INPUT_FORMATS[sourceFormat].decoder === "main-thread"
+      ? await rasterizeSvg(file, PREVIEW_SIZE)
+      : await createImageBitmap(file);
+  if (Math.max(bitmap.width, bitmap.height) <= PREVIEW_SIZE) return bitmap;
+  const scale = PREVIEW_SIZE / Math.max(bitmap.width, bitmap.height);
+  const preview = await createImageBitmap(bitmap, {
+    resizeWidth: Math.round(bitmap.width * scale),
+    resizeHeight: Math.round(bitmap.height * scale),
+    resizeQuality: "high",
+  });
+  bitmap.close();
+  return preview;
+};
+
+// Drags one corner while the opposite one stays put. With a fixed aspect the
+// height follows the width; `frameAspect` converts between the fractions of
+// a non-square frame.
+const resizeCrop = (start, handle, dx, dy, frameAspect) => {
+  const right = start.x + start.width;
+  const bottom = start.y + start.height;
+  let x1 = handle.includes("w")
+    ? clamp(start.x + dx, 0, right - MIN_CROP)
+    : start.x;
+  let x2 = handle.includes("e") ? clamp(right + dx, x1 + MIN_CROP, 1) : right;
+  let y1 = handle.includes("n")
+    ? clamp(start.y + dy, 0, bottom - MIN_CROP)
+    : start.y;
+  let y2 = handle.includes("s") ? clamp(bottom + dy, y1 + MIN_CROP, 1) : bottom;
+  if (start.aspect) {
+    const toHeight = frameAspect / start.aspect;
+    const room = handle.includes("n") ? y2 : 1 - y1;
+    const width = Math.min(x2 - x1, room / toHeight);
+    if (handle.includes("w")) x1 = x2 - width;
+    else x2 = x1 + width;
+    if (handle.includes("n")) y1 = y2 - width * toHeight;
+    else y2 = y1 + width * toHeight;
+  }
+  return { ...start, x: x1, y: y1, width: x2 - x1, height: y2 - y1 };
+};
+
+const HANDLES = ["nw", "ne", "sw", "se"];
+const HANDLE_POSITIONS = {
+  nw: "-left-1.5 -top-1.5 cursor-nwse-resize",
+  ne: "-right-1.5 -top-1.5 cursor-nesw-resize",
+  sw: "-left-1.5 -bottom-1.5 cursor-nesw-resize",
+  se: "-right-1.5 -bottom-1.5 cursor-nwse-resize",
+};
+
+// --- Component: Crop / Rotate / Flip Editor ---
+// Edits are only parameters; nothing is applied until the image converts.
+export default function EditPanel({
+  image,
+  file,
+  selectedCount,
+  onSave,
+  onClose,
+}) {
+  const [edits, setEdits] = useState(image.edits ?? DEFAULT_EDITS);
+  const [preview, setPreview] = useState(null);
+  const [previewFailed, setPreviewFailed] = useState(false);
+  const [frame, setFrame] = useState(null);
+  const canvasRef = useRef(null);
+  const frameRef = useRef(null);
+  const dragRef = useRef(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    let bitmap = null;
+    decodePreview(file, image.sourceFormat)
+      .then((result) => {
+        bitmap = result;
+        if (cancelled) bitmap.close();
+        else setPreview(result);
+      })
+      .catch(() => setPreviewFailed(true));
+    return () => {
+      cancelled = true;
+      bitmap?.close();
+    };
+  }, [file, image.sourceFormat]);
+
+  // The crop is drawn as an overlay, so it doesn't need a redraw.
+  const { rotate, straighten, flipHorizontal, flipVertical } = edits;
+  useEffect(() => {
+    if (!preview) return;
+    const canvas = renderEdited(
+      preview,
+      { rotate, straighten, flipHorizontal, flipVertical, crop: null },
+      (width, height) => {
+        const target = canvasRef.current;
+        target.width = width;
+        target.height = height;
+        return target;
+      },
+      { crop: false }
+    );
+    setFrame({ width: canvas.width, height: canvas.height });
+  }, [preview, rotate, straighten, flipHorizontal, flipVertical]);
+
+  const update = (changes) => setEdits((prev) => ({ ...prev, ...changes }));
+
+  const aspectKey =
+    edits.crop === null
+      ? "none"
+      : Object.keys(CROP_ASPECTS).find(
+          (key) => CROP_ASPECTS[key].ratio === edits.crop.aspect
+        ) ?? "free";
+
+  const changeAspect = (key) => {
+    if (key === "none" || !frame) {
+      update({ crop: null });
+      return;
+    }
+    update({
+      crop: centeredCrop(frame.width, frame.height, CROP_ASPECTS[key].ratio),
+    });
+  };
+
+  // A quarter turn swaps the frame's sides, so the crop starts over.
+  const turn = (quarters) =>
+    setEdits((prev) => ({
+      ...prev,
+      rotate: (prev.rotate + quarters + 4) % 4,
+      crop:
+        prev.crop && frame
+          ? centeredCrop(frame.height, frame.width, prev.crop.aspect)
+          : null,
+    }));
+
+  // Flipping mirrors the crop along with the image.
+  const flip = (axis) =>
+    setEdits((prev) => ({
+      ...prev,
+      [axis === "x" ? "flipHorizontal" : "flipVertical"]:
+        axis === "x" ? !prev.flipHorizontal : !prev.flipVertical,
+      crop: prev.crop && {
+        ...prev.crop,
+        ...(axis === "x"
+          ? { x: 1 - prev.crop.x - prev.crop.width }
+          : { y: 1 - prev.crop.y - prev.crop.height }),
+      },
+    }));
+
+  const handlePointerDown = (e, handle) => {
+    e.preventDefault();
+    e.stopPropagation();
+    e.currentTarget.setPointerCapture(e.pointerId);
+    dragRef.current = {
+      handle,
+      startX: e.clientX,
+      startY: e.clientY,
+      crop: edits.crop,
+      rect: frameRef.current.getBoundingClientRect(),
+    };
+  };
+
+  const handlePointerMove = (e) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    const dx = (e.clientX - drag.startX) / drag.rect.width;
+    const dy = (e.clientY - drag.startY) / drag.rect.height;
+    const { crop } = drag;
+    update({
+      crop:
+        drag.handle === "move"
+          ? {
+              ...crop,
+              x: clamp(crop.x + dx, 0, 1 - crop.width),
+              y: clamp(crop.y + dy, 0, 1 - crop.height),
+            }
+          : resizeCrop(
+              crop,
+              drag.handle,
+              dx,
+              dy,
+              drag.rect.width / drag.rect.height
+            ),
+    });
+  };
+
+  const handlePointerUp = () => {
+    dragRef.current = null;
+  };
+
+  const buttonClass = (active) =>
+    `p-2 rounded-lg ${
+      active
+        ? "bg-indigo-100 text-indigo-600"
+        : "text-slate-500 hover:bg-slate-100"
+    }`;
+
+  return (
+    <div
+      className="fixed inset-0 z-50 bg-slate-900/80 backdrop-blur-sm flex items-center justify-center p-4"
+      onClick={onClose}
+    >
+      <div
+        className="bg-white rounded-2xl shadow-2xl w-full max-w-5xl max-h-[90vh] flex flex-col overflow-hidden"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between gap-4 p-4 border-b border-slate-200">
+          <h2 className="font-semibold text-slate-800 truncate">
+            Edit {image.originalName}
+          </h2>
+          <div className="flex items-center gap-1">
+            <button
+              onClick={() => turn(-1)}
+              className={buttonClass(false)}
+              title="Rotate left"
+            >
+              <RotateCcw size={18} />
+            </button>
+            <button
+              onClick={() => turn(1)}
+              className={buttonClass(false)}
+              title="Rotate right"
+            >
+              <RotateCw size={18} />
+            </button>
+            <button
+              onClick={() => flip("x")}
+              className={buttonClass(edits.flipHorizontal)}
+              title="Flip horizontally"
+            >
+              <FlipHorizontal2 size={18} />
+            </button>
+            <button
+              onClick={() => flip("y")}
+              className={buttonClass(edits.flipVertical)}
+              title="Flip vertically"
+            >
+              <FlipVertical2 size={18} />
+            </button>
+            <button
+              onClick={() => setEdits(DEFAULT_EDITS)}
+              className={buttonClass(false)}
+              title="Reset all edits"
+            >
+              <Undo2 size={18} />
+            </button>
+            <span className="w-px h-6 bg-slate-200 mx-1" />
+            <button
+              onClick={onClose}
+              className="p-2 rounded-lg text-slate-500 hover:bg-slate-100"
+              title="Close"
+            >
+              <X size={18} />
+            </button>
+          </div>
+        </div>
+
+        <div className="flex-grow min-h-0 flex items-center justify-center bg-slate-100 p-4 overflow-hidden">
+          {previewFailed ? (
+            <p className="text-sm text-slate-500 text-center">
+              This browser can&apos;t preview the file, but rotation and flips
+              will still be applied when it converts.
+            </p>
+          ) : (
+            <div
+              ref={frameRef}
+              className="relative select-none touch-none"
+              onPointerMove={handlePointerMove}
+              onPointerUp={handlePointerUp}
+              onPointerCancel={handlePointerUp}
+            >
+              <canvas
+                ref={canvasRef}
+                className="block max-w-full max-h-[55vh]"
+              />
+              {edits.crop && frame && (
+                <div
+                  className="absolute border-2 border-white cursor-move shadow-[0_0_0_9999px_rgba(15,23,42,0.55)]"
+                  style={{
+                    left: `${edits.crop.x * 100}%`,
+                    top: `${edits.crop.y * 100}%`,
+                    width: `${edits.crop.width * 100}%`,
+                    height: `${edits.crop.height * 100}%`,
+                  }}
+                  onPointerDown={(e) => handlePointerDown(e, "move")}
+                >
+                  {HANDLES.map((handle) => (
+                    <span
+                      key={handle}
+                      className={`absolute w-3 h-3 bg-white rounded-sm shadow ${HANDLE_POSITIONS[handle]}`}
+                      onPointerDown={(e) => handlePointerDown(e, handle)}
+                    />
+                  ))}
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 p-4 border-t border-slate-200">
+          <label className="text-sm font-medium text-slate-600">
+            Straighten:{" "}
+            <span className="font-bold text-indigo-600">
+              {edits.straighten.toFixed(1)}°
+            </span>
+            <input
+              type="range"
+              min={-MAX_STRAIGHTEN}
+              max={MAX_STRAIGHTEN}
+              step="0.1"
+              value={edits.straighten}
+              onChange={(e) => update({ straighten: Number(e.target.value) })}
+              onDoubleClick={() => update({ straighten: 0 })}
+              className="w-full h-2 bg-slate-200 rounded-lg appearance-none cursor-pointer accent-indigo-600 mt-2"
+            />
+          </label>
+          <label className="text-sm font-medium text-slate-600">
+            Crop
+            <select
+              value={aspectKey}
+              onChange={(e) => changeAspect(e.target.value)}
+              disabled={!frame}
+              className="w-full mt-1 p-2 text-sm bg-white border border-slate-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500 disabled:opacity-50"
+            >
+              <option value="none">No crop</option>
+              {Object.entries(CROP_ASPECTS).map(([key, { label }]) => (
+                <option key={key} value={key}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </label>
+        </div>
+
+        <div className="flex flex-wrap justify-end gap-2 px-4 pb-4">
+          <button
+            onClick={onClose}
+            className="bg-slate-200 text-slate-700 font-bold py-2 px-4 rounded-lg hover:bg-slate-300 transition-colors text-sm"
+          >
+            Cancel
+          </button>
+          {selectedCount > 0 && (
+            <button
+              onClick={() => onSave(edits, true)}
+              className="bg-slate-200 text-slate-700 font-bold py-2 px-4 rounded-lg hover:bg-slate-300 transition-colors flex items-center text-sm"
+              title="Save these edits here and on every selected image"
+            >
+              <Copy className="mr-2 h-4 w-4" /> Save and copy to {selectedCount}{" "}
+              selected
+            </button>
+          )}
+          <button
+            onClick={() => onSave(edits, false)}
+            className="bg-indigo-600 text-white font-bold py-2 px-4 rounded-lg hover:bg-indigo-700 transition-colors text-sm"
+          >
+            Save edits
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,135 @@
+"use client";
+
+import { Search, Trash2, RotateCcw, RefreshCw, Archive, X } from "lucide-react";
+import { STATUS_FILTERS, SORT_OPTIONS } from "@/lib/list-view";
+
+const BulkButton = ({ icon: Icon, label, onClick, disabled, danger }) => (
+  <button
+    onClick={onClick}
+    disabled={disabled}
+    className={`flex items-center text-xs font-medium px-2 py-1 rounded-lg disabled:opacity-40 disabled:pointer-events-none ${
+      danger
+        ? "text-red-600 hover:bg-red-100"
+        : "text-slate-600 hover:bg-indigo-100 hover:text-indigo-700"
+    }`}
+  >
+    <Icon size={14} className="mr-1" /> {label}
+  </button>
+);
+
+// --- Component: List Filters and Bulk Actions ---
+// Selection survives filtering: "select all" adds the rows currently shown,
+// and bulk actions apply to everything selected.
+export default function ListToolbar({
+  view,
+  onViewChange,
+  counts,
+  shownCount,
+  selection,
+  onToggleSelectAll,
+  onClearSelection,
+  onRemove,
+  onRetry,
+  onReconvert,
+  onDownload,
+  isZipping,
+}) {
+  const hasSelection = selection.count > 0;
+  return (
+    <div className="bg-white/80 p-3 rounded-xl shadow-sm border border-slate-200/80 space-y-3">
+      <div className="flex flex-wrap items-center gap-2">
+        <div className="flex flex-wrap gap-1">
+          {Object.entries(STATUS_FILTERS).map(([status, label]) => (
+            <button
+              key={status}
+              onClick={() => onViewChange({ status })}
+              className={`text-xs font-medium px-2 py-1 rounded-full ${
+                view.status === status
+                  ? "bg-indigo-600 text-white"
+                  : "bg-slate-100 text-slate-600 hover:bg-indigo-100"
+              }`}
+            >
+              {label} ({counts[status]})
+            </button>
+          ))}
+        </div>
+        <label className="relative flex-grow min-w-[10rem]">
+          <Search
+            size={14}
+            className="absolute left-2 top-1/2 -translate-y-1/2 text-slate-400"
+          />
+          <input
+            type="search"
+            value={view.query}
+            onChange={(e) => onViewChange({ query: e.target.value })}
+            placeholder="Search by name"
+            className="w-full pl-7 pr-2 py-1.5 text-sm bg-white border border-slate-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500"
+          />
+        </label>
+        <select
+          value={view.sort}
+          onChange={(e) => onViewChange({ sort: e.target.value })}
+          className="py-1.5 px-2 text-sm bg-white border border-slate-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500"
+          title="Sort"
+        >
+          {Object.entries(SORT_OPTIONS).map(([key, label]) => (
+            <option key={key} value={key}>
+              {label}
+            </option>
+          ))}
+        </select>
+      </div>
+      <div className="flex flex-wrap items-center gap-2">
+        <label className="flex items-center gap-2 text-sm text-slate-600 mr-2">
+          <input
+            type="checkbox"
+            checked={selection.shown === "all"}
+            ref={(node) => {
+              if (node) node.indeterminate = selection.shown === "some";
+            }}
+            disabled={shownCount === 0}
+            onChange={onToggleSelectAll}
+            className="accent-indigo-600"
+          />
+          {hasSelection
+            ? `${selection.count} selected`
+            : `Select all ${shownCount} shown`}
+        </label>
+        <BulkButton
+          icon={RotateCcw}
+          label={`Retry failed (${selection.failed})`}
+          onClick={onRetry}
+          disabled={selection.failed === 0}
+        />
+        <BulkButton
+          icon={RefreshCw}
+          label="Re-convert with current settings"
+          onClick={onReconvert}
+          disabled={!hasSelection}
+        />
+        <BulkButton
+          icon={Archive}
+          label={`Download ZIP (${selection.done})`}
+          onClick={onDownload}
+          disabled={selection.done === 0 || isZipping}
+        />
+        <BulkButton
+          icon={Trash2}
+          label="Remove"
+          onClick={onRemove}
+          disabled={!hasSelection}
+          danger
+        />
+        {hasSelection && (
+          <button
+            onClick={onClearSelection}
+            className="text-slate-400 hover:text-slate-600 p-1 rounded-full hover:bg-slate-100"
+            title="Clear selection"
+          >
+            <X size={14} />
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,134 @@
+"use client";
+
+import { ChartColumn, FileSpreadsheet, FileJson } from "lucide-react";
+import { formatSize } from "@/lib/utils";
+
+const formatPercent = (fraction) =>
+  fraction === null ? "–" : `${(fraction * 100).toFixed(1)}%`;
+
+const formatDuration = (ms) => {
+  if (ms === null) return "–";
+  return ms < 1000 ? `${Math.round(ms)} ms` : `${(ms / 1000).toFixed(1)} s`;
+};
+
+const Stat = ({ label, value, detail }) => (
+  <div className="bg-slate-50 rounded-lg p-3">
+    <p className="text-xs text-slate-500">{label}</p>
+    <p className="text-lg font-bold text-slate-800">{value}</p>
+    {detail && <p className="text-xs text-slate-500">{detail}</p>}
+  </div>
+);
+
+const FileList = ({ title, rows, emptyText }) => (
+  <div>
+    <h3 className="text-sm font-semibold text-slate-600 mb-1">{title}</h3>
+    {rows.length === 0 ? (
+      <p className="text-xs text-slate-400">{emptyText}</p>
+    ) : (
+      <ul className="text-xs space-y-1">
+        {rows.map((row) => (
+          <li key={row.path} className="flex justify-between gap-2">
+            <span className="truncate text-slate-600" title={row.originalPath}>
+              {row.originalPath}
+            </span>
+            <span
+              className={`flex-shrink-0 font-medium ${
+                row.savings > 0 ? "text-green-600" : "text-red-600"
+              }`}
+            >
+              {formatSize(row.originalSize)} &rarr;{" "}
+              {formatSize(row.convertedSize)} ({formatPercent(row.savings)})
+            </span>
+          </li>
+        ))}
+      </ul>
+    )}
+  </div>
+);
+
+// --- Component: Batch Report ---
+export default function ReportPanel({ report, onExportCsv, onExportJson }) {
+  const { summary } = report;
+  return (
+    <section className="bg-white/80 p-4 rounded-xl shadow-sm border border-slate-200/80 my-4">
+      <div className="flex items-center justify-between mb-3">
+        <h2 className="text-lg font-semibold flex items-center text-slate-800">
+          <ChartColumn className="mr-2" size={20} /> Batch Report
+        </h2>
+        <div className="flex gap-1">
+          <button
+            onClick={onExportCsv}
+            className="flex items-center text-xs font-medium text-slate-600 px-2 py-1 rounded-lg hover:bg-indigo-100 hover:text-indigo-700"
+          >
+            <FileSpreadsheet size={14} className="mr-1" /> CSV
+          </button>
+          <button
+            onClick={onExportJson}
+            className="flex items-center text-xs font-medium text-slate-600 px-2 py-1 rounded-lg hover:bg-indigo-100 hover:text-indigo-700"
+          >
+            <FileJson size={14} className="mr-1" /> JSON
+          </button>
+        </div>
+      </div>
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+        <Stat
+          label="Input → output"
+          value={`${formatSize(summary.inputBytes)} → ${formatSize(
+            summary.outputBytes
+          )}`}
+          detail={`${summary.converted} of ${summary.images} converted`}
+        />
+        <Stat
+          label="Overall savings"
+          value={formatPercent(summary.overallSavings)}
+          detail={`${summary.savedBytes < 0 ? "-" : ""}${formatSize(
+            Math.abs(summary.savedBytes)
+          )} saved`}
+        />
+        <Stat
+          label="Median savings"
+          value={formatPercent(summary.medianSavings)}
+          detail={
+            summary.medianSsim === null
+              ? "per image"
+              : `per image · SSIM ${summary.medianSsim.toFixed(3)}`
+          }
+        />
+        <Stat
+          label="Conversion time"
+          value={formatDuration(summary.batchMs)}
+          detail={`${formatDuration(
+            summary.medianConversionMs
+          )} median per image`}
+        />
+      </div>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-4">
+        <FileList
+          title="Biggest winners"
+          rows={report.winners}
+          emptyText="No image got smaller yet."
+        />
+        <FileList
+          title="Biggest losers"
+          rows={report.losers}
+          emptyText="Nothing else to show."
+        />
+      </div>
+      {report.errors.length > 0 && (
+        <div className="mt-4">
+          <h3 className="text-sm font-semibold text-red-600 mb-1">
+            Errors ({report.errors.length})
+          </h3>
+          <ul className="text-xs space-y-1">
+            {report.errors.map(({ originalPath, error }, index) => (
+              <li key={`${originalPath}-${index}`} className="text-slate-600">
+                <span className="font-medium">{originalPath}</span>:{" "}
+                {error ?? "Unknown error"}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </section>
+  );
+}
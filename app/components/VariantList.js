@@ -0,0 +1,123 @@
+"use client";
+
+import { useState, useEffect } from "react";
+import { Copy, Check, FileCode } from "lucide-react";
+import { OUTPUT_FORMATS } from "@/lib/formats";
+import {
+  uniqueVariants,
+  variantPath,
+  variantFolder,
+  buildPictureSnippet,
+} from "@/lib/responsive";
+import { isIconSet, iconLabel, buildIconLinks } from "@/lib/icons";
+import { formatSize, downloadBlob } from "@/lib/utils";
+
+// --- Component: Responsive Variants (or Icon Set) of one Image ---
+export default function VariantList({ image, outputName, sizes, iconSet }) {
+  const [copied, setCopied] = useState(false);
+  const kept = new Set(uniqueVariants(image.variants).map((v) => v.id));
+  const icons = isIconSet(image);
+  const snippet = icons
+    ? image.variants.some((variant) => variant.status === "done")
+      ? buildIconLinks(image, iconSet)
+      : ""
+    : buildPictureSnippet(image, outputName, sizes);
+
+  useEffect(() => {
+    if (!copied) return;
+    const timeout = setTimeout(() => setCopied(false), 1500);
+    return () => clearTimeout(timeout);
+  }, [copied]);
+
+  const copySnippet = async () => {
+    await navigator.clipboard.writeText(snippet);
+    setCopied(true);
+  };
+
+  const downloadSnippet = () =>
+    downloadBlob(
+      new Blob([snippet], { type: "text/html" }),
+      `${variantFolder(outputName).split("/").pop()}.html`
+    );
+
+  return (
+    <div className="mt-3 pt-3 border-t border-slate-200 text-xs">
+      <div className="flex flex-wrap gap-1.5">
+        {image.variants.map((variant) => {
+          const label = icons
+            ? iconLabel(variant)
+            : `${OUTPUT_FORMATS[variant.format].label} ${
+                variant.outputWidth ?? variant.width
+              }w`;
+          if (kept.has(variant.id)) {
+            return (
+              <a
+                key={variant.id}
+                href={variant.url}
+                download={variantPath(outputName, variant).split("/").pop()}
+                className="px-2 py-0.5 rounded bg-green-100 text-green-700 hover:bg-green-200"
+                title={`${variant.outputWidth}×${variant.outputHeight}`}
+              >
+                {label} · {formatSize(variant.size)}
+              </a>
+            );
+          }
+          return (
+            <span
+              key={variant.id}
+              className={`px-2 py-0.5 rounded ${
+                variant.status === "error"
+                  ? "bg-red-100 text-red-700"
+                  : "bg-slate-100 text-slate-400"
+              }`}
+              title={
+                variant.status === "done"
+                  ? "Same size as a smaller width; left out of the set"
+                  : variant.error ?? undefined
+              }
+            >
+              {label}
+              {variant.status === "done"
+                ? " · duplicate"
+                : variant.status === "converting"
+                ? " · converting"
+                : variant.status === "error"
+                ? " · error"
+                : ""}
+            </span>
+          );
+        })}
+      </div>
+      {snippet && (
+        <div className="mt-2">
+          <pre className="p-2 bg-slate-50 border border-slate-200 rounded-lg text-slate-600 overflow-x-auto">
+            {snippet}
+          </pre>
+          <div className="flex gap-1 mt-1">
+            <button
+              onClick={copySnippet}
+              className="flex items-center font-medium text-slate-600 px-2 py-1 rounded-lg hover:bg-indigo-100 hover:text-indigo-700"
+            >
+              {copied ? (
+                <Check size={14} className="mr-1" />
+              ) : (
+                <Copy size={14} className="mr-1" />
+              )}
+              {copied
+                ? "Copied"
+                : icons
+                ? "Copy <link> tags"
+                : "Copy <picture>"}
+            </button>
+            <button
+              onClick={downloadSnippet}
+              className="flex items-center font-medium text-slate-600 px-2 py-1 rounded-lg hover:bg-indigo-100 hover:text-indigo-700"
+            >
+              <FileCode size={14} className="mr-1" /> Download HTML
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,120 @@
+"use client";
+
+import { useState, useRef, useEffect, useMemo, useCallback } from "react";
+
+// How far beyond the viewport rows stay mounted, in pixels.
+const OVERSCAN = 800;
+
+// First index in the ascending `values` at or past `position`.
+const searchFrom = (values, position) => {
+  let low = 0;
+  let high = values.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (values[middle] < position) low = middle + 1;
+    else high = middle;
+  }
+  return low;
+};
+
+// --- Component: Virtualized List ---
+// Only rows near the viewport are mounted, which keeps thousands of images
+// cheap to render. The page itself scrolls rather than the list. Rows vary in
+// height (details, variant lists), so mounted rows are measured and the rest
+// use `estimatedHeight` until they've been seen.
+export default function VirtualList({
+  items,
+  getKey,
+  estimatedHeight,
+  gap,
+  renderItem,
+}) {
+  const containerRef = useRef(null);
+  const observerRef = useRef(null);
+  const [measured, setMeasured] = useState(() => new Map());
+  const [range, setRange] = useState({ start: 0, end: 0 });
+
+  const layout = useMemo(() => {
+    const offsets = new Array(items.length);
+    const ends = new Array(items.length);
+    let total = 0;
+    items.forEach((item, index) => {
+      offsets[index] = total;
+      ends[index] = total + (measured.get(getKey(item)) ?? estimatedHeight);
+      total = ends[index] + gap;
+    });
+    return { offsets, ends, total: Math.max(0, total - gap) };
+  }, [items, getKey, estimatedHeight, gap, measured]);
+
+  // Only a change in which rows are visible re-renders the list, not every
+  // scroll event.
+  const updateRange = useCallback(() => {
+    const top = -containerRef.current.getBoundingClientRect().top;
+    const start = searchFrom(layout.ends, top - OVERSCAN);
+    const end = searchFrom(layout.offsets, top + window.innerHeight + OVERSCAN);
+    setRange((prev) =>
+      prev.start === start && prev.end === end ? prev : { start, end }
+    );
+  }, [layout]);
+
+  // Content above the list can also grow or shrink and move it.
+  useEffect(() => {
+    updateRange();
+    const pageObserver = new ResizeObserver(updateRange);
+    pageObserver.observe(document.body);
+    window.addEventListener("scroll", updateRange, { passive: true });
+    window.addEventListener("resize", updateRange);
+    return () => {
+      pageObserver.disconnect();
+      window.removeEventListener("scroll", updateRange);
+      window.removeEventListener("resize", updateRange);
+    };
+  }, [updateRange]);
+
+  useEffect(() => () => observerRef.current?.disconnect(), []);
+
+  // Heights from one observer callback land in a single state update.
+  const measureRow = useCallback((node) => {
+    if (!node) return;
+    observerRef.current ??= new ResizeObserver((entries) =>
+      setMeasured((prev) => {
+        let next = null;
+        for (const entry of entries) {
+          const height = entry.borderBoxSize[0].blockSize;
+          if (prev.get(entry.target.dataset.key) !== height) {
+            next ??= new Map(prev);
+            next.set(entry.target.dataset.key, height);
+          }
+        }
+        return next ?? prev;
+      })
+    );
+    observerRef.current.observe(node);
+    return () => observerRef.current.unobserve(node);
+  }, []);
+
+  return (
+    <div
+      ref={containerRef}
+      className="relative"
+      style={{ height: layout.total }}
+    >
+      {items.slice(range.start, range.end).map((item, index) => {
+        const key = getKey(item);
+        return (
+          <div
+            key={key}
+            ref={measureRow}
+            data-key={key}
+            className="absolute left-0 right-0 top-0"
+            style={{
+              transform: `translateY(${layout.offsets[range.start + index]}px)`,
+            }}
+          >
+            {renderItem(item)}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
@@ -1,12 +1,17 @@
 // app/layout.js
 'use client';
 
-import { Inter } from "next/font/google";
+import localFont from "next/font/local";
 import "./globals.css";
 import { Briefcase, FileText, Image as ImageIcon, Menu, X } from 'lucide-react';
 import { useState } from 'react';
 
-const inter = Inter({ subsets: ["latin"] });
+// Self-hosted so the app still looks right offline.
+const inter = localFont({
+  src: "./fonts/InterVariable-latin.woff2",
+  weight: "100 900",
+  display: "swap",
+});
 
 function SiteHeader() {
   const [isMenuOpen, setIsMenuOpen] = useState(false);
@@ -0,0 +1,43 @@
+// --- Web App Manifest ---
+
+export default function manifest() {
+  return {
+    id: "/",
+    name: "Convert That Image",
+    short_name: "Convert Image",
+    description:
+      "Convert, resize and compress images in your browser. Nothing is uploaded.",
+    start_url: "/",
+    scope: "/",
+    display: "standalone",
+    background_color: "#f1f5f9",
+    theme_color: "#4f46e5",
+    icons: [
+      { src: "/icons/icon-192.png", sizes: "192x192", type: "image/png" },
+      { src: "/icons/icon-512.png", sizes: "512x512", type: "image/png" },
+      {
+        src: "/icons/icon-maskable-512.png",
+        sizes: "512x512",
+        type: "image/png",
+        purpose: "maskable",
+      },
+    ],
+    file_handlers: [
+      {
+        action: "/",
+        accept: {
+          "image/png": [".png"],
+          "image/jpeg": [".jpg", ".jpeg"],
+        },
+      },
+    ],
+    share_target: {
+      action: "/share-target",
+      method: "POST",
+      enctype: "multipart/form-data",
+      params: {
+        files: [{ name: "images", accept: ["image/*"] }],
+      },
+    },
+  };
+}
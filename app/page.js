@@ -1,6 +1,6 @@
 "use client";
 
-import { useState, useRef, useEffect } from "react";
+import { useState, useRef, useEffect, useCallback, useMemo } from "react";
 import {
   Upload,
   Image as ImageIcon,
@@ -13,102 +13,213 @@ import {
   CheckCircle2,
   AlertTriangle,
   Clock,
+  Columns2,
+  Info,
+  FolderOpen,
+  HardDrive,
+  Save,
+  Trash2,
+  FileDown,
+  FileUp,
+  Pause,
+  Play,
+  Ban,
+  Layers,
+  Crop,
 } from "lucide-react";
-import JSZip from "jszip";
+import {
+  OUTPUT_FORMATS,
+  ENCODERS,
+  INPUT_FORMATS,
+  INPUT_ACCEPT,
+  detectEncodableFormats,
+  detectSourceFormat,
+} from "@/lib/formats";
+import { RESIZE_MODES, FIT_MODES } from "@/lib/resize";
+import { countAnimationFrames } from "@/lib/animation";
+import {
+  METADATA_PRESETS,
+  METADATA_OUTPUT_TYPES,
+  extractMetadata,
+  summarizeMetadata,
+} from "@/lib/metadata";
+import {
+  filesFromInput,
+  entriesFromDrop,
+  filesFromClipboard,
+  folderOf,
+} from "@/lib/files";
+import { FILENAME_TOKENS, buildOutputNames } from "@/lib/filename";
+import {
+  saveImageList,
+  saveFiles,
+  saveResult,
+  deleteResult,
+  deleteImage,
+  clearSession,
+  loadSession,
+  estimateStorage,
+  requestPersistentStorage,
+} from "@/lib/session-store";
+import {
+  DEFAULT_SETTINGS,
+  BUILT_IN_PRESETS,
+  normalizeSettings,
+  settingsEqual,
+  loadPresets,
+  savePresets,
+  createPreset,
+  exportPresets,
+  parsePresetFile,
+} from "@/lib/presets";
+import { filterImages, sortImages, countByStatus } from "@/lib/list-view";
+import { PAD_ASPECTS } from "@/lib/background";
+import {
+  isIconSet,
+  buildIconLinks,
+  buildWebManifest,
+  buildFaviconIco,
+} from "@/lib/icons";
+import {
+  WATERMARK_TYPES,
+  WATERMARK_POSITIONS,
+  readLogo,
+} from "@/lib/watermark";
+import { createConverterWorker } from "@/lib/converter";
+import { defineConvertThatImage } from "@/lib/convert-that-image-element";
+import {
+  registerServiceWorker,
+  onLaunchFiles,
+  takeSharedFiles,
+} from "@/lib/pwa";
+import {
+  createConversionJobs,
+  estimateDecodedBytes,
+  sizePolicyConflict,
+  SIZE_POLICY_SUMMARY,
+} from "@/lib/jobs";
+import {
+  planExport,
+  pickSaveTarget,
+  exportArchives,
+  MAX_DOWNLOAD_PART_BYTES,
+} from "@/lib/zip-export";
+import { buildReport, reportToCsv, reportToJson } from "@/lib/report";
+import { SIZE_POLICY_FALLBACKS } from "@/lib/size-policy";
+import { MIN_SEARCH_QUALITY } from "@/lib/quality-metrics";
+import { DUPLICATE_MODES, resolveDuplicates } from "@/lib/duplicates";
+import { hasEdits } from "@/lib/edits";
+import {
+  RESPONSIVE_FORMAT_ORDER,
+  parseWidths,
+  applyVariants,
+  uniqueVariants,
+  variantPath,
+  variantFolder,
+  buildPictureSnippet,
+  buildResponsiveManifest,
+} from "@/lib/responsive";
+import { formatSize, hashFile, downloadBlob } from "@/lib/utils";
+import ComparisonModal from "@/app/components/ComparisonModal";
+import ReportPanel from "@/app/components/ReportPanel";
+import VariantList from "@/app/components/VariantList";
+import VirtualList from "@/app/components/VirtualList";
+import ListToolbar from "@/app/components/ListToolbar";
+import EditPanel from "@/app/components/EditPanel";
 
 // --- In-Memory File Cache (outside of React state) ---
 const fileCache = new Map();
+// Converted blobs, keyed like fileCache.
+const resultCache = new Map();
 
-// --- Helper: Web Worker for Conversions ---
-const converterWorkerCode = `
-  const convertWithFileReader = (file, quality) => {
-    return new Promise((resolve, reject) => {
-      const reader = new FileReader();
-      reader.onload = (event) => {
-        const img = new self.Image(); 
-        img.onload = () => {
-          try {
-            const canvas = new OffscreenCanvas(img.width, img.height);
-            const ctx = canvas.getContext('2d');
-            ctx.drawImage(img, 0, 0);
-            canvas.convertToBlob({ type: 'image/webp', quality: quality / 100 })
-              .then(resolve)
-              .catch(reject);
-          } catch (e) {
-            reject(e);
-          }
-        };
-        img.onerror = () => reject(new Error('Image could not be loaded. It might be corrupted.'));
-        img.src = event.target.result;
-      };
-      reader.onerror = () => reject(new Error('FileReader failed to read the file.'));
-      reader.readAsDataURL(file);
-    });
-  };
+const ZIP_BASE_NAME = "converted_images";
 
-  self.onmessage = async (e) => {
-    const { id, file, quality } = e.data;
-    try {
-      const bitmap = await createImageBitmap(file);
-      const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
-      const ctx = canvas.getContext('2d');
-      ctx.drawImage(bitmap, 0, 0);
-      const blob = await canvas.convertToBlob({ type: 'image/webp', quality: quality / 100 });
-      self.postMessage({ id, status: 'done', blob });
-    } catch (error) {
-      console.warn(\`Fast conversion failed for \${file.name}, trying fallback...\`, error);
-      try {
-        const blob = await convertWithFileReader(file, quality);
-        self.postMessage({ id, status: 'done', blob });
-      } catch (fallbackError) {
-        self.postMessage({ id, status: 'error', error: fallbackError.message });
-      }
-    }
-  };
-`;
+// One manifest per archive, describing only the images inside it. Entries
+// from a responsive set describe their variant rather than the whole row.
+const buildManifest = (entries, index, count) => ({
+  generatedAt: new Date().toISOString(),
+  archive: { part: index + 1, of: count },
+  files: entries
+    .filter(({ image }) => image)
+    .map(({ path, image, variant }) => ({
+      path,
+      originalName: image.originalName,
+      originalPath: image.relativePath,
+      originalSize: image.originalSize,
+      convertedSize: variant?.size ?? image.convertedSize,
+      format: variant?.format ?? image.outputFormat,
+      keptOriginal: Boolean(image.keptOriginal),
+      sourceWidth: image.sourceWidth,
+      sourceHeight: image.sourceHeight,
+      width: variant?.outputWidth ?? image.width,
+      height: variant?.outputHeight ?? image.height,
+      quality: variant?.quality ?? image.quality,
+      settings: (variant ?? image).settings ?? null,
+    })),
+});
 
-// --- Component: ImageRow for Lazy Loading ---
-const ImageRow = ({ image, onRemove, onRetry }) => {
-  const [previewUrl, setPreviewUrl] = useState(null);
-  const placeholderRef = useRef(null);
+// Object URLs of a row's responsive variants, if it has any.
+const variantUrls = (image) =>
+  (image.variants ?? []).map((variant) => variant.url).filter(Boolean);
 
-  useEffect(() => {
-    const observer = new IntersectionObserver(
-      ([entry]) => {
-        if (entry.isIntersecting) {
-          const file = fileCache.get(image.id);
-          if (file && !previewUrl) {
-            const url = URL.createObjectURL(file);
-            setPreviewUrl(url);
-          }
-          observer.unobserve(entry.target);
-        }
-      },
-      { rootMargin: "0px 0px 300px 0px" }
-    );
+const PERSIST_SESSION_KEY = "convert-that-image:persist-session";
+const DUPLICATE_MODE_KEY = "convert-that-image:duplicates";
 
-    if (placeholderRef.current) {
-      observer.observe(placeholderRef.current);
-    }
+// A kept original keeps its own extension.
+const resultExtension = (image) =>
+  image.keptOriginal
+    ? INPUT_FORMATS[image.sourceFormat].extensions[0].slice(1)
+    : OUTPUT_FORMATS[image.outputFormat].extension;
 
-    return () => {
-      if (previewUrl) {
-        URL.revokeObjectURL(previewUrl);
-      }
-      if (placeholderRef.current) {
-        observer.unobserve(placeholderRef.current);
-      }
-    };
-  }, [image.id, previewUrl]);
+// Saving the session is best-effort.
+const persistQuietly = (promise) => promise?.catch(() => {});
+
+// Rows are measured once they're on screen; this only has to be close.
+const ESTIMATED_ROW_HEIGHT = 116;
+const imageKey = (image) => image.id;
+
+// --- Component: ImageRow ---
+const ImageRow = ({
+  image,
+  outputName,
+  sizes,
+  iconSet,
+  selected,
+  onToggleSelect,
+  onRemove,
+  onRetry,
+  onCompare,
+  onEdit,
+}) => {
+  const [previewUrl, setPreviewUrl] = useState(null);
+  // Formats like TIFF and HEIC convert fine but can't be previewed by <img>.
+  const [previewFailed, setPreviewFailed] = useState(false);
+  const [showDetails, setShowDetails] = useState(false);
+  const [details, setDetails] = useState(null);
 
-  const formatSize = (bytes) => {
-    if (bytes === 0) return "0 B";
-    const k = 1024;
-    const sizes = ["B", "KB", "MB", "GB"];
-    const i = Math.floor(Math.log(bytes) / Math.log(k));
-    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + " " + sizes[i];
+  // Metadata is only parsed once someone opens the details panel.
+  const toggleDetails = async () => {
+    setShowDetails((prev) => !prev);
+    if (details) return;
+    const file = fileCache.get(image.id);
+    if (!file) return;
+    const metadata = await extractMetadata(
+      new Uint8Array(await file.arrayBuffer()),
+      image.sourceFormat
+    );
+    setDetails(summarizeMetadata(metadata));
   };
 
+  // Rows are only mounted near the viewport (see VirtualList), so the
+  // preview can load straight away.
+  useEffect(() => {
+    const file = fileCache.get(image.id);
+    if (!file) return;
+    const url = URL.createObjectURL(file);
+    setPreviewUrl(url);
+    return () => URL.revokeObjectURL(url);
+  }, [image.id]);
+
   const statusIndicator = {
     pending: (
       <span className="flex items-center text-xs font-medium text-slate-500 bg-slate-100 px-2 py-1 rounded-full">
@@ -140,83 +251,271 @@ const ImageRow = ({ image, onRemove, onRetry }) => {
   };
 
   return (
-    <div
-      ref={placeholderRef}
-      className="bg-white/80 p-3 rounded-xl flex flex-col md:flex-row items-center gap-4 shadow-sm border border-slate-200/80 min-h-[100px] animate-fade-in"
-    >
-      <div className="w-16 h-16 flex-shrink-0 bg-slate-100 rounded-lg flex items-center justify-center overflow-hidden">
-        {previewUrl ? (
-          <img
-            src={previewUrl}
-            alt={image.originalName}
-            className="max-w-full max-h-full object-contain"
-          />
-        ) : (
-          <ImageIcon className="text-slate-300" size={32} />
-        )}
-      </div>
-      <div className="flex-grow text-center md:text-left">
-        <p
-          className="font-semibold text-slate-800 truncate text-sm"
-          title={image.originalName}
-        >
-          {image.originalName}
-        </p>
-        <div className="flex items-center justify-center md:justify-start gap-3 mt-1 text-xs text-slate-500">
-          <span>{formatSize(image.originalSize)}</span>
-          {image.status === "done" && image.convertedSize > 0 && (
-            <>
-              <span>&rarr;</span>
-              <span className="font-medium">
-                {formatSize(image.convertedSize)}
+    <div className="bg-white/80 p-3 rounded-xl shadow-sm border border-slate-200/80 min-h-[100px] animate-fade-in">
+      <div className="flex flex-col md:flex-row items-center gap-4">
+        <input
+          type="checkbox"
+          checked={selected}
+          onChange={() => onToggleSelect(image.id)}
+          className="accent-indigo-600"
+          title="Select"
+        />
+        <div className="w-16 h-16 flex-shrink-0 bg-slate-100 rounded-lg flex items-center justify-center overflow-hidden">
+          {previewUrl && !previewFailed ? (
+            <img
+              src={previewUrl}
+              alt={image.originalName}
+              onError={() => setPreviewFailed(true)}
+              className="max-w-full max-h-full object-contain"
+            />
+          ) : (
+            <ImageIcon className="text-slate-300" size={32} />
+          )}
+        </div>
+        <div className="flex-grow text-center md:text-left">
+          <p
+            className="font-semibold text-slate-800 truncate text-sm"
+            title={image.relativePath}
+          >
+            <span className="font-normal text-slate-400">
+              {folderOf(image.relativePath)}
+            </span>
+            {image.originalName}
+          </p>
+          {image.variants ? (
+            <p
+              className="text-xs text-slate-400 truncate"
+              title={`Saved in ${variantFolder(outputName)}/`}
+            >
+              &rarr; {variantFolder(outputName).split("/").pop()}/ (
+              {image.variants.length} {isIconSet(image) ? "icons" : "variants"})
+            </p>
+          ) : (
+            <p
+              className="text-xs text-slate-400 truncate"
+              title={`Saved as ${outputName}`}
+            >
+              &rarr; {outputName.split("/").pop()}
+            </p>
+          )}
+          <div className="flex items-center justify-center md:justify-start gap-3 mt-1 text-xs text-slate-500">
+            <span>
+              {formatSize(image.originalSize)}{" "}
+              {INPUT_FORMATS[image.sourceFormat].label}
+            </span>
+            {image.frameCount > 1 && (
+              <span
+                className="font-medium px-1.5 rounded text-purple-700 bg-purple-100"
+                title={
+                  image.status === "done" && image.outputFrameCount === 1
+                    ? "Only the first frame was kept. Animation is preserved for WebP output."
+                    : "Animated image"
+                }
+              >
+                {image.status !== "done" ||
+                image.outputFrameCount === image.frameCount
+                  ? `${image.frameCount} frames`
+                  : image.outputFrameCount === 1
+                  ? `${image.frameCount} frames → still`
+                  : `${image.frameCount} → ${image.outputFrameCount} frames`}
               </span>
+            )}
+            {image.status === "done" && image.width > 0 && (
+              <span>
+                {image.sourceWidth}×{image.sourceHeight}
+                {(image.width !== image.sourceWidth ||
+                  image.height !== image.sourceHeight) &&
+                  ` → ${image.width}×${image.height}`}
+              </span>
+            )}
+            {image.status === "done" && image.convertedSize > 0 && (
+              <>
+                <span>&rarr;</span>
+                <span className="font-medium">
+                  {formatSize(image.convertedSize)}{" "}
+                  {image.keptOriginal
+                    ? "original"
+                    : OUTPUT_FORMATS[image.outputFormat].label}
+                </span>
+                <span
+                  className={`font-bold ${
+                    image.convertedSize < image.originalSize
+                      ? "text-green-600"
+                      : "text-red-600"
+                  }`}
+                >
+                  (
+                  {(
+                    ((image.originalSize - image.convertedSize) /
+                      image.originalSize) *
+                    100
+                  ).toFixed(0)}
+                  % change)
+                </span>
+              </>
+            )}
+            {image.status === "done" && image.keptOriginal && (
+              <span
+                className="font-medium px-1.5 rounded text-amber-700 bg-amber-100"
+                title={
+                  image.sizePolicyNote ??
+                  "The converted file wasn't smaller, so the original is used"
+                }
+              >
+                Original kept
+              </span>
+            )}
+            {image.status === "done" &&
+              image.sizePolicyNote &&
+              !image.keptOriginal && (
+                <span
+                  className="font-medium px-1.5 rounded text-slate-600 bg-slate-100"
+                  title={image.sizePolicyNote}
+                >
+                  Original not used
+                </span>
+              )}
+            {image.status === "done" &&
+              image.sizeRetried &&
+              !image.keptOriginal && (
+                <span
+                  className="font-medium px-1.5 rounded text-amber-700 bg-amber-100"
+                  title="Re-encoded at a lower quality to come out smaller than the original"
+                >
+                  Retried at Q{image.quality}
+                </span>
+              )}
+            {hasEdits(image.edits) && (
+              <span
+                className="font-medium px-1.5 rounded text-indigo-700 bg-indigo-100"
+                title="Cropped, rotated or flipped when it converts"
+              >
+                Edited
+              </span>
+            )}
+            {image.duplicateOf && (
+              <span
+                className="font-medium px-1.5 rounded text-slate-600 bg-slate-100"
+                title={`Identical to ${image.duplicateName}; converted once and reused`}
+              >
+                Duplicate
+              </span>
+            )}
+            {image.status === "done" && image.metrics && (
+              <span
+                className="px-1.5 rounded bg-slate-100"
+                title="Similarity of the output to its (resized) source. SSIM 1 and 100 dB mean identical."
+              >
+                SSIM {image.metrics.ssim.toFixed(3)} ·{" "}
+                {image.metrics.psnr.toFixed(1)} dB
+              </span>
+            )}
+            {image.status === "done" && image.targetMet !== null && (
               <span
-                className={`font-bold ${
-                  image.convertedSize < image.originalSize
-                    ? "text-green-600"
-                    : "text-red-600"
+                className={`font-medium px-1.5 rounded ${
+                  image.targetMet
+                    ? "text-green-700 bg-green-100"
+                    : "text-amber-700 bg-amber-100"
                 }`}
+                title={
+                  image.settings?.targetSsim?.enabled
+                    ? image.targetMet
+                      ? "Lowest quality that reaches the target SSIM"
+                      : "Closest result; even the highest quality misses the target SSIM"
+                    : image.targetMet
+                    ? "Fits the target file size"
+                    : "Closest result; still larger than the target file size"
+                }
               >
-                (
-                {(
-                  ((image.originalSize - image.convertedSize) /
-                    image.originalSize) *
-                  100
-                ).toFixed(0)}
-                % change)
+                Q{image.quality} ·{" "}
+                {image.targetMet ? "target met" : "over target"}
               </span>
-            </>
+            )}
+          </div>
+        </div>
+        <div className="flex-shrink-0 w-28 flex justify-center">
+          {statusIndicator[image.status]}
+        </div>
+        <div className="flex-shrink-0 w-32">
+          {image.status === "done" && !image.variants && (
+            <a
+              href={image.convertedUrl}
+              download={outputName.split("/").pop()}
+              className="bg-green-500 text-white font-bold py-2 px-4 rounded-lg hover:bg-green-600 transition-colors flex items-center justify-center text-sm shadow-sm hover:shadow-md"
+            >
+              <Download className="mr-2 h-4 w-4" /> Download
+            </a>
+          )}
+          {image.status === "error" && (
+            <button
+              onClick={() => onRetry(image.id)}
+              className="bg-amber-500 text-white font-bold py-2 px-4 rounded-lg hover:bg-amber-600 transition-colors flex items-center justify-center text-sm shadow-sm hover:shadow-md"
+            >
+              <RefreshCw className="mr-2 h-4 w-4" /> Retry
+            </button>
           )}
         </div>
+        <button
+          onClick={() => onCompare(image.id)}
+          disabled={!image.convertedUrl}
+          className="text-slate-400 hover:text-indigo-600 transition-colors p-1 rounded-full hover:bg-indigo-100 disabled:opacity-30 disabled:pointer-events-none"
+          title="Compare original and converted"
+        >
+          <Columns2 size={18} />
+        </button>
+        <button
+          onClick={() => onEdit(image.id)}
+          className="text-slate-400 hover:text-indigo-600 transition-colors p-1 rounded-full hover:bg-indigo-100"
+          title="Crop, rotate and flip"
+        >
+          <Crop size={18} />
+        </button>
+        <button
+          onClick={toggleDetails}
+          className={`transition-colors p-1 rounded-full hover:bg-indigo-100 ${
+            showDetails
+              ? "text-indigo-600"
+              : "text-slate-400 hover:text-indigo-600"
+          }`}
+          title="Show metadata"
+        >
+          <Info size={18} />
+        </button>
+        <button
+          onClick={() => onRemove(image.id)}
+          className="text-slate-400 hover:text-red-500 transition-colors p-1 rounded-full hover:bg-red-100"
+        >
+          <X size={18} />
+        </button>
       </div>
-      <div className="flex-shrink-0 w-28 flex justify-center">
-        {statusIndicator[image.status]}
-      </div>
-      <div className="flex-shrink-0 w-32">
-        {image.status === "done" && (
-          <a
-            href={image.convertedUrl}
-            download={`${image.originalName}.webp`}
-            className="bg-green-500 text-white font-bold py-2 px-4 rounded-lg hover:bg-green-600 transition-colors flex items-center justify-center text-sm shadow-sm hover:shadow-md"
-          >
-            <Download className="mr-2 h-4 w-4" /> Download
-          </a>
-        )}
-        {image.status === "error" && (
-          <button
-            onClick={() => onRetry(image.id)}
-            className="bg-amber-500 text-white font-bold py-2 px-4 rounded-lg hover:bg-amber-600 transition-colors flex items-center justify-center text-sm shadow-sm hover:shadow-md"
-          >
-            <RefreshCw className="mr-2 h-4 w-4" /> Retry
-          </button>
-        )}
-      </div>
-      <button
-        onClick={() => onRemove(image.id)}
-        className="text-slate-400 hover:text-red-500 transition-colors p-1 rounded-full hover:bg-red-100"
-      >
-        <X size={18} />
-      </button>
+      {image.variants && (
+        <VariantList
+          image={image}
+          outputName={outputName}
+          sizes={sizes}
+          iconSet={iconSet}
+        />
+      )}
+      {showDetails && (
+        <div className="mt-3 pt-3 border-t border-slate-200 text-xs text-slate-600">
+          {details === null ? (
+            <p className="text-slate-400">Reading metadata...</p>
+          ) : details.length === 0 ? (
+            <p className="text-slate-400">No metadata found in this file.</p>
+          ) : (
+            <dl className="grid grid-cols-[auto_1fr] gap-x-4 gap-y-1">
+              {details.map(([label, value]) => (
+                <div key={label} className="contents">
+                  <dt className="font-medium text-slate-500">{label}</dt>
+                  <dd className="truncate" title={value}>
+                    {value}
+                  </dd>
+                </div>
+              ))}
+            </dl>
+          )}
+        </div>
+      )}
     </div>
   );
 };
@@ -224,15 +523,95 @@ const ImageRow = ({ image, onRemove, onRetry }) => {
 // --- Main App Component ---
 export default function ConvertThatImagePage() {
   const [imageList, setImageList] = useState([]);
-  const [quality, setQuality] = useState(80);
-  const [isConverting, setIsConverting] = useState(false);
+  const [quality, setQuality] = useState(DEFAULT_SETTINGS.quality);
+  const [outputFormat, setOutputFormat] = useState(
+    DEFAULT_SETTINGS.outputFormat
+  );
+  const [encoder, setEncoder] = useState(DEFAULT_SETTINGS.encoder);
+  const [webpOptions, setWebpOptions] = useState(DEFAULT_SETTINGS.webpOptions);
+  const [svgWidth, setSvgWidth] = useState(DEFAULT_SETTINGS.svgWidth);
+  const [resize, setResize] = useState(DEFAULT_SETTINGS.resize);
+  const [animation, setAnimation] = useState(DEFAULT_SETTINGS.animation);
+  const [metadata, setMetadata] = useState(DEFAULT_SETTINGS.metadata);
+  const [filename, setFilename] = useState(DEFAULT_SETTINGS.filename);
+  const [targetSize, setTargetSize] = useState(DEFAULT_SETTINGS.targetSize);
+  const [targetSsim, setTargetSsim] = useState(DEFAULT_SETTINGS.targetSsim);
+  const [responsive, setResponsive] = useState(DEFAULT_SETTINGS.responsive);
+  const [sizePolicy, setSizePolicy] = useState(DEFAULT_SETTINGS.sizePolicy);
+  const [watermark, setWatermark] = useState(DEFAULT_SETTINGS.watermark);
+  const [background, setBackground] = useState(DEFAULT_SETTINGS.background);
+  const [iconSet, setIconSet] = useState(DEFAULT_SETTINGS.iconSet);
+  const [duplicateMode, setDuplicateMode] = useState("reuse");
+  const [presets, setPresets] = useState([]);
+  const [presetName, setPresetName] = useState("");
+  const [encodableFormats, setEncodableFormats] = useState(null);
+  const [poolStatus, setPoolStatus] = useState({
+    queued: 0,
+    active: 0,
+    paused: false,
+  });
   const [isZipping, setIsZipping] = useState(false);
+  const [zipProgress, setZipProgress] = useState(null);
+  const [zipPartMegabytes, setZipPartMegabytes] = useState(0);
+  const [batch, setBatch] = useState({ startedAt: null, finishedAt: null });
   const [error, setError] = useState("");
+  const [zipNotice, setZipNotice] = useState("");
+  const [comparisonId, setComparisonId] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+  const [listView, setListView] = useState({
+    status: "all",
+    query: "",
+    sort: "added",
+  });
+  const [selectedIds, setSelectedIds] = useState(() => new Set());
+
+  const [isDragging, setIsDragging] = useState(false);
+  const [isRestoring, setIsRestoring] = useState(true);
+  const [persistSession, setPersistSession] = useState(true);
+  const [storageUsage, setStorageUsage] = useState(null);
 
   const fileInputRef = useRef(null);
-  const workersRef = useRef([]);
-  const conversionQueueRef = useRef([]);
-  const busyWorkersRef = useRef(new Set());
+  const folderInputRef = useRef(null);
+  const presetInputRef = useRef(null);
+  const logoInputRef = useRef(null);
+  const zipAbortRef = useRef(null);
+  const converterRef = useRef(null);
+  // The converter's listeners are added once, so they reach the latest
+  // handlers through this ref instead of capturing the ones from the first
+  // render.
+  const converterHandlersRef = useRef({});
+  const imageListRef = useRef(imageList);
+  imageListRef.current = imageList;
+  // What the list shows: duplicates take on the result of their original.
+  const displayList = useMemo(() => resolveDuplicates(imageList), [imageList]);
+  const shownList = useMemo(
+    () => sortImages(filterImages(displayList, listView), listView.sort),
+    [displayList, listView]
+  );
+  const persistSessionRef = useRef(persistSession);
+  persistSessionRef.current = persistSession;
+  const duplicateModeRef = useRef(duplicateMode);
+  duplicateModeRef.current = duplicateMode;
+  const settingsRef = useRef({});
+  const currentSettings = {
+    quality,
+    outputFormat,
+    encoder,
+    webpOptions,
+    svgWidth,
+    resize,
+    targetSize,
+    targetSsim,
+    animation,
+    metadata,
+    filename,
+    responsive,
+    sizePolicy,
+    watermark,
+    background,
+    iconSet,
+  };
+  settingsRef.current = currentSettings;
 
   useEffect(() => {
     const style = document.createElement("style");
@@ -243,202 +622,1143 @@ export default function ConvertThatImagePage() {
     `;
     document.head.appendChild(style);
 
-    const numWorkers = navigator.hardwareConcurrency || 4;
-    const workerBlob = new Blob([converterWorkerCode], {
-      type: "application/javascript",
-    });
-    const workerUrl = URL.createObjectURL(workerBlob);
+    setEncodableFormats(detectEncodableFormats());
 
-    for (let i = 0; i < numWorkers; i++) {
-      const worker = new Worker(workerUrl);
-      worker.onmessage = (e) => handleWorkerMessage(e, i);
-      workersRef.current.push(worker);
-    }
+    // The page is built on <convert-that-image>; it's upgraded (and starts
+    // its workers) as soon as it's defined.
+    defineConvertThatImage();
+    const converter = converterRef.current;
+    const fromConverter = (handler) => (e) => handler(e.detail);
+    const converterListeners = {
+      progress: fromConverter(({ job, status, result }) =>
+        status === "converting"
+          ? converterHandlersRef.current.onStart(job)
+          : converterHandlersRef.current.onSettled(job, result)
+      ),
+      conversioncancel: fromConverter(({ job }) =>
+        converterHandlersRef.current.onSettled(job, {
+          id: job.id,
+          status: "cancelled",
+        })
+      ),
+      statuschange: fromConverter(setPoolStatus),
+    };
+    Object.entries(converterListeners).forEach(([type, listener]) =>
+      converter.addEventListener(type, listener)
+    );
+    registerServiceWorker(createConverterWorker);
+
+    setPresets(loadPresets());
+    setDuplicateMode(localStorage.getItem(DUPLICATE_MODE_KEY) ?? "reuse");
+
+    const shouldRestore = localStorage.getItem(PERSIST_SESSION_KEY) !== "false";
+    setPersistSession(shouldRestore);
+    (shouldRestore ? loadSession() : Promise.resolve([]))
+      .then((entries) => {
+        const interrupted = [];
+        const restored = entries.map(
+          ({ image, file, result, variantResults }) => {
+            fileCache.set(image.id, file);
+            if (image.variants) {
+              const restoredImage = applyVariants(
+                image,
+                image.variants.map((variant, index) => {
+                  const blob = variantResults[index];
+                  if (variant.status === "done" && blob) {
+                    resultCache.set(variant.id, blob);
+                    return { ...variant, url: URL.createObjectURL(blob) };
+                  }
+                  return {
+                    ...variant,
+                    status: variant.status === "error" ? "error" : "pending",
+                    url: null,
+                  };
+                })
+              );
+              if (
+                restoredImage.status !== "done" &&
+                (image.status === "converting" || image.status === "done")
+              ) {
+                interrupted.push(restoredImage);
+              }
+              return restoredImage;
+            }
+            if (image.status === "done" && result) {
+              resultCache.set(image.id, result);
+              return { ...image, convertedUrl: URL.createObjectURL(result) };
+            }
+            const restoredImage = {
+              ...image,
+              status: image.status === "error" ? "error" : "pending",
+              convertedUrl: null,
+            };
+            // Conversions cut short by the reload run again straight away.
+            if (image.status === "converting" || image.status === "done") {
+              interrupted.push(restoredImage);
+            }
+            return restoredImage;
+          }
+        );
+        setImageList((prev) => [...restored, ...prev]);
+        converterHandlersRef.current.enqueue(interrupted, { resume: true });
+      })
+      .catch(() => setError("Could not restore the previous session."))
+      .finally(() => setIsRestoring(false));
 
     return () => {
-      workersRef.current.forEach((worker) => worker.terminate());
-      URL.revokeObjectURL(workerUrl);
+      Object.entries(converterListeners).forEach(([type, listener]) =>
+        converter.removeEventListener(type, listener)
+      );
+      zipAbortRef.current?.abort();
       document.head.removeChild(style);
       fileCache.clear();
+      resultCache.clear();
     };
   }, []);
 
-  const handleImageUpload = (e) => {
-    const files = Array.from(e.target.files);
-    const validFiles = files.filter(
-      (file) =>
-        file && (file.type === "image/png" || file.type === "image/jpeg")
+  const addFiles = useCallback(async (entries) => {
+    const files = entries.map(({ file }) => file);
+    const sourceFormats = await Promise.all(
+      files.map((file) => detectSourceFormat(file).catch(() => null))
+    );
+    const validFiles = await Promise.all(
+      entries
+        .map((entry, index) => ({
+          ...entry,
+          sourceFormat: sourceFormats[index],
+        }))
+        .filter(({ sourceFormat }) => sourceFormat !== null)
+        .map(async (entry) => {
+          const frameCount = await countAnimationFrames(
+            entry.file,
+            entry.sourceFormat
+          ).catch(() => 1);
+          return {
+            ...entry,
+            frameCount,
+            decodedBytes: await estimateDecodedBytes(
+              entry.file,
+              entry.sourceFormat,
+              frameCount
+            ),
+          };
+        })
     );
 
     if (validFiles.length === 0) {
-      if (files.length > 0) setError("Please select valid PNG or JPG images.");
+      if (files.length > 0) {
+        setError(
+          `Please select supported images (${Object.values(INPUT_FORMATS)
+            .map((format) => format.label)
+            .join(", ")}).`
+        );
+      }
       return;
     }
-    setError("");
+    // Hashed one at a time to keep memory in check.
+    const originals = new Map(
+      imageListRef.current
+        .filter((img) => img.hash && !img.duplicateOf)
+        .map((img) => [img.hash, img.id])
+    );
+    const newEntries = [];
+    let skipped = 0;
+    for (const entry of validFiles) {
+      const hash = await hashFile(entry.file).catch(() => null);
+      const id = `${entry.relativePath}-${
+        entry.file.lastModified
+      }-${Math.random()}`;
+      const duplicateOf = hash ? originals.get(hash) ?? null : null;
+      if (duplicateOf && duplicateModeRef.current === "skip") {
+        skipped++;
+        continue;
+      }
+      if (hash && !duplicateOf) originals.set(hash, id);
+      newEntries.push({ ...entry, id, hash, duplicateOf });
+    }
+
+    const notices = [];
+    if (validFiles.length < files.length) {
+      notices.push(
+        `Skipped ${files.length - validFiles.length} unsupported file(s).`
+      );
+    }
+    if (skipped > 0) notices.push(`Skipped ${skipped} duplicate file(s).`);
+    setError(notices.join(" "));
 
-    const newImageMetadata = validFiles.map((file) => {
-      const id = `${file.name}-${file.lastModified}-${Math.random()}`;
-      fileCache.set(id, file);
-      return {
+    const newImageMetadata = newEntries.map(
+      ({
         id,
-        originalName: file.name,
-        originalSize: file.size,
-        convertedUrl: null,
-        convertedSize: 0,
-        status: "pending",
-      };
-    });
+        file,
+        relativePath,
+        sourceFormat,
+        frameCount,
+        decodedBytes,
+        hash,
+        duplicateOf,
+      }) => {
+        fileCache.set(id, file);
+        return {
+          id,
+          hash,
+          duplicateOf,
+          originalName: file.name,
+          relativePath,
+          originalSize: file.size,
+          sourceFormat,
+          frameCount,
+          decodedBytes,
+          outputFrameCount: 0,
+          convertedUrl: null,
+          convertedSize: 0,
+          outputFormat: null,
+          sourceWidth: 0,
+          sourceHeight: 0,
+          width: 0,
+          height: 0,
+          quality: null,
+          targetMet: null,
+          status: "pending",
+        };
+      }
+    );
 
     setImageList((prevList) => [...prevList, ...newImageMetadata]);
-    e.target.value = null;
+    if (persistSessionRef.current) {
+      requestPersistentStorage();
+      persistQuietly(
+        saveFiles(newImageMetadata.map(({ id }) => [id, fileCache.get(id)]))
+      );
+    }
+  }, []);
+
+  const handleImageUpload = (e) => {
+    const input = e.target;
+    const entries = filesFromInput(input.files);
+    input.value = null;
+    addFiles(entries);
   };
 
   const triggerFileInput = () => fileInputRef.current.click();
+  const triggerFolderInput = () => folderInputRef.current.click();
 
-  const dispatchJob = (workerIndex) => {
-    if (conversionQueueRef.current.length === 0) return;
+  // --- Drag & Drop and Paste ---
+  const handleDragOver = (e) => {
+    e.preventDefault();
+    e.dataTransfer.dropEffect = "copy";
+    setIsDragging(true);
+  };
 
-    const imageId = conversionQueueRef.current.shift();
-    const file = fileCache.get(imageId);
+  const handleDragLeave = (e) => {
+    // Moving over child elements fires dragleave too; only react when the
+    // pointer actually leaves the drop zone.
+    if (!e.currentTarget.contains(e.relatedTarget)) setIsDragging(false);
+  };
 
-    if (file) {
-      busyWorkersRef.current.add(workerIndex);
-      setImageList((prev) =>
-        prev.map((img) =>
-          img.id === imageId ? { ...img, status: "converting" } : img
-        )
+  const handleDrop = async (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    const readEntries = entriesFromDrop(e.dataTransfer);
+    try {
+      addFiles(await readEntries());
+    } catch {
+      setError("Could not read the dropped files. Please try again.");
+    }
+  };
+
+  useEffect(() => {
+    const handlePaste = (e) => {
+      if (e.target.closest?.("input, textarea, [contenteditable]")) return;
+      const entries = filesFromClipboard(e.clipboardData);
+      if (entries.length === 0) return;
+      e.preventDefault();
+      addFiles(entries);
+    };
+    window.addEventListener("paste", handlePaste);
+    return () => window.removeEventListener("paste", handlePaste);
+  }, [addFiles]);
+
+  useEffect(() => {
+    onLaunchFiles(addFiles);
+    takeSharedFiles()
+      .then((entries) => entries.length > 0 && addFiles(entries))
+      .catch(() =>
+        setError("Could not read the shared images. Please try again.")
       );
-      workersRef.current[workerIndex].postMessage({
-        id: imageId,
-        file,
-        quality,
-      });
+  }, [addFiles]);
+
+  // --- Conversion Handlers ---
+  const updateVariant = (job, changes) =>
+    setImageList((prev) =>
+      prev.map((img) =>
+        img.id === job.imageId && img.variants
+          ? applyVariants(
+              img,
+              img.variants.map((variant) =>
+                variant.id === job.id ? { ...variant, ...changes } : variant
+              )
+            )
+          : img
+      )
+    );
+
+  const handleJobStart = (job) => {
+    if (job.variant) {
+      updateVariant(job, { status: "converting" });
+      return;
+    }
+    setImageList((prev) =>
+      prev.map((img) =>
+        img.id === job.id ? { ...img, status: "converting" } : img
+      )
+    );
+  };
+
+  // Each variant settles on its own; the row's status and result follow
+  // from all of them together.
+  const handleVariantSettled = (job, data) => {
+    const { status, blob, error } = data;
+    const previous = imageListRef.current
+      .find((img) => img.id === job.imageId)
+      ?.variants?.find((variant) => variant.id === job.id);
+    if (status === "cancelled") {
+      updateVariant(job, { status: previous?.url ? "done" : "pending" });
+      return;
+    }
+    if (previous?.url) URL.revokeObjectURL(previous.url);
+    if (status === "done") {
+      resultCache.set(job.id, blob);
     } else {
+      resultCache.delete(job.id);
+    }
+    if (persistSessionRef.current) {
+      persistQuietly(
+        status === "done" ? saveResult(job.id, blob) : deleteResult(job.id)
+      );
+    }
+    updateVariant(
+      job,
+      status === "done"
+        ? {
+            status,
+            url: URL.createObjectURL(blob),
+            size: blob.size,
+            sourceWidth: data.sourceWidth,
+            sourceHeight: data.sourceHeight,
+            outputWidth: data.width,
+            outputHeight: data.height,
+            quality: data.quality,
+            targetMet: data.targetMet,
+            metrics: data.metrics,
+            frameCount: data.frameCount,
+            duration: data.duration,
+            settings: job.settings,
+            error: null,
+          }
+        : { status, url: null, duration: data.duration, error }
+    );
+  };
+
+  const handleJobSettled = (job, data) => {
+    if (job.variant) {
+      handleVariantSettled(job, data);
+      return;
+    }
+    const { id, status, blob, format, error } = data;
+    if (status === "cancelled") {
+      // A cancelled re-encode falls back to its earlier result.
       setImageList((prev) =>
         prev.map((img) =>
-          img.id === imageId
-            ? { ...img, status: "error", errorMessage: "File not found" }
+          img.id === id && img.status === "converting"
+            ? { ...img, status: img.convertedUrl ? "done" : "pending" }
             : img
         )
       );
-      dispatchJob(workerIndex);
+      return;
     }
-  };
-
-  const handleWorkerMessage = (e, workerIndex) => {
-    const { id, status, blob, error } = e.data;
     const convertedUrl = status === "done" ? URL.createObjectURL(blob) : null;
+    // Re-encodes replace an earlier result, so release the old blob.
+    const previous = imageListRef.current.find((img) => img.id === id);
+    if (previous?.convertedUrl) URL.revokeObjectURL(previous.convertedUrl);
+    if (status === "done") {
+      resultCache.set(id, blob);
+    } else {
+      resultCache.delete(id);
+    }
     const convertedSize = status === "done" ? blob.size : 0;
+    const outputFormat = status === "done" ? format : null;
+    if (persistSessionRef.current) {
+      persistQuietly(
+        status === "done" ? saveResult(id, blob) : deleteResult(id)
+      );
+    }
+    const {
+      sourceWidth = 0,
+      sourceHeight = 0,
+      width = 0,
+      height = 0,
+      quality = null,
+      targetMet = null,
+      frameCount: outputFrameCount = 0,
+      duration = null,
+      keptOriginal = false,
+      retried = false,
+      metrics = null,
+    } = data;
+    // Only worth explaining when the original would have been smaller.
+    const conflict = sizePolicyConflict(job);
+    const sizePolicyNote =
+      status !== "done"
+        ? null
+        : data.sizePolicyNote ??
+          (conflict && convertedSize >= previous?.originalSize
+            ? `"Never larger" doesn't apply because ${conflict}.`
+            : null);
 
     setImageList((prev) =>
       prev.map((img) =>
         img.id === id
-          ? { ...img, status, convertedUrl, convertedSize, errorMessage: error }
+          ? {
+              ...img,
+              status,
+              convertedUrl,
+              convertedSize,
+              outputFormat,
+              sourceWidth,
+              sourceHeight,
+              width,
+              height,
+              quality,
+              targetMet,
+              outputFrameCount,
+              duration,
+              keptOriginal,
+              sizeRetried: retried,
+              sizePolicyNote,
+              metrics,
+              settings: status === "done" ? job.settings : null,
+              errorMessage: error,
+            }
           : img
       )
     );
+  };
 
-    busyWorkersRef.current.delete(workerIndex);
+  // Switching a row between a single result and a responsive set (or to a
+  // different set of widths) drops results that won't be replaced.
+  const discardResults = (results) =>
+    results.forEach(({ id, url }) => {
+      if (url) URL.revokeObjectURL(url);
+      resultCache.delete(id);
+      if (persistSessionRef.current) persistQuietly(deleteResult(id));
+    });
 
-    if (conversionQueueRef.current.length > 0) {
-      dispatchJob(workerIndex);
-    } else if (busyWorkersRef.current.size === 0) {
-      setIsConverting(false);
-    }
+  const releaseStaleResults = (image, keepIds) =>
+    discardResults(
+      image.variants
+        ? image.variants.filter((variant) => !keepIds.has(variant.id))
+        : keepIds.size > 0
+        ? [{ id: image.id, url: image.convertedUrl }]
+        : []
+    );
+
+  // Rows keep the settings they were queued with, so a resumed row converts
+  // the same way.
+  const enqueueImages = (images, { resume = false } = {}) => {
+    setError("");
+    const settingsOf = (image) =>
+      (resume && image.queuedSettings) || settingsRef.current;
+    const isFinished = (image, job) =>
+      resume &&
+      image.variants?.find((variant) => variant.id === job.id)?.status ===
+        "done";
+    const queued = new Map();
+    images.forEach((image) => {
+      const settings = settingsOf(image);
+      const jobs = createConversionJobs(image, settings, image.qualityOverride);
+      const variantJobs = jobs.filter((job) => job.variant);
+      const unfinished = jobs.filter((job) => !isFinished(image, job));
+      releaseStaleResults(image, new Set(variantJobs.map((job) => job.id)));
+      queued.set(image.id, {
+        settings,
+        unfinished,
+        variants:
+          variantJobs.length === 0 && !image.variants
+            ? undefined
+            : variantJobs.map((job) => {
+                const previous = image.variants?.find(
+                  (variant) => variant.id === job.id
+                );
+                return isFinished(image, job)
+                  ? previous
+                  : {
+                      ...previous,
+                      id: job.id,
+                      ...job.variant,
+                      status: "queued",
+                    };
+              }),
+      });
+    });
+    setImageList((prev) =>
+      prev.map((img) => {
+        const entry = queued.get(img.id);
+        if (!entry) return img;
+        const { settings, variants } = entry;
+        const next = { ...img, queuedSettings: settings };
+        if (!variants) return next;
+        return variants.length > 0
+          ? applyVariants(next, variants)
+          : { ...next, variants: null, status: "pending", convertedUrl: null };
+      })
+    );
+    // Rows follow the converter's events, so the promises are left alone.
+    images.forEach((image) => {
+      const { settings, unfinished } = queued.get(image.id);
+      if (unfinished.length === 0) return;
+      converterRef.current
+        .convert(fileCache.get(image.id), {
+          id: image.id,
+          settings,
+          edits: image.edits,
+          qualityOverride: image.qualityOverride,
+          sourceFormat: image.sourceFormat,
+          frameCount: image.frameCount,
+          decodedBytes: image.decodedBytes,
+          ...(unfinished[0].variant && {
+            variants: unfinished.map((job) => job.variant.key),
+          }),
+        })
+        .catch(() => {});
+    });
+  };
+
+  converterHandlersRef.current = {
+    onStart: handleJobStart,
+    onSettled: handleJobSettled,
+    enqueue: enqueueImages,
   };
 
   const convertAllImages = () => {
-    const imagesToProcess = imageList.filter(
-      (img) => img.status === "pending" || img.status === "error"
+    const imagesToProcess = displayList.filter(
+      (img) =>
+        (img.status === "pending" || img.status === "error") && !img.duplicateOf
     );
     if (imagesToProcess.length === 0) {
       setError("No new images to convert.");
       return;
     }
+    enqueueImages(imagesToProcess);
+  };
 
-    conversionQueueRef.current.push(...imagesToProcess.map((img) => img.id));
-    setIsConverting(true);
-    setError("");
+  // Actions on a duplicate apply to the row whose result it shows.
+  const resolveTarget = (id) => {
+    const shown = displayList.find((img) => img.id === id);
+    return imageList.find((img) => img.id === (shown?.duplicateOf ?? id));
+  };
 
-    workersRef.current.forEach((_, index) => {
-      if (!busyWorkersRef.current.has(index)) {
-        dispatchJob(index);
-      }
-    });
+  const reencodeImage = (id, qualityOverride) => {
+    const image = resolveTarget(id);
+    if (!image || image.status === "converting") return;
+    setImageList((prev) =>
+      prev.map((img) =>
+        img.id === image.id ? { ...img, qualityOverride } : img
+      )
+    );
+    enqueueImages([{ ...image, qualityOverride }]);
   };
 
   const handleRetry = (id) => {
+    const target = resolveTarget(id)?.id ?? id;
     setImageList((prev) =>
       prev.map((img) =>
-        img.id === id ? { ...img, status: "pending", errorMessage: null } : img
+        img.id === target
+          ? { ...img, status: "pending", errorMessage: null }
+          : img
       )
     );
   };
 
+  // --- Selection and Edits ---
+  const toggleSelected = (id) =>
+    setSelectedIds((prev) => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+
+  // Edited rows need converting again, and their old results no longer
+  // apply. A duplicate with its own edits no longer matches its original, so
+  // it becomes an ordinary row.
+  const saveEdits = (id, edits, copyToSelected) => {
+    const targets = new Set(copyToSelected ? [id, ...selectedIds] : [id]);
+    const stale = new Set(
+      imageList
+        .filter((img) => targets.has(img.id) && img.status !== "converting")
+        .map((img) => img.id)
+    );
+    imageList
+      .filter((img) => stale.has(img.id))
+      .forEach((img) =>
+        discardResults(img.variants ?? [{ id: img.id, url: img.convertedUrl }])
+      );
+    setImageList((prev) =>
+      prev.map((img) => {
+        if (!targets.has(img.id)) return img;
+        const edited = {
+          ...img,
+          edits: hasEdits(edits) ? edits : null,
+          duplicateOf: null,
+        };
+        return stale.has(img.id)
+          ? {
+              ...edited,
+              status: "pending",
+              convertedUrl: null,
+              convertedSize: 0,
+              outputFormat: null,
+              width: 0,
+              height: 0,
+              quality: null,
+              targetMet: null,
+              metrics: null,
+              outputFrameCount: 0,
+              keptOriginal: false,
+              sizeRetried: false,
+              sizePolicyNote: null,
+              settings: null,
+              variants: null,
+            }
+          : edited;
+      })
+    );
+    setEditingId(null);
+  };
+
   const removeImage = (id) => {
     const image = imageList.find((img) => img.id === id);
-    if (image && image.convertedUrl) {
+    if (!image) return;
+    if (image.variants) {
+      variantUrls(image).forEach((url) => URL.revokeObjectURL(url));
+    } else if (image.convertedUrl) {
       URL.revokeObjectURL(image.convertedUrl);
     }
     fileCache.delete(id);
+    resultCache.delete(id);
+    persistQuietly(deleteImage(image));
+    converterRef.current.cancel(id);
+    image.variants?.forEach((variant) => resultCache.delete(variant.id));
     setImageList((prevList) => prevList.filter((img) => img.id !== id));
-    conversionQueueRef.current = conversionQueueRef.current.filter(
-      (queueId) => queueId !== id
+    setSelectedIds((prev) => {
+      const next = new Set(prev);
+      next.delete(id);
+      return next;
+    });
+  };
+
+  // --- List View and Bulk Actions ---
+  const updateListView = (changes) =>
+    setListView((prev) => ({ ...prev, ...changes }));
+  const statusCounts = useMemo(() => countByStatus(displayList), [displayList]);
+  const selectedImages = displayList.filter((img) => selectedIds.has(img.id));
+  const shownSelectedCount = shownList.filter((img) =>
+    selectedIds.has(img.id)
+  ).length;
+  const selection = {
+    count: selectedImages.length,
+    failed: selectedImages.filter((img) => img.status === "error").length,
+    done: selectedImages.filter((img) => img.status === "done").length,
+    shown:
+      shownSelectedCount === 0
+        ? "none"
+        : shownSelectedCount === shownList.length
+        ? "all"
+        : "some",
+  };
+
+  const toggleSelectAllShown = () =>
+    setSelectedIds((prev) => {
+      const next = new Set(prev);
+      shownList.forEach((img) =>
+        selection.shown === "all" ? next.delete(img.id) : next.add(img.id)
+      );
+      return next;
+    });
+
+  // Duplicates stand in for their original, which is converted only once.
+  const selectedTargets = (filter) => [
+    ...new Map(
+      selectedImages
+        .filter(filter)
+        .map((img) => resolveTarget(img.id))
+        .filter((img) => img && img.status !== "converting")
+        .map((img) => [img.id, img])
+    ).values(),
+  ];
+
+  const retrySelected = () => {
+    const targets = selectedTargets((img) => img.status === "error");
+    const ids = new Set(targets.map((img) => img.id));
+    setImageList((prev) =>
+      prev.map((img) =>
+        ids.has(img.id)
+          ? { ...img, status: "pending", errorMessage: null }
+          : img
+      )
+    );
+    enqueueImages(targets);
+  };
+
+  // Per-image quality overrides are dropped so the current settings apply
+  // in full.
+  const reconvertSelected = () => {
+    const targets = selectedTargets(() => true).map((img) => ({
+      ...img,
+      qualityOverride: null,
+    }));
+    const ids = new Set(targets.map((img) => img.id));
+    setImageList((prev) =>
+      prev.map((img) =>
+        ids.has(img.id) ? { ...img, qualityOverride: null } : img
+      )
     );
+    enqueueImages(targets);
   };
 
+  const removeSelected = () =>
+    selectedImages.forEach((img) => removeImage(img.id));
+
   const resetState = () => {
+    converterRef.current.cancelAll();
+    converterRef.current.resume();
     imageList.forEach((image) => {
       if (image.convertedUrl) URL.revokeObjectURL(image.convertedUrl);
+      variantUrls(image).forEach((url) => URL.revokeObjectURL(url));
     });
+    zipAbortRef.current?.abort();
     setImageList([]);
+    setSelectedIds(new Set());
     fileCache.clear();
-    conversionQueueRef.current = [];
-    busyWorkersRef.current.clear();
+    resultCache.clear();
+    persistQuietly(clearSession());
     setError("");
-    setIsConverting(false);
+    setZipNotice("");
     setIsZipping(false);
   };
 
-  const downloadAllAsZip = async () => {
-    const convertedImages = imageList.filter(
-      (img) => img.status === "done" && img.convertedUrl
+  // The list changes on every status update, so writes are debounced.
+  useEffect(() => {
+    if (isRestoring || !persistSession) return;
+    const timeout = setTimeout(() => {
+      persistQuietly(
+        saveImageList(imageList).then(estimateStorage).then(setStorageUsage)
+      );
+    }, 500);
+    return () => clearTimeout(timeout);
+  }, [imageList, isRestoring, persistSession]);
+
+  const togglePersistSession = async (enabled) => {
+    setPersistSession(enabled);
+    localStorage.setItem(PERSIST_SESSION_KEY, String(enabled));
+    if (!enabled) {
+      await persistQuietly(clearSession());
+      setStorageUsage(await estimateStorage());
+      return;
+    }
+    requestPersistentStorage();
+    persistQuietly(
+      saveFiles(imageList.map(({ id }) => [id, fileCache.get(id)]))
     );
-    if (convertedImages.length === 0) {
+    for (const [id, blob] of resultCache) {
+      persistQuietly(saveResult(id, blob));
+    }
+  };
+
+  // --- Presets ---
+  const applySettings = (settings) => {
+    const next = normalizeSettings(settings);
+    setQuality(next.quality);
+    setOutputFormat(next.outputFormat);
+    setEncoder(next.encoder);
+    setWebpOptions(next.webpOptions);
+    setSvgWidth(next.svgWidth);
+    setResize(next.resize);
+    setTargetSize(next.targetSize);
+    setTargetSsim(next.targetSsim);
+    setAnimation(next.animation);
+    setMetadata(next.metadata);
+    setFilename(next.filename);
+    setResponsive(next.responsive);
+    setSizePolicy(next.sizePolicy);
+    setWatermark(next.watermark);
+    setBackground(next.background);
+    setIconSet(next.iconSet);
+  };
+
+  const updatePresets = (next) => {
+    setPresets(next);
+    savePresets(next);
+  };
+
+  // Saving under an existing name replaces that preset.
+  const saveCurrentAsPreset = () => {
+    const name = presetName.trim();
+    if (!name) return;
+    const preset = createPreset(name, currentSettings);
+    updatePresets([
+      ...presets.filter((p) => p.name.toLowerCase() !== name.toLowerCase()),
+      preset,
+    ]);
+    setPresetName("");
+  };
+
+  const deletePreset = (id) =>
+    updatePresets(presets.filter((preset) => preset.id !== id));
+
+  const downloadPresets = () =>
+    downloadBlob(exportPresets(presets), "convert-that-image-presets.json");
+
+  const handlePresetImport = async (e) => {
+    const input = e.target;
+    const file = input.files[0];
+    input.value = null;
+    if (!file) return;
+    try {
+      const imported = parsePresetFile(await file.text());
+      const names = new Set(imported.map((p) => p.name.toLowerCase()));
+      updatePresets([
+        ...presets.filter((p) => !names.has(p.name.toLowerCase())),
+        ...imported,
+      ]);
+      setError("");
+    } catch (error) {
+      setError(error.message);
+    }
+  };
+
+  // Pending rows preview the name with the current settings; finished rows
+  // use what they were actually converted with, and never keep a {token}
+  // (a kept original has no quality; a file that couldn't be read, no hash).
+  const outputNames = useMemo(
+    () =>
+      buildOutputNames(displayList, filename, (image) =>
+        image.status === "done"
+          ? {
+              extension: resultExtension(image),
+              width: image.width,
+              height: image.height,
+              quality: image.quality ?? "",
+              hash: image.hash?.slice(0, 8) ?? "",
+            }
+          : {
+              extension: OUTPUT_FORMATS[outputFormat].extension,
+              quality:
+                targetSize.enabled || targetSsim.enabled ? null : quality,
+            }
+      ),
+    [
+      displayList,
+      filename,
+      outputFormat,
+      quality,
+      targetSize.enabled,
+      targetSsim.enabled,
+    ]
+  );
+
+  // Rows restored from an older session may not be hashed yet.
+  const needsHash = filename.template.includes("{hash}");
+  useEffect(() => {
+    if (!needsHash) return;
+    // A null hash means hashing was tried and failed; don't retry it.
+    const next = imageList.find(
+      (img) => img.hash === undefined && fileCache.has(img.id)
+    );
+    if (!next) return;
+    let cancelled = false;
+    hashFile(fileCache.get(next.id))
+      .catch(() => null)
+      .then((hash) => {
+        if (cancelled) return;
+        setImageList((prev) =>
+          prev.map((img) => (img.id === next.id ? { ...img, hash } : img))
+        );
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [needsHash, imageList]);
+
+  const report = useMemo(
+    () => buildReport(displayList, outputNames, batch),
+    [displayList, outputNames, batch]
+  );
+  const downloadReport = (type) =>
+    downloadBlob(
+      type === "csv"
+        ? new Blob([reportToCsv(report)], { type: "text/csv" })
+        : new Blob([reportToJson(report)], { type: "application/json" }),
+      `conversion-report.${type}`
+    );
+
+  const responsiveManifest = (images = displayList) =>
+    buildResponsiveManifest(
+      images.filter((img) => !isIconSet(img)),
+      outputNames,
+      responsive.sizes
+    );
+  const downloadResponsiveManifest = () =>
+    downloadBlob(
+      new Blob([JSON.stringify(responsiveManifest(), null, 2)], {
+        type: "application/json",
+      }),
+      "responsive-images.json"
+    );
+
+  // Sets export as a folder: responsive ones with a <picture> snippet, icon
+  // sets with favicon.ico, a web manifest and <link> tags.
+  const zipEntriesFor = async (image) => {
+    const outputName = outputNames.get(image.id);
+    if (!image.variants) {
+      const resultId = image.duplicateOf ?? image.id;
+      return resultCache.has(resultId)
+        ? [{ path: outputName, blob: resultCache.get(resultId), image }]
+        : [];
+    }
+    const variants = uniqueVariants(image.variants).filter((variant) =>
+      resultCache.has(variant.id)
+    );
+    if (variants.length === 0) return [];
+    const folder = variantFolder(outputName);
+    const files = variants.map((variant) => ({
+      path: variantPath(outputName, variant),
+      blob: resultCache.get(variant.id),
+      image,
+      variant,
+    }));
+    if (!isIconSet(image)) {
+      return [
+        ...files,
+        {
+          path: `${folder}/picture.html`,
+          blob: new Blob(
+            [buildPictureSnippet(image, outputName, responsive.sizes)],
+            { type: "text/html" }
+          ),
+        },
+      ];
+    }
+    const ico = await buildFaviconIco(image, resultCache);
+    const manifest = buildWebManifest(image, iconSet, folder.split("/").pop());
+    return [
+      ...files,
+      ...(ico ? [{ path: `${folder}/favicon.ico`, blob: ico }] : []),
+      {
+        path: `${folder}/site.webmanifest`,
+        blob: new Blob([JSON.stringify(manifest, null, 2)], {
+          type: "application/manifest+json",
+        }),
+      },
+      {
+        path: `${folder}/icons.html`,
+        blob: new Blob([buildIconLinks(image, iconSet)], {
+          type: "text/html",
+        }),
+      },
+    ];
+  };
+
+  const downloadAsZip = async (images) => {
+    const done = images.filter((img) => img.status === "done");
+    if (done.length === 0) {
+      setError("No converted images to download.");
+      return;
+    }
+    // See pickSaveTarget: nothing may be awaited before it.
+    const maxPartBytes = zipPartMegabytes * 1024 * 1024;
+    let saveHandle = null;
+    try {
+      saveHandle = await pickSaveTarget(`${ZIP_BASE_NAME}.zip`, {
+        split: maxPartBytes > 0,
+      });
+    } catch (e) {
+      // Anything but a dismissed dialog falls back to a regular download.
+      if (e.name === "AbortError") return;
+    }
+
+    // Folders from a directory upload or drop are recreated in the ZIP.
+    const entries = (await Promise.all(done.map(zipEntriesFor))).flat();
+    if (entries.some((entry) => entry.variant && !entry.variant.purpose)) {
+      entries.push({
+        path: "responsive-images.json",
+        blob: new Blob([JSON.stringify(responsiveManifest(images), null, 2)], {
+          type: "application/json",
+        }),
+      });
+    }
+    if (entries.length === 0) {
       setError("No converted images to download.");
       return;
     }
+
+    const downloads = saveHandle
+      ? 0
+      : planExport(entries, maxPartBytes, null).length;
+    setZipNotice(
+      downloads > 1
+        ? `This export downloads ${downloads} files. If your browser asks, allow multiple downloads, or only the first part arrives.`
+        : ""
+    );
+
+    const controller = new AbortController();
+    zipAbortRef.current = controller;
     setIsZipping(true);
+    setZipProgress({ part: 1, parts: 1, fraction: 0 });
     setError("");
-    const zip = new JSZip();
-    for (const image of convertedImages) {
-      try {
-        const response = await fetch(image.convertedUrl);
-        const blob = await response.blob();
-        zip.file(`${image.originalName}.webp`, blob);
-      } catch (e) {
-        console.error(`Could not add ${image.originalName} to zip:`, e);
+    try {
+      await exportArchives({
+        entries,
+        baseName: ZIP_BASE_NAME,
+        maxPartBytes,
+        buildManifest,
+        saveHandle,
+        signal: controller.signal,
+        // Chunks arrive far more often than the bar can visibly move.
+        onProgress: (progress) =>
+          setZipProgress((prev) =>
+            prev?.part === progress.part &&
+            Math.round(prev.fraction * 200) ===
+              Math.round(progress.fraction * 200)
+              ? prev
+              : progress
+          ),
+      });
+    } catch (e) {
+      if (e.name !== "AbortError") {
+        setError(`Could not create the ZIP: ${e.message}`);
       }
-    }
-    zip.generateAsync({ type: "blob" }).then((content) => {
-      const link = document.createElement("a");
-      link.href = URL.createObjectURL(content);
-      link.download = "converted_images.zip";
-      document.body.appendChild(link);
-      link.click();
-      document.body.removeChild(link);
-      URL.revokeObjectURL(link.href);
+    } finally {
+      zipAbortRef.current = null;
       setIsZipping(false);
-    });
+      setZipProgress(null);
+    }
   };
 
-  const processableCount = imageList.filter(
-    (i) => i.status === "pending" || i.status === "error"
+  const downloadAllAsZip = () => downloadAsZip(displayList);
+
+  const isConverting = poolStatus.queued + poolStatus.active > 0;
+
+  // Wall-clock time from the pool getting busy until it's idle again.
+  useEffect(() => {
+    if (isConverting) {
+      setBatch({ startedAt: Date.now(), finishedAt: null });
+    } else {
+      setBatch((prev) =>
+        prev.startedAt && !prev.finishedAt
+          ? { ...prev, finishedAt: Date.now() }
+          : prev
+      );
+    }
+  }, [isConverting]);
+  const processableCount = displayList.filter(
+    (i) => (i.status === "pending" || i.status === "error") && !i.duplicateOf
   ).length;
-  const doneCount = imageList.filter((i) => i.status === "done").length;
+  const doneCount = displayList.filter((i) => i.status === "done").length;
+  const editedImage = imageList.find((img) => img.id === editingId);
+  const comparedImage = displayList.find(
+    (img) => img.id === comparisonId && img.convertedUrl
+  );
+  const selectedFormat = OUTPUT_FORMATS[outputFormat];
+  const allPresets = [...BUILT_IN_PRESETS, ...presets];
+  const activePreset = allPresets.find((preset) =>
+    settingsEqual(preset.settings, currentSettings)
+  );
+  const usesWasmWebp = outputFormat === "webp" && encoder === "wasm";
+  const updateWebpOptions = (changes) =>
+    setWebpOptions((prev) => ({ ...prev, ...changes }));
+  const updateTargetSize = (changes) =>
+    setTargetSize((prev) => ({ ...prev, ...changes }));
+  const compressionMode = targetSize.enabled
+    ? "target"
+    : targetSsim.enabled
+    ? "ssim"
+    : "quality";
+  const changeCompressionMode = (mode) => {
+    updateTargetSize({ enabled: mode === "target" });
+    setTargetSsim((prev) => ({ ...prev, enabled: mode === "ssim" }));
+  };
+  const updateAnimation = (changes) =>
+    setAnimation((prev) => ({ ...prev, ...changes }));
+  const updateMetadata = (changes) =>
+    setMetadata((prev) => ({ ...prev, ...changes }));
+  const updateFilename = (changes) =>
+    setFilename((prev) => ({ ...prev, ...changes }));
+  const insertFilenameToken = (token) =>
+    updateFilename({ template: `${filename.template}{${token}}` });
+  const metadataPreset =
+    Object.keys(METADATA_PRESETS).find((key) =>
+      Object.entries(METADATA_PRESETS[key].options).every(
+        ([option, value]) => metadata[option] === value
+      )
+    ) ?? "custom";
+  const updateSizePolicy = (changes) =>
+    setSizePolicy((prev) => ({ ...prev, ...changes }));
+  const changeDuplicateMode = (mode) => {
+    setDuplicateMode(mode);
+    localStorage.setItem(DUPLICATE_MODE_KEY, mode);
+  };
+  const updateResponsive = (changes) => {
+    setResponsive((prev) => ({ ...prev, ...changes }));
+    if (changes.enabled) setIconSet((prev) => ({ ...prev, enabled: false }));
+  };
+  const toggleResponsiveFormat = (format, enabled) =>
+    updateResponsive({
+      formats: RESPONSIVE_FORMAT_ORDER.filter((key) =>
+        key === format ? enabled : responsive.formats.includes(key)
+      ),
+    });
+  const responsiveWidths = parseWidths(responsive.widths);
+  const unsupportedResponsiveFormats = responsive.formats.filter(
+    (format) => encodableFormats !== null && !encodableFormats[format]
+  );
+  const hasResponsiveResults = displayList.some(
+    (img) =>
+      img.variants && !isIconSet(img) && uniqueVariants(img.variants).length > 0
+  );
+  const updateIconSet = (changes) => {
+    setIconSet((prev) => ({ ...prev, ...changes }));
+    if (changes.enabled) updateResponsive({ enabled: false });
+  };
+  const updateBackground = (changes) =>
+    setBackground((prev) => ({ ...prev, ...changes }));
+  const updateWatermark = (changes) =>
+    setWatermark((prev) => ({ ...prev, ...changes }));
+  const handleLogoUpload = async (e) => {
+    const input = e.target;
+    const file = input.files[0];
+    input.value = null;
+    if (!file) return;
+    try {
+      updateWatermark({ logo: await readLogo(file), logoName: file.name });
+      setError("");
+    } catch (error) {
+      setError(error.message);
+    }
+  };
+  const updateResize = (changes) =>
+    setResize((prev) => ({ ...prev, ...changes }));
+  // Empty number inputs clear a dimension instead of snapping to zero.
+  const readDimension = (e) =>
+    e.target.value === "" ? 0 : Math.max(1, Number(e.target.value));
+  const isFormatUnsupported =
+    encodableFormats !== null && !encodableFormats[outputFormat];
 
   return (
-    <div className="text-slate-800 flex flex-col items-center px-4 pt-8 sm:pt-10 lg:pt-12 pb-10">
+    <convert-that-image
+      ref={converterRef}
+      className="text-slate-800 flex flex-col items-center px-4 pt-8 sm:pt-10 lg:pt-12 pb-10"
+    >
       <div className="w-full max-w-7xl">
         <header className="text-center mb-12">
           <div className="flex justify-center mb-6">
@@ -450,8 +1770,8 @@ export default function ConvertThatImagePage() {
             Convert That Image
           </h1>
           <p className="text-slate-600 mt-4 max-w-2xl mx-auto text-lg">
-            The fastest, most reliable way to batch convert your images to the
-            modern WebP format.
+            The fastest, most reliable way to batch convert your images to WebP,
+            AVIF, JPEG or PNG.
           </p>
         </header>
         <main className="bg-white/50 p-4 sm:p-6 rounded-2xl shadow-lg border border-slate-200/80 backdrop-blur-lg">
@@ -460,18 +1780,33 @@ export default function ConvertThatImagePage() {
               <h2 className="text-xl font-semibold mb-4 flex items-center text-slate-800">
                 <Upload className="mr-2" /> Upload Images
               </h2>
+              <input
+                type="file"
+                accept={INPUT_ACCEPT}
+                onChange={handleImageUpload}
+                ref={fileInputRef}
+                className="hidden"
+                multiple
+              />
+              <input
+                type="file"
+                onChange={handleImageUpload}
+                ref={folderInputRef}
+                className="hidden"
+                webkitdirectory=""
+                multiple
+              />
               <button
                 onClick={triggerFileInput}
-                className="w-full border-2 border-dashed border-slate-300 rounded-xl p-8 text-center cursor-pointer hover:border-indigo-500 hover:bg-indigo-50/80 transition-all duration-300 group"
+                onDragOver={handleDragOver}
+                onDragLeave={handleDragLeave}
+                onDrop={handleDrop}
+                className={`w-full border-2 border-dashed rounded-xl p-8 text-center cursor-pointer hover:border-indigo-500 hover:bg-indigo-50/80 transition-all duration-300 group ${
+                  isDragging
+                    ? "border-indigo-500 bg-indigo-50/80"
+                    : "border-slate-300"
+                }`}
               >
-                <input
-                  type="file"
-                  accept="image/png, image/jpeg"
-                  onChange={handleImageUpload}
-                  ref={fileInputRef}
-                  className="hidden"
-                  multiple
-                />
                 <ImageIcon
                   className="mx-auto text-slate-400 mb-2 transition-transform duration-300 group-hover:scale-110"
                   size={48}
@@ -480,9 +1815,34 @@ export default function ConvertThatImagePage() {
                   Click to browse or drag & drop
                 </p>
                 <p className="text-xs text-slate-500 mt-1">
-                  Select multiple PNG or JPG files
+                  PNG, JPG, GIF, BMP, TIFF, SVG, WebP, AVIF or HEIC
                 </p>
               </button>
+              <div className="flex items-center justify-between gap-3 mt-3">
+                <button
+                  onClick={triggerFolderInput}
+                  className="flex items-center text-sm font-medium text-indigo-600 hover:text-indigo-700"
+                >
+                  <FolderOpen size={16} className="mr-1.5" /> Select a folder
+                </button>
+                <p className="text-xs text-slate-500">
+                  Or paste a screenshot with Ctrl+V
+                </p>
+              </div>
+              <label className="flex items-center justify-between gap-3 mt-4 text-sm text-slate-600">
+                Identical files
+                <select
+                  value={duplicateMode}
+                  onChange={(e) => changeDuplicateMode(e.target.value)}
+                  className="p-2 text-sm bg-white border border-slate-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                >
+                  {Object.entries(DUPLICATE_MODES).map(([key, label]) => (
+                    <option key={key} value={key}>
+                      {label}
+                    </option>
+                  ))}
+                </select>
+              </label>
             </div>
             <div className="lg:col-span-3 bg-white/80 p-6 rounded-xl flex flex-col justify-between shadow-sm border border-slate-200/80">
               <div>
@@ -490,21 +1850,1205 @@ export default function ConvertThatImagePage() {
                   <Settings className="mr-2" /> Conversion Settings
                 </h2>
                 <label
-                  htmlFor="quality"
+                  htmlFor="preset"
                   className="block text-sm font-medium text-slate-600"
                 >
-                  Quality:{" "}
-                  <span className="font-bold text-indigo-600">{quality}</span>
+                  Preset
+                </label>
+                <div className="flex items-center gap-2 mt-2">
+                  <select
+                    id="preset"
+                    value={activePreset?.id ?? ""}
+                    onChange={(e) =>
+                      applySettings(
+                        allPresets.find((p) => p.id === e.target.value).settings
+                      )
+                    }
+                    className="flex-grow min-w-0 p-2 text-sm bg-white border border-slate-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                  >
+                    {!activePreset && (
+                      <option value="" disabled>
+                        Custom settings
+                      </option>
+                    )}
+                    <optgroup label="Built-in">
+                      {BUILT_IN_PRESETS.map((preset) => (
+                        <option key={preset.id} value={preset.id}>
+                          {preset.name}
+                        </option>
+                      ))}
+                    </optgroup>
+                    {presets.length > 0 && (
+                      <optgroup label="Saved">
+                        {presets.map((preset) => (
+                          <option key={preset.id} value={preset.id}>
+                            {preset.name}
+                          </option>
+                        ))}
+                      </optgroup>
+                    )}
+                  </select>
+                  <button
+                    onClick={() => deletePreset(activePreset.id)}
+                    disabled={!presets.includes(activePreset)}
+                    className="p-2 rounded-lg text-slate-400 hover:text-red-500 hover:bg-red-100 disabled:opacity-30 disabled:pointer-events-none"
+                    title="Delete this preset"
+                  >
+                    <Trash2 size={18} />
+                  </button>
+                </div>
+                <div className="flex items-center gap-2 mt-2">
+                  <input
+                    type="text"
+                    value={presetName}
+                    onChange={(e) => setPresetName(e.target.value)}
+                    onKeyDown={(e) =>
+                      e.key === "Enter" && saveCurrentAsPreset()
+                    }
+                    placeholder="Name these settings..."
+                    className="flex-grow min-w-0 p-2 text-sm bg-white border border-slate-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                  />
+                  <button
+                    onClick={saveCurrentAsPreset}
+                    disabled={!presetName.trim()}
+                    className="p-2 rounded-lg text-slate-500 hover:text-indigo-600 hover:bg-indigo-100 disabled:opacity-30 disabled:pointer-events-none"
+                    title="Save as preset"
+                  >
+                    <Save size={18} />
+                  </button>
+                  <button
+                    onClick={downloadPresets}
+                    disabled={presets.length === 0}
+                    className="p-2 rounded-lg text-slate-500 hover:text-indigo-600 hover:bg-indigo-100 disabled:opacity-30 disabled:pointer-events-none"
+                    title="Export saved presets"
+                  >
+                    <FileDown size={18} />
+                  </button>
+                  <button
+                    onClick={() => presetInputRef.current.click()}
+                    className="p-2 rounded-lg text-slate-500 hover:text-indigo-600 hover:bg-indigo-100"
+                    title="Import presets"
+                  >
+                    <FileUp size={18} />
+                  </button>
+                  <input
+                    type="file"
+                    accept="application/json,.json"
+                    onChange={handlePresetImport}
+                    ref={presetInputRef}
+                    className="hidden"
+                  />
+                </div>
+                <label
+                  htmlFor="output-format"
+                  className="block text-sm font-medium text-slate-600 mt-4"
+                >
+                  Output Format
+                </label>
+                <select
+                  id="output-format"
+                  value={outputFormat}
+                  onChange={(e) => setOutputFormat(e.target.value)}
+                  className="w-full mt-2 mb-4 p-2 text-sm bg-white border border-slate-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                >
+                  {Object.entries(OUTPUT_FORMATS).map(([key, format]) => (
+                    <option key={key} value={key}>
+                      {format.label}
+                      {encodableFormats && !encodableFormats[key]
+                        ? " (not supported by this browser)"
+                        : ""}
+                    </option>
+                  ))}
+                </select>
+                {isFormatUnsupported && (
+                  <p className="-mt-2 mb-4 text-xs text-amber-600">
+                    This browser can&apos;t encode {selectedFormat.label}{" "}
+                    images, so conversions will fail. Try another browser or
+                    pick a different format.
+                  </p>
+                )}
+                {outputFormat === "webp" && (
+                  <>
+                    <label
+                      htmlFor="encoder"
+                      className="block text-sm font-medium text-slate-600"
+                    >
+                      Encoder
+                    </label>
+                    <select
+                      id="encoder"
+                      value={encoder}
+                      onChange={(e) => setEncoder(e.target.value)}
+                      className="w-full mt-2 mb-4 p-2 text-sm bg-white border border-slate-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                    >
+                      {Object.entries(ENCODERS).map(([key, label]) => (
+                        <option key={key} value={key}>
+                          {label}
+                        </option>
+                      ))}
+                    </select>
+                  </>
+                )}
+                <label
+                  htmlFor="compression-mode"
+                  className="block text-sm font-medium text-slate-600"
+                >
+                  Compression
+                </label>
+                <select
+                  id="compression-mode"
+                  value={compressionMode}
+                  onChange={(e) => changeCompressionMode(e.target.value)}
+                  className="w-full mt-2 mb-4 p-2 text-sm bg-white border border-slate-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                >
+                  <option value="quality">Fixed quality</option>
+                  <option value="target">Target file size</option>
+                  <option value="ssim">Auto quality (target SSIM)</option>
+                </select>
+                {compressionMode === "ssim" && (
+                  <>
+                    <label
+                      htmlFor="target-ssim"
+                      className="block text-sm font-medium text-slate-600"
+                    >
+                      Target SSIM:{" "}
+                      <span className="font-bold text-indigo-600">
+                        {targetSsim.ssim.toFixed(3)}
+                      </span>
+                    </label>
+                    <input
+                      id="target-ssim"
+                      type="range"
+                      min="0.9"
+                      max="0.999"
+                      step="0.001"
+                      value={targetSsim.ssim}
+                      onChange={(e) =>
+                        setTargetSsim((prev) => ({
+                          ...prev,
+                          ssim: Number(e.target.value),
+                        }))
+                      }
+                      disabled={!selectedFormat.lossy}
+                      className="w-full h-2 bg-slate-200 rounded-lg appearance-none cursor-pointer accent-indigo-600 mt-2 disabled:opacity-50 disabled:cursor-not-allowed"
+                    />
+                    <p className="mt-1 text-xs text-slate-500">
+                      Each image gets the lowest quality (down to{" "}
+                      {MIN_SEARCH_QUALITY}) whose output still looks this close
+                      to the source, so detailed photos get more and flat
+                      graphics less. Around 0.98 is hard to tell apart; lossless
+                      output and animations use the regular settings.
+                    </p>
+                  </>
+                )}
+                {compressionMode === "target" ? (
+                  <>
+                    <label
+                      htmlFor="target-size"
+                      className="block text-sm font-medium text-slate-600"
+                    >
+                      Target Size (KB)
+                    </label>
+                    <input
+                      id="target-size"
+                      type="number"
+                      min="1"
+                      value={targetSize.kilobytes}
+                      onChange={(e) =>
+                        updateTargetSize({
+                          kilobytes: Math.max(1, Number(e.target.value) || 1),
+                        })
+                      }
+                      className="w-full mt-2 p-2 text-sm bg-white border border-slate-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                    />
+                    <label className="flex items-center gap-2 mt-2 text-sm text-slate-600">
+                      <input
+                        type="checkbox"
+                        checked={targetSize.allowDownscale}
+                        onChange={(e) =>
+                          updateTargetSize({ allowDownscale: e.target.checked })
+                        }
+                        className="accent-indigo-600"
+                      />
+                      Reduce resolution if the lowest quality is still too big
+                    </label>
+                    <p className="mt-1 text-xs text-slate-500">
+                      Each image gets the highest quality that stays under the
+                      target. Animations use the regular quality setting.
+                    </p>
+                  </>
+                ) : compressionMode === "quality" ? (
+                  <>
+                    <label
+                      htmlFor="quality"
+                      className="block text-sm font-medium text-slate-600"
+                    >
+                      {usesWasmWebp && webpOptions.lossless
+                        ? "Compression Effort: "
+                        : "Quality: "}
+                      <span className="font-bold text-indigo-600">
+                        {selectedFormat.lossy ? quality : "Lossless"}
+                      </span>
+                    </label>
+                    <input
+                      id="quality"
+                      type="range"
+                      min="0"
+                      max="100"
+                      value={quality}
+                      onChange={(e) => setQuality(Number(e.target.value))}
+                      disabled={!selectedFormat.lossy}
+                      className="w-full h-2 bg-slate-200 rounded-lg appearance-none cursor-pointer accent-indigo-600 mt-2 disabled:opacity-50 disabled:cursor-not-allowed"
+                    />
+                  </>
+                ) : null}
+                {usesWasmWebp && (
+                  <details className="mt-4 rounded-lg border border-slate-200 p-3">
+                    <summary className="text-sm font-medium text-slate-600 cursor-pointer">
+                      Advanced WebP Options
+                    </summary>
+                    <div className="mt-3 space-y-3 text-sm text-slate-600">
+                      <label className="flex items-center gap-2">
+                        <input
+                          type="checkbox"
+                          checked={webpOptions.lossless}
+                          onChange={(e) =>
+                            updateWebpOptions({ lossless: e.target.checked })
+                          }
+                          className="accent-indigo-600"
+                        />
+                        Lossless
+                      </label>
+                      <label className="block text-xs text-slate-500">
+                        Near-lossless:{" "}
+                        <span className="font-bold text-indigo-600">
+                          {webpOptions.nearLossless === 100
+                            ? "Off"
+                            : webpOptions.nearLossless}
+                        </span>
+                        <input
+                          type="range"
+                          min="0"
+                          max="100"
+                          value={webpOptions.nearLossless}
+                          disabled={!webpOptions.lossless}
+                          onChange={(e) =>
+                            updateWebpOptions({
+                              nearLossless: Number(e.target.value),
+                            })
+                          }
+                          className="w-full h-2 bg-slate-200 rounded-lg appearance-none cursor-pointer accent-indigo-600 mt-2 disabled:opacity-50 disabled:cursor-not-allowed"
+                        />
+                      </label>
+                      <label className="block text-xs text-slate-500">
+                        Method (speed vs. size):{" "}
+                        <span className="font-bold text-indigo-600">
+                          {webpOptions.method}
+                        </span>
+                        <input
+                          type="range"
+                          min="0"
+                          max="6"
+                          value={webpOptions.method}
+                          onChange={(e) =>
+                            updateWebpOptions({
+                              method: Number(e.target.value),
+                            })
+                          }
+                          className="w-full h-2 bg-slate-200 rounded-lg appearance-none cursor-pointer accent-indigo-600 mt-2"
+                        />
+                      </label>
+                      <label className="block text-xs text-slate-500">
+                        Alpha quality:{" "}
+                        <span className="font-bold text-indigo-600">
+                          {webpOptions.alphaQuality}
+                        </span>
+                        <input
+                          type="range"
+                          min="0"
+                          max="100"
+                          value={webpOptions.alphaQuality}
+                          onChange={(e) =>
+                            updateWebpOptions({
+                              alphaQuality: Number(e.target.value),
+                            })
+                          }
+                          className="w-full h-2 bg-slate-200 rounded-lg appearance-none cursor-pointer accent-indigo-600 mt-2"
+                        />
+                      </label>
+                      <label className="flex items-center gap-2">
+                        <input
+                          type="checkbox"
+                          checked={webpOptions.sharpYuv}
+                          disabled={webpOptions.lossless}
+                          onChange={(e) =>
+                            updateWebpOptions({ sharpYuv: e.target.checked })
+                          }
+                          className="accent-indigo-600"
+                        />
+                        Sharp YUV (crisper colour edges, slower)
+                      </label>
+                    </div>
+                  </details>
+                )}
+                <label className="flex items-center gap-2 mt-4 text-sm font-medium text-slate-600">
+                  <input
+                    type="checkbox"
+                    checked={sizePolicy.neverLarger}
+                    onChange={(e) =>
+                      updateSizePolicy({ neverLarger: e.target.checked })
+                    }
+                    className="accent-indigo-600"
+                  />
+                  Never larger than the original
+                </label>
+                {sizePolicy.neverLarger && (
+                  <>
+                    <select
+                      value={sizePolicy.fallback}
+                      onChange={(e) =>
+                        updateSizePolicy({ fallback: e.target.value })
+                      }
+                      className="w-full mt-2 p-2 text-sm bg-white border border-slate-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                    >
+                      {Object.entries(SIZE_POLICY_FALLBACKS).map(
+                        ([key, label]) => (
+                          <option key={key} value={key}>
+                            {label}
+                          </option>
+                        )
+                      )}
+                    </select>
+                    <p className="mt-1 text-xs text-slate-500">
+                      {SIZE_POLICY_SUMMARY}
+                    </p>
+                  </>
+                )}
+                <label
+                  htmlFor="animation-frame-step"
+                  className="block text-sm font-medium text-slate-600 mt-4"
+                >
+                  Animated GIF / APNG
+                </label>
+                <label className="flex items-center gap-2 mt-2 text-sm text-slate-600">
+                  <input
+                    type="checkbox"
+                    checked={animation.preserve}
+                    onChange={(e) =>
+                      updateAnimation({ preserve: e.target.checked })
+                    }
+                    className="accent-indigo-600"
+                  />
+                  Keep animation (WebP output only; other formats get the first
+                  frame)
+                </label>
+                {animation.preserve && (
+                  <div className="grid grid-cols-2 gap-3 mt-3">
+                    <label className="text-xs text-slate-500">
+                      Keep every
+                      <select
+                        id="animation-frame-step"
+                        value={animation.frameStep}
+                        onChange={(e) =>
+                          updateAnimation({
+                            frameStep: Number(e.target.value),
+                          })
+                        }
+                        className="w-full mt-1 p-2 text-sm bg-white border border-slate-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                      >
+                        {[1, 2, 3, 4].map((step) => (
+                          <option key={step} value={step}>
+                            {step === 1 ? "frame" : `${step} frames`}
+                          </option>
+                        ))}
+                      </select>
+                    </label>
+                    <label className="text-xs text-slate-500">
+                      Max FPS (0 = no cap)
+                      <input
+                        type="number"
+                        min="0"
+                        max="60"
+                        value={animation.maxFps}
+                        onChange={(e) =>
+                          updateAnimation({
+                            maxFps: Math.min(
+                              60,
+                              Math.max(0, Number(e.target.value) || 0)
+                            ),
+                          })
+                        }
+                        className="w-full mt-1 p-2 text-sm bg-white border border-slate-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                      />
+                    </label>
+                  </div>
+                )}
+                <label
+                  htmlFor="svg-width"
+                  className="block text-sm font-medium text-slate-600 mt-4"
+                >
+                  SVG Render Width (px)
                 </label>
                 <input
-                  id="quality"
-                  type="range"
-                  min="0"
-                  max="100"
-                  value={quality}
-                  onChange={(e) => setQuality(Number(e.target.value))}
-                  className="w-full h-2 bg-slate-200 rounded-lg appearance-none cursor-pointer accent-indigo-600 mt-2"
+                  id="svg-width"
+                  type="number"
+                  min="1"
+                  max="16384"
+                  value={svgWidth}
+                  onChange={(e) =>
+                    setSvgWidth(
+                      Math.min(16384, Math.max(1, Number(e.target.value) || 1))
+                    )
+                  }
+                  className="w-full mt-2 p-2 text-sm bg-white border border-slate-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500"
                 />
+                <p className="mt-1 text-xs text-slate-500">
+                  SVGs are rasterized at this width; height follows their aspect
+                  ratio.
+                </p>
+                <label
+                  htmlFor="resize-mode"
+                  className="block text-sm font-medium text-slate-600 mt-4"
+                >
+                  Resize
+                </label>
+                <select
+                  id="resize-mode"
+                  value={resize.mode}
+                  onChange={(e) => updateResize({ mode: e.target.value })}
+                  className="w-full mt-2 p-2 text-sm bg-white border border-slate-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                >
+                  {Object.entries(RESIZE_MODES).map(([key, label]) => (
+                    <option key={key} value={key}>
+                      {label}
+                    </option>
+                  ))}
+                </select>
+                {resize.mode === "max" && (
+                  <div className="grid grid-cols-2 gap-3 mt-3">
+                    <label className="text-xs text-slate-500">
+                      Max width (px)
+                      <input
+                        type="number"
+                        min="1"
+                        value={resize.maxWidth || ""}
+                        onChange={(e) =>
+                          updateResize({ maxWidth: readDimension(e) })
+                        }
+                        className="w-full mt-1 p-2 text-sm bg-white border border-slate-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                      />
+                    </label>
+                    <label className="text-xs text-slate-500">
+                      Max height (px)
+                      <input
+                        type="number"
+                        min="1"
+                        value={resize.maxHeight || ""}
+                        onChange={(e) =>
+                          updateResize({ maxHeight: readDimension(e) })
+                        }
+                        className="w-full mt-1 p-2 text-sm bg-white border border-slate-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                      />
+                    </label>
+                  </div>
+                )}
+                {resize.mode === "scale" && (
+                  <label className="block text-xs text-slate-500 mt-3">
+                    Scale:{" "}
+                    <span className="font-bold text-indigo-600">
+                      {resize.scalePercent}%
+                    </span>
+                    <input
+                      type="range"
+                      min="1"
+                      max="200"
+                      value={resize.scalePercent}
+                      onChange={(e) =>
+                        updateResize({ scalePercent: Number(e.target.value) })
+                      }
+                      className="w-full h-2 bg-slate-200 rounded-lg appearance-none cursor-pointer accent-indigo-600 mt-2"
+                    />
+                  </label>
+                )}
+                {resize.mode === "exact" && (
+                  <div className="grid grid-cols-3 gap-3 mt-3">
+                    <label className="text-xs text-slate-500">
+                      Width (px)
+                      <input
+                        type="number"
+                        min="1"
+                        value={resize.width || ""}
+                        onChange={(e) =>
+                          updateResize({ width: readDimension(e) })
+                        }
+                        className="w-full mt-1 p-2 text-sm bg-white border border-slate-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                      />
+                    </label>
+                    <label className="text-xs text-slate-500">
+                      Height (px)
+                      <input
+                        type="number"
+                        min="1"
+                        value={resize.height || ""}
+                        onChange={(e) =>
+                          updateResize({ height: readDimension(e) })
+                        }
+                        className="w-full mt-1 p-2 text-sm bg-white border border-slate-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                      />
+                    </label>
+                    <label className="text-xs text-slate-500">
+                      Fit
+                      <select
+                        value={resize.fit}
+                        onChange={(e) => updateResize({ fit: e.target.value })}
+                        className="w-full mt-1 p-2 text-sm bg-white border border-slate-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                      >
+                        {Object.entries(FIT_MODES).map(([key, label]) => (
+                          <option key={key} value={key}>
+                            {label}
+                          </option>
+                        ))}
+                      </select>
+                    </label>
+                  </div>
+                )}
+                {resize.mode !== "none" && (
+                  <div className="flex flex-wrap gap-x-6 gap-y-2 mt-3 text-sm text-slate-600">
+                    <label className="flex items-center gap-2">
+                      <input
+                        type="checkbox"
+                        checked={resize.withoutEnlargement}
+                        onChange={(e) =>
+                          updateResize({
+                            withoutEnlargement: e.target.checked,
+                          })
+                        }
+                        className="accent-indigo-600"
+                      />
+                      Never upscale
+                    </label>
+                    <label className="flex items-center gap-2">
+                      <input
+                        type="checkbox"
+                        checked={resize.highQuality}
+                        onChange={(e) =>
+                          updateResize({ highQuality: e.target.checked })
+                        }
+                        className="accent-indigo-600"
+                      />
+                      High-quality downsampling
+                    </label>
+                  </div>
+                )}
+                <label className="block text-sm font-medium text-slate-600 mt-4">
+                  Background &amp; Transparency
+                </label>
+                <div className="mt-2 space-y-3 text-sm text-slate-600">
+                  <div className="flex items-center gap-2">
+                    <label className="flex items-center gap-2">
+                      <input
+                        type="checkbox"
+                        checked={background.flatten}
+                        onChange={(e) =>
+                          updateBackground({ flatten: e.target.checked })
+                        }
+                        className="accent-indigo-600"
+                      />
+                      Flatten onto
+                    </label>
+                    <input
+                      type="color"
+                      value={background.color}
+                      disabled={!background.flatten}
+                      onChange={(e) =>
+                        updateBackground({ color: e.target.value })
+                      }
+                      title="Background colour"
+                      className="w-10 h-7 p-0.5 bg-white border border-slate-300 rounded cursor-pointer disabled:opacity-50 disabled:cursor-not-allowed"
+                    />
+                  </div>
+                  {outputFormat === "jpeg" && !background.flatten && (
+                    <p className="text-xs text-slate-500">
+                      JPEG can&apos;t store transparency; without flattening,
+                      transparent areas come out black.
+                    </p>
+                  )}
+                  <label className="flex items-center gap-2">
+                    <input
+                      type="checkbox"
+                      checked={background.trim}
+                      onChange={(e) =>
+                        updateBackground({ trim: e.target.checked })
+                      }
+                      className="accent-indigo-600"
+                    />
+                    Trim transparent or uniform borders
+                  </label>
+                  {background.trim && (
+                    <label className="block text-xs text-slate-500">
+                      Tolerance:{" "}
+                      <span className="font-bold text-indigo-600">
+                        {background.tolerance}
+                      </span>
+                      <input
+                        type="range"
+                        min="0"
+                        max="50"
+                        value={background.tolerance}
+                        onChange={(e) =>
+                          updateBackground({
+                            tolerance: Number(e.target.value),
+                          })
+                        }
+                        className="w-full h-2 bg-slate-200 rounded-lg appearance-none cursor-pointer accent-indigo-600 mt-2"
+                      />
+                    </label>
+                  )}
+                  <label className="flex items-center gap-2">
+                    <input
+                      type="checkbox"
+                      checked={background.pad}
+                      onChange={(e) =>
+                        updateBackground({ pad: e.target.checked })
+                      }
+                      className="accent-indigo-600"
+                    />
+                    Pad to an aspect ratio
+                  </label>
+                  {background.pad && (
+                    <div className="grid grid-cols-2 gap-3">
+                      <label className="text-xs text-slate-500">
+                        Aspect ratio
+                        <select
+                          value={background.aspect}
+                          onChange={(e) =>
+                            updateBackground({ aspect: e.target.value })
+                          }
+                          className="w-full mt-1 p-2 text-sm bg-white border border-slate-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                        >
+                          {Object.entries(PAD_ASPECTS).map(
+                            ([key, { label }]) => (
+                              <option key={key} value={key}>
+                                {label}
+                              </option>
+                            )
+                          )}
+                        </select>
+                      </label>
+                      <label className="text-xs text-slate-500">
+                        Margin:{" "}
+                        <span className="font-bold text-indigo-600">
+                          {background.margin}%
+                        </span>
+                        <input
+                          type="range"
+                          min="0"
+                          max="40"
+                          value={background.margin}
+                          onChange={(e) =>
+                            updateBackground({
+                              margin: Number(e.target.value),
+                            })
+                          }
+                          className="w-full h-2 bg-slate-200 rounded-lg appearance-none cursor-pointer accent-indigo-600 mt-3"
+                        />
+                      </label>
+                    </div>
+                  )}
+                  {(background.trim || background.pad) && (
+                    <p className="text-xs text-slate-500">
+                      Trimming and padding happen before resizing, so an exact
+                      size still comes out exact. Padding is transparent unless
+                      flattened. Animations are padded but never trimmed.
+                    </p>
+                  )}
+                </div>
+                <label className="flex items-center gap-2 mt-4 text-sm font-medium text-slate-600">
+                  <input
+                    type="checkbox"
+                    checked={responsive.enabled}
+                    onChange={(e) =>
+                      updateResponsive({ enabled: e.target.checked })
+                    }
+                    className="accent-indigo-600"
+                  />
+                  Responsive image set
+                </label>
+                {responsive.enabled && (
+                  <div className="mt-2 space-y-3">
+                    <label className="block text-xs text-slate-500">
+                      Widths (px)
+                      <input
+                        type="text"
+                        value={responsive.widths}
+                        onChange={(e) =>
+                          updateResponsive({ widths: e.target.value })
+                        }
+                        placeholder="480, 960, 1440, 1920"
+                        className="w-full mt-1 p-2 text-sm bg-white border border-slate-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                      />
+                    </label>
+                    <div className="flex flex-wrap gap-x-6 gap-y-2 text-sm text-slate-600">
+                      {RESPONSIVE_FORMAT_ORDER.map((format) => (
+                        <label key={format} className="flex items-center gap-2">
+                          <input
+                            type="checkbox"
+                            checked={responsive.formats.includes(format)}
+                            onChange={(e) =>
+                              toggleResponsiveFormat(format, e.target.checked)
+                            }
+                            className="accent-indigo-600"
+                          />
+                          {OUTPUT_FORMATS[format].label}
+                        </label>
+                      ))}
+                    </div>
+                    <label className="block text-xs text-slate-500">
+                      sizes attribute
+                      <input
+                        type="text"
+                        value={responsive.sizes}
+                        onChange={(e) =>
+                          updateResponsive({ sizes: e.target.value })
+                        }
+                        placeholder="(min-width: 1024px) 50vw, 100vw"
+                        className="w-full mt-1 p-2 text-sm font-mono bg-white border border-slate-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                      />
+                    </label>
+                    <p className="text-xs text-slate-500">
+                      {responsiveWidths.length * responsive.formats.length}{" "}
+                      variants per image, each scaled down to its width. These
+                      replace the output format and resize settings above;
+                      widths larger than an image are only kept once.
+                    </p>
+                    {unsupportedResponsiveFormats.length > 0 && (
+                      <p className="text-xs text-amber-700">
+                        This browser can&apos;t encode{" "}
+                        {unsupportedResponsiveFormats
+                          .map((format) => OUTPUT_FORMATS[format].label)
+                          .join(", ")}
+                        ; those variants will fail.
+                      </p>
+                    )}
+                    {hasResponsiveResults && (
+                      <button
+                        onClick={downloadResponsiveManifest}
+                        className="flex items-center text-xs font-medium text-slate-600 px-2 py-1 rounded-lg hover:bg-indigo-100 hover:text-indigo-700"
+                      >
+                        <Layers size={14} className="mr-1" /> Download JSON
+                        manifest
+                      </button>
+                    )}
+                  </div>
+                )}
+                <label className="flex items-center gap-2 mt-4 text-sm font-medium text-slate-600">
+                  <input
+                    type="checkbox"
+                    checked={iconSet.enabled}
+                    onChange={(e) =>
+                      updateIconSet({ enabled: e.target.checked })
+                    }
+                    className="accent-indigo-600"
+                  />
+                  Icon set (favicons and app icons)
+                </label>
+                {iconSet.enabled && (
+                  <div className="mt-2 space-y-3">
+                    <div className="grid grid-cols-2 gap-3">
+                      <label className="text-xs text-slate-500">
+                        App name
+                        <input
+                          type="text"
+                          value={iconSet.name}
+                          onChange={(e) =>
+                            updateIconSet({ name: e.target.value })
+                          }
+                          placeholder="Defaults to the file name"
+                          className="w-full mt-1 p-2 text-sm bg-white border border-slate-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                        />
+                      </label>
+                      <label className="text-xs text-slate-500">
+                        Short name
+                        <input
+                          type="text"
+                          value={iconSet.shortName}
+                          onChange={(e) =>
+                            updateIconSet({ shortName: e.target.value })
+                          }
+                          placeholder="Defaults to the app name"
+                          className="w-full mt-1 p-2 text-sm bg-white border border-slate-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                        />
+                      </label>
+                    </div>
+                    <div className="flex flex-wrap gap-x-6 gap-y-2 text-sm text-slate-600">
+                      <label className="flex items-center gap-2">
+                        <input
+                          type="color"
+                          value={iconSet.themeColor}
+                          onChange={(e) =>
+                            updateIconSet({ themeColor: e.target.value })
+                          }
+                          className="w-10 h-7 p-0.5 bg-white border border-slate-300 rounded cursor-pointer"
+                        />
+                        Theme colour
+                      </label>
+                      <label className="flex items-center gap-2">
+                        <input
+                          type="color"
+                          value={iconSet.backgroundColor}
+                          onChange={(e) =>
+                            updateIconSet({ backgroundColor: e.target.value })
+                          }
+                          className="w-10 h-7 p-0.5 bg-white border border-slate-300 rounded cursor-pointer"
+                        />
+                        Icon background
+                      </label>
+                    </div>
+                    <label className="block text-xs text-slate-500">
+                      Maskable safe-zone padding:{" "}
+                      <span className="font-bold text-indigo-600">
+                        {iconSet.maskablePadding}%
+                      </span>
+                      <input
+                        type="range"
+                        min="10"
+                        max="30"
+                        value={iconSet.maskablePadding}
+                        onChange={(e) =>
+                          updateIconSet({
+                            maskablePadding: Number(e.target.value),
+                          })
+                        }
+                        className="w-full h-2 bg-slate-200 rounded-lg appearance-none cursor-pointer accent-indigo-600 mt-2"
+                      />
+                    </label>
+                    <p className="text-xs text-slate-500">
+                      Each image becomes favicons (16, 32 and 48 px, also
+                      bundled as favicon.ico), a 180 px Apple touch icon and 192
+                      / 512 px PWA icons in regular and maskable versions, plus
+                      site.webmanifest and the &lt;link&gt; tags in the ZIP.
+                      This replaces the output format, resize and responsive
+                      settings; Apple and maskable icons are filled with the
+                      icon background.
+                    </p>
+                  </div>
+                )}
+                <label className="flex items-center gap-2 mt-4 text-sm font-medium text-slate-600">
+                  <input
+                    type="checkbox"
+                    checked={watermark.enabled}
+                    onChange={(e) =>
+                      updateWatermark({ enabled: e.target.checked })
+                    }
+                    className="accent-indigo-600"
+                  />
+                  Watermark
+                </label>
+                {watermark.enabled && (
+                  <div className="mt-2 space-y-3">
+                    <div className="grid grid-cols-2 gap-3">
+                      <label className="text-xs text-slate-500">
+                        Type
+                        <select
+                          value={watermark.type}
+                          onChange={(e) =>
+                            updateWatermark({ type: e.target.value })
+                          }
+                          className="w-full mt-1 p-2 text-sm bg-white border border-slate-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                        >
+                          {Object.entries(WATERMARK_TYPES).map(
+                            ([key, label]) => (
+                              <option key={key} value={key}>
+                                {label}
+                              </option>
+                            )
+                          )}
+                        </select>
+                      </label>
+                      <label className="text-xs text-slate-500">
+                        Position
+                        <select
+                          value={watermark.position}
+                          disabled={watermark.tiled}
+                          onChange={(e) =>
+                            updateWatermark({ position: e.target.value })
+                          }
+                          className="w-full mt-1 p-2 text-sm bg-white border border-slate-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500 disabled:opacity-50"
+                        >
+                          {Object.entries(WATERMARK_POSITIONS).map(
+                            ([key, { label }]) => (
+                              <option key={key} value={key}>
+                                {label}
+                              </option>
+                            )
+                          )}
+                        </select>
+                      </label>
+                    </div>
+                    {watermark.type === "text" ? (
+                      <div className="flex items-end gap-3">
+                        <label className="flex-grow text-xs text-slate-500">
+                          Text
+                          <input
+                            type="text"
+                            value={watermark.text}
+                            onChange={(e) =>
+                              updateWatermark({ text: e.target.value })
+                            }
+                            placeholder="© Your Name"
+                            className="w-full mt-1 p-2 text-sm bg-white border border-slate-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                          />
+                        </label>
+                        <label className="text-xs text-slate-500">
+                          Colour
+                          <input
+                            type="color"
+                            value={watermark.color}
+                            onChange={(e) =>
+                              updateWatermark({ color: e.target.value })
+                            }
+                            className="block w-12 h-[38px] mt-1 p-1 bg-white border border-slate-300 rounded-lg cursor-pointer"
+                          />
+                        </label>
+                      </div>
+                    ) : (
+                      <div className="flex items-center gap-2">
+                        <button
+                          onClick={() => logoInputRef.current.click()}
+                          className="flex-shrink-0 flex items-center text-xs font-medium text-slate-600 px-2 py-1 rounded-lg border border-slate-300 hover:bg-indigo-100 hover:text-indigo-700"
+                        >
+                          <Upload size={14} className="mr-1" />
+                          {watermark.logo ? "Replace logo" : "Upload logo"}
+                        </button>
+                        <span className="text-xs text-slate-500 truncate">
+                          {watermark.logoName || "No logo chosen"}
+                        </span>
+                        <input
+                          type="file"
+                          accept="image/png,image/jpeg,image/webp,image/gif,image/svg+xml"
+                          onChange={handleLogoUpload}
+                          ref={logoInputRef}
+                          className="hidden"
+                        />
+                      </div>
+                    )}
+                    <div className="grid grid-cols-3 gap-3">
+                      <label className="text-xs text-slate-500">
+                        Size:{" "}
+                        <span className="font-bold text-indigo-600">
+                          {watermark.scale}%
+                        </span>
+                        <input
+                          type="range"
+                          min="1"
+                          max="100"
+                          value={watermark.scale}
+                          onChange={(e) =>
+                            updateWatermark({ scale: Number(e.target.value) })
+                          }
+                          className="w-full h-2 bg-slate-200 rounded-lg appearance-none cursor-pointer accent-indigo-600 mt-2"
+                        />
+                      </label>
+                      <label className="text-xs text-slate-500">
+                        Opacity:{" "}
+                        <span className="font-bold text-indigo-600">
+                          {watermark.opacity}%
+                        </span>
+                        <input
+                          type="range"
+                          min="5"
+                          max="100"
+                          value={watermark.opacity}
+                          onChange={(e) =>
+                            updateWatermark({ opacity: Number(e.target.value) })
+                          }
+                          className="w-full h-2 bg-slate-200 rounded-lg appearance-none cursor-pointer accent-indigo-600 mt-2"
+                        />
+                      </label>
+                      <label className="text-xs text-slate-500">
+                        Margin:{" "}
+                        <span className="font-bold text-indigo-600">
+                          {watermark.margin}%
+                        </span>
+                        <input
+                          type="range"
+                          min="0"
+                          max="25"
+                          value={watermark.margin}
+                          onChange={(e) =>
+                            updateWatermark({ margin: Number(e.target.value) })
+                          }
+                          className="w-full h-2 bg-slate-200 rounded-lg appearance-none cursor-pointer accent-indigo-600 mt-2"
+                        />
+                      </label>
+                    </div>
+                    <label className="flex items-center gap-2 text-sm text-slate-600">
+                      <input
+                        type="checkbox"
+                        checked={watermark.tiled}
+                        onChange={(e) =>
+                          updateWatermark({ tiled: e.target.checked })
+                        }
+                        className="accent-indigo-600"
+                      />
+                      Tile across the whole image
+                    </label>
+                    <p className="text-xs text-slate-500">
+                      Size is a share of each output&apos;s width and margin a
+                      share of its shorter side, so every image in the batch
+                      (and every responsive variant) gets the same look.
+                    </p>
+                  </div>
+                )}
+                <label
+                  htmlFor="metadata-preset"
+                  className="block text-sm font-medium text-slate-600 mt-4"
+                >
+                  Metadata
+                </label>
+                <select
+                  id="metadata-preset"
+                  value={metadataPreset}
+                  onChange={(e) =>
+                    updateMetadata(METADATA_PRESETS[e.target.value].options)
+                  }
+                  className="w-full mt-2 p-2 text-sm bg-white border border-slate-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                >
+                  {Object.entries(METADATA_PRESETS).map(([key, { label }]) => (
+                    <option key={key} value={key}>
+                      {label}
+                    </option>
+                  ))}
+                  {metadataPreset === "custom" && (
+                    <option value="custom" disabled>
+                      Custom
+                    </option>
+                  )}
+                </select>
+                <div className="grid grid-cols-2 gap-x-6 gap-y-2 mt-3 text-sm text-slate-600">
+                  <label className="flex items-center gap-2">
+                    <input
+                      type="checkbox"
+                      checked={metadata.keepExif}
+                      onChange={(e) =>
+                        updateMetadata({ keepExif: e.target.checked })
+                      }
+                      className="accent-indigo-600"
+                    />
+                    Keep EXIF
+                  </label>
+                  <label className="flex items-center gap-2">
+                    <input
+                      type="checkbox"
+                      checked={metadata.keepGps}
+                      disabled={!metadata.keepExif && !metadata.keepXmp}
+                      onChange={(e) =>
+                        updateMetadata({ keepGps: e.target.checked })
+                      }
+                      className="accent-indigo-600"
+                    />
+                    Keep GPS location
+                  </label>
+                  <label className="flex items-center gap-2">
+                    <input
+                      type="checkbox"
+                      checked={metadata.keepXmp}
+                      onChange={(e) =>
+                        updateMetadata({ keepXmp: e.target.checked })
+                      }
+                      className="accent-indigo-600"
+                    />
+                    Keep XMP
+                  </label>
+                  <label className="flex items-center gap-2">
+                    <input
+                      type="checkbox"
+                      checked={metadata.keepIcc}
+                      onChange={(e) =>
+                        updateMetadata({ keepIcc: e.target.checked })
+                      }
+                      className="accent-indigo-600"
+                    />
+                    Keep color profile
+                  </label>
+                  <label className="col-span-2 flex items-center gap-2">
+                    <input
+                      type="checkbox"
+                      checked={metadata.applyOrientation}
+                      onChange={(e) =>
+                        updateMetadata({ applyOrientation: e.target.checked })
+                      }
+                      className="accent-indigo-600"
+                    />
+                    Rotate pixels to match EXIF orientation
+                  </label>
+                </div>
+                {!METADATA_OUTPUT_TYPES.includes(selectedFormat.mimeType) && (
+                  <p className="mt-1 text-xs text-slate-500">
+                    {selectedFormat.label} output is always written without
+                    metadata.
+                  </p>
+                )}
+                <label
+                  htmlFor="filename-template"
+                  className="block text-sm font-medium text-slate-600 mt-4"
+                >
+                  Output Filename
+                </label>
+                <div className="flex items-center mt-2 bg-white border border-slate-300 rounded-lg focus-within:ring-2 focus-within:ring-indigo-500">
+                  <input
+                    id="filename-template"
+                    type="text"
+                    value={filename.template}
+                    onChange={(e) =>
+                      updateFilename({ template: e.target.value })
+                    }
+                    className="flex-grow min-w-0 p-2 text-sm bg-transparent rounded-lg focus:outline-none"
+                  />
+                  <span className="px-2 text-sm text-slate-400">
+                    .{selectedFormat.extension}
+                  </span>
+                </div>
+                <div className="flex flex-wrap gap-1.5 mt-2">
+                  {Object.entries(FILENAME_TOKENS).map(([token, label]) => (
+                    <button
+                      key={token}
+                      onClick={() => insertFilenameToken(token)}
+                      className="text-xs font-mono px-1.5 py-0.5 rounded bg-slate-100 text-slate-600 hover:bg-indigo-100 hover:text-indigo-700"
+                      title={label}
+                    >
+                      {`{${token}}`}
+                    </button>
+                  ))}
+                </div>
+                <div className="flex flex-wrap gap-x-6 gap-y-2 mt-3 text-sm text-slate-600">
+                  <label className="flex items-center gap-2">
+                    <input
+                      type="checkbox"
+                      checked={filename.lowercase}
+                      onChange={(e) =>
+                        updateFilename({ lowercase: e.target.checked })
+                      }
+                      className="accent-indigo-600"
+                    />
+                    Lowercase
+                  </label>
+                  <label className="flex items-center gap-2">
+                    <input
+                      type="checkbox"
+                      checked={filename.slugify}
+                      onChange={(e) =>
+                        updateFilename({ slugify: e.target.checked })
+                      }
+                      className="accent-indigo-600"
+                    />
+                    Slugify (URL-safe)
+                  </label>
+                </div>
+                <p className="mt-1 text-xs text-slate-500">
+                  Each row previews its final name. Duplicate names get -2, -3,
+                  ... in list order.
+                </p>
               </div>
               <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 mt-6">
                 <button
@@ -513,14 +3057,53 @@ export default function ConvertThatImagePage() {
                   className="sm:col-span-3 bg-indigo-600 text-white font-bold py-3 px-4 rounded-lg hover:bg-indigo-700 transition-all duration-300 disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center shadow-lg shadow-indigo-500/20 hover:shadow-xl hover:shadow-indigo-500/30"
                 >
                   {isConverting ? (
-                    <RefreshCw className="animate-spin mr-2" />
+                    <RefreshCw
+                      className={`mr-2 ${
+                        poolStatus.paused ? "" : "animate-spin"
+                      }`}
+                    />
                   ) : (
                     <Zap className="mr-2" />
                   )}
                   {isConverting
-                    ? `Converting... (${conversionQueueRef.current.length} left)`
+                    ? `${poolStatus.paused ? "Paused" : "Converting..."} (${
+                        poolStatus.queued
+                      } left)`
                     : `Convert ${processableCount} Images`}
                 </button>
+                {isConverting && (
+                  <>
+                    <button
+                      onClick={() =>
+                        poolStatus.paused
+                          ? converterRef.current.resume()
+                          : converterRef.current.pause()
+                      }
+                      className="sm:col-span-2 bg-slate-200 text-slate-700 font-bold py-2 px-4 rounded-lg hover:bg-slate-300 transition-colors flex items-center justify-center"
+                      title={
+                        poolStatus.paused
+                          ? "Start the remaining images"
+                          : "Let running images finish, then wait"
+                      }
+                    >
+                      {poolStatus.paused ? (
+                        <Play className="mr-2 h-4 w-4" />
+                      ) : (
+                        <Pause className="mr-2 h-4 w-4" />
+                      )}
+                      {poolStatus.paused ? "Resume" : "Pause"}
+                    </button>
+                    <button
+                      onClick={() => {
+                        converterRef.current.cancelAll();
+                        converterRef.current.resume();
+                      }}
+                      className="bg-red-100 text-red-700 font-bold py-2 px-4 rounded-lg hover:bg-red-200 transition-colors flex items-center justify-center"
+                    >
+                      <Ban className="mr-2 h-4 w-4" /> Cancel
+                    </button>
+                  </>
+                )}
                 <button
                   onClick={downloadAllAsZip}
                   disabled={doneCount === 0 || isZipping}
@@ -541,6 +3124,75 @@ export default function ConvertThatImagePage() {
                   <RefreshCw className="mr-2 h-4 w-4" /> Reset All
                 </button>
               </div>
+              {zipProgress && (
+                <div className="flex items-center gap-3 mt-4">
+                  <div className="flex-grow">
+                    <div className="flex justify-between text-xs text-slate-500 mb-1">
+                      <span>
+                        {zipProgress.parts > 1
+                          ? `Archive ${zipProgress.part} of ${zipProgress.parts}`
+                          : "Building archive"}
+                      </span>
+                      <span>{Math.round(zipProgress.fraction * 100)}%</span>
+                    </div>
+                    <div className="h-2 bg-slate-200 rounded-full overflow-hidden">
+                      <div
+                        className="h-full bg-green-500 transition-[width]"
+                        style={{ width: `${zipProgress.fraction * 100}%` }}
+                      />
+                    </div>
+                  </div>
+                  <button
+                    onClick={() => zipAbortRef.current?.abort()}
+                    className="text-slate-400 hover:text-red-500 transition-colors p-1 rounded-full hover:bg-red-100"
+                    title="Cancel the export"
+                  >
+                    <X size={18} />
+                  </button>
+                </div>
+              )}
+              {zipNotice && (
+                <p className="mt-3 text-xs bg-amber-100 text-amber-700 px-2 py-1 rounded">
+                  {zipNotice}
+                </p>
+              )}
+              <label
+                className="flex items-center justify-between gap-3 mt-4 text-sm text-slate-600"
+                title={`Browsers that can't save straight to disk download parts of at most ${formatSize(
+                  MAX_DOWNLOAD_PART_BYTES
+                )}.`}
+              >
+                Split ZIP into parts of at most (MB, 0 = single archive)
+                <input
+                  type="number"
+                  min="0"
+                  value={zipPartMegabytes}
+                  onChange={(e) =>
+                    setZipPartMegabytes(
+                      Math.max(0, Number(e.target.value) || 0)
+                    )
+                  }
+                  className="w-24 p-2 text-sm bg-white border border-slate-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                />
+              </label>
+              <div className="flex flex-wrap items-center justify-between gap-2 mt-4 text-xs text-slate-500">
+                <label className="flex items-center gap-2 text-sm text-slate-600">
+                  <input
+                    type="checkbox"
+                    checked={persistSession}
+                    onChange={(e) => togglePersistSession(e.target.checked)}
+                    className="accent-indigo-600"
+                  />
+                  Keep this session after a reload
+                </label>
+                {storageUsage && (
+                  <span className="flex items-center">
+                    <HardDrive size={14} className="mr-1.5" />
+                    {formatSize(storageUsage.usage)} of{" "}
+                    {formatSize(storageUsage.quota)} browser storage used
+                  </span>
+                )}
+              </div>
             </div>
           </div>
           {error && (
@@ -548,6 +3200,13 @@ export default function ConvertThatImagePage() {
               {error}
             </div>
           )}
+          {report.summary.converted + report.summary.failed > 0 && (
+            <ReportPanel
+              report={report}
+              onExportCsv={() => downloadReport("csv")}
+              onExportJson={() => downloadReport("json")}
+            />
+          )}
           <div className="mt-6 space-y-3">
             {imageList.length === 0 && (
               <div className="text-center py-16 bg-slate-50/50 rounded-xl">
@@ -556,17 +3215,74 @@ export default function ConvertThatImagePage() {
                 </p>
               </div>
             )}
-            {imageList.map((image) => (
-              <ImageRow
-                key={image.id}
-                image={image}
-                onRemove={removeImage}
-                onRetry={handleRetry}
+            {imageList.length > 0 && (
+              <ListToolbar
+                view={listView}
+                onViewChange={updateListView}
+                counts={statusCounts}
+                shownCount={shownList.length}
+                selection={selection}
+                onToggleSelectAll={toggleSelectAllShown}
+                onClearSelection={() => setSelectedIds(new Set())}
+                onRemove={removeSelected}
+                onRetry={retrySelected}
+                onReconvert={reconvertSelected}
+                onDownload={() => downloadAsZip(selectedImages)}
+                isZipping={isZipping}
               />
-            ))}
+            )}
+            {imageList.length > 0 && shownList.length === 0 && (
+              <p className="text-center text-sm text-slate-500 py-8">
+                No images match these filters.
+              </p>
+            )}
+            <VirtualList
+              items={shownList}
+              getKey={imageKey}
+              estimatedHeight={ESTIMATED_ROW_HEIGHT}
+              gap={12}
+              renderItem={(image) => (
+                <ImageRow
+                  image={image}
+                  outputName={outputNames.get(image.id)}
+                  sizes={responsive.sizes}
+                  iconSet={iconSet}
+                  onRemove={removeImage}
+                  onRetry={handleRetry}
+                  selected={selectedIds.has(image.id)}
+                  onToggleSelect={toggleSelected}
+                  onCompare={setComparisonId}
+                  onEdit={setEditingId}
+                />
+              )}
+            />
           </div>
         </main>
       </div>
-    </div>
+      {editedImage && fileCache.has(editedImage.id) && (
+        <EditPanel
+          key={editedImage.id}
+          image={editedImage}
+          file={fileCache.get(editedImage.id)}
+          selectedCount={
+            [...selectedIds].filter((id) => id !== editedImage.id).length
+          }
+          onSave={(edits, copyToSelected) =>
+            saveEdits(editedImage.id, edits, copyToSelected)
+          }
+          onClose={() => setEditingId(null)}
+        />
+      )}
+      {comparedImage && fileCache.has(comparedImage.id) && (
+        <ComparisonModal
+          key={comparedImage.id}
+          image={comparedImage}
+          file={fileCache.get(comparedImage.id)}
+          defaultQuality={quality}
+          onReencode={reencodeImage}
+          onClose={() => setComparisonId(null)}
+        />
+      )}
+    </convert-that-image>
   );
 }
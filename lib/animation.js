@@ -0,0 +1,83 @@
+// --- Animation Options ---
+export const DEFAULT_ANIMATION = {
+  preserve: true,
+  frameStep: 1,
+  maxFps: 0,
+};
+
+// Walks the GIF block structure without decompressing anything and counts
+// the image descriptors.
+const countGifFrames = (bytes) => {
+  const skipSubBlocks = (offset) => {
+    while (offset < bytes.length && bytes[offset] !== 0) {
+      offset += bytes[offset] + 1;
+    }
+    return offset + 1;
+  };
+  const colorTableSize = (packed) =>
+    packed & 0x80 ? 3 * 2 ** ((packed & 0x07) + 1) : 0;
+
+  let frames = 0;
+  let offset = 13 + colorTableSize(bytes[10]);
+  while (offset < bytes.length) {
+    const introducer = bytes[offset];
+    if (introducer === 0x2c) {
+      frames++;
+      offset += 10 + colorTableSize(bytes[offset + 9]);
+      offset = skipSubBlocks(offset + 1);
+    } else if (introducer === 0x21) {
+      offset = skipSubBlocks(offset + 2);
+    } else {
+      break;
+    }
+  }
+  return frames;
+};
+
+// APNGs announce their frame count in an acTL chunk ahead of the first IDAT,
+// so only the chunk headers up to there need reading.
+const countPngFrames = async (file) => {
+  let offset = 8;
+  while (offset + 12 <= file.size) {
+    const header = new DataView(
+      await file.slice(offset, offset + 12).arrayBuffer()
+    );
+    const length = header.getUint32(0);
+    const type = String.fromCharCode(...new Uint8Array(header.buffer, 4, 4));
+    if (type === "acTL") return header.getUint32(8);
+    if (type === "IDAT" || type === "IEND") return 1;
+    offset += 12 + length;
+  }
+  return 1;
+};
+
+export const countAnimationFrames = async (file, sourceFormat) => {
+  if (sourceFormat === "gif") {
+    return countGifFrames(new Uint8Array(await file.arrayBuffer()));
+  }
+  if (sourceFormat === "png") return countPngFrames(file);
+  return 1;
+};
+
+// Browsers play GIF delays of 10 ms or less (including none) at 100 ms.
+export const gifFrameDelay = (delay) => (delay > 10 ? delay : 100);
+
+// Decides which frames survive the frame-step and FPS cap. Dropped frames
+// hand their display time to the frame before them so the overall timing
+// stays the same.
+export const planFrames = (durations, { frameStep, maxFps }) => {
+  const minDuration = maxFps > 0 ? 1000 / maxFps : 0;
+  const kept = [];
+  durations.forEach((duration, index) => {
+    const previous = kept[kept.length - 1];
+    if (
+      previous &&
+      (index % frameStep !== 0 || previous.duration < minDuration)
+    ) {
+      previous.duration += duration;
+    } else {
+      kept.push({ index, duration });
+    }
+  });
+  return kept;
+};
@@ -0,0 +1,41 @@
+import { describe, expect, test } from "vitest";
+import { gifFrameDelay, planFrames } from "./animation";
+
+describe("gifFrameDelay", () => {
+  test("plays very short delays at 100 ms, like browsers do", () => {
+    expect([0, 10, 20, 70].map(gifFrameDelay)).toEqual([100, 100, 20, 70]);
+  });
+});
+
+describe("planFrames", () => {
+  test("keeps every frame by default", () => {
+    expect(planFrames([50, 60, 70], { frameStep: 1, maxFps: 0 })).toEqual([
+      { index: 0, duration: 50 },
+      { index: 1, duration: 60 },
+      { index: 2, duration: 70 },
+    ]);
+  });
+
+  test("a dropped frame's time goes to the frame before it", () => {
+    expect(
+      planFrames([10, 20, 30, 40, 50], { frameStep: 2, maxFps: 0 })
+    ).toEqual([
+      { index: 0, duration: 30 },
+      { index: 2, duration: 70 },
+      { index: 4, duration: 50 },
+    ]);
+  });
+
+  test("merges frames shorter than the FPS cap allows", () => {
+    const frames = planFrames([20, 20, 20, 20, 20], {
+      frameStep: 1,
+      maxFps: 25,
+    });
+    expect(frames).toEqual([
+      { index: 0, duration: 40 },
+      { index: 2, duration: 40 },
+      { index: 4, duration: 20 },
+    ]);
+    expect(frames.reduce((sum, frame) => sum + frame.duration, 0)).toBe(100);
+  });
+});
@@ -0,0 +1,157 @@
+// --- Background and Transparency ---
+// Trimming and padding happen before resizing, so resize targets apply to
+// the tidied-up image; flattening happens last, so it also fills letterbox
+// bars and padding.
+
+export const DEFAULT_BACKGROUND = {
+  flatten: false,
+  color: "#ffffff",
+  trim: false,
+  // 0-100: how far a border pixel may stray from the corner colour and
+  // still count as background.
+  tolerance: 10,
+  pad: false,
+  aspect: "square",
+  // Percent of the padded canvas kept clear on each side.
+  margin: 5,
+};
+
+export const PAD_ASPECTS = {
+  square: { label: "1:1 (square)", ratio: 1 },
+  "4:5": { label: "4:5", ratio: 4 / 5 },
+  "3:4": { label: "3:4", ratio: 3 / 4 },
+  "4:3": { label: "4:3", ratio: 4 / 3 },
+  "3:2": { label: "3:2", ratio: 3 / 2 },
+  "16:9": { label: "16:9", ratio: 16 / 9 },
+};
+
+const MAX_MARGIN = 40;
+
+export const changesBackground = (background) =>
+  Boolean(background) &&
+  (background.flatten || background.trim || background.pad);
+
+// Bounding box of everything that isn't background, or null when the whole
+// image is background. The top-left pixel decides what background is: when
+// it's transparent only the alpha channel counts, so transparent pixels of
+// any colour are trimmed.
+export const findTrimBox = ({ data, width, height }, tolerance) => {
+  const limit = (tolerance / 100) * 255;
+  const [r, g, b, a] = data;
+  const isBackground =
+    a === 0
+      ? (p) => data[p + 3] <= limit
+      : (p) =>
+          Math.abs(data[p] - r) <= limit &&
+          Math.abs(data[p + 1] - g) <= limit &&
+          Math.abs(data[p + 2] - b) <= limit &&
+          Math.abs(data[p + 3] - a) <= limit;
+  const rowIsBackground = (y, left, right) => {
+    for (let x = left; x < right; x++) {
+      if (!isBackground((y * width + x) * 4)) return false;
+    }
+    return true;
+  };
+  const columnIsBackground = (x, top, bottom) => {
+    for (let y = top; y < bottom; y++) {
+      if (!isBackground((y * width + x) * 4)) return false;
+    }
+    return true;
+  };
+
+  let top = 0;
+  while (top < height && rowIsBackground(top, 0, width)) top++;
+  if (top === height) return null;
+  let bottom = height;
+  while (rowIsBackground(bottom - 1, 0, width)) bottom--;
+  let left = 0;
+  while (columnIsBackground(left, top, bottom)) left++;
+  let right = width;
+  while (columnIsBackground(right - 1, top, bottom)) right--;
+  return { x: left, y: top, width: right - left, height: bottom - top };
+};
+
+// Canvas size for content of the given size padded out to `ratio`, with
+// `margin` percent kept clear on each side, and where the content goes.
+export const paddedLayout = (width, height, ratio, margin) => {
+  const inner = 1 - (2 * Math.min(MAX_MARGIN, Math.max(0, margin))) / 100;
+  const innerWidth = Math.max(width, height * ratio);
+  const canvasWidth = Math.max(1, Math.round(innerWidth / inner));
+  const canvasHeight = Math.max(1, Math.round(innerWidth / ratio / inner));
+  return {
+    width: canvasWidth,
+    height: canvasHeight,
+    x: Math.round((canvasWidth - width) / 2),
+    y: Math.round((canvasHeight - height) / 2),
+  };
+};
+
+// Canvases (edited images) can be read directly; bitmaps need a copy.
+const readPixels = (source, createCanvas) => {
+  let canvas = source;
+  if (!source.getContext) {
+    canvas = createCanvas(source.width, source.height);
+    canvas.getContext("2d").drawImage(source, 0, 0);
+  }
+  return canvas
+    .getContext("2d")
+    .getImageData(0, 0, source.width, source.height);
+};
+
+// Trims and pads `source` onto a canvas from `createCanvas(width, height)`.
+// Returns `source` itself when there's nothing to do. `trim` is off for
+// animations, whose frames would each trim differently.
+export const trimAndPad = (
+  source,
+  background,
+  createCanvas,
+  { trim = background.trim } = {}
+) => {
+  let region = { x: 0, y: 0, width: source.width, height: source.height };
+  if (trim) {
+    region =
+      findTrimBox(readPixels(source, createCanvas), background.tolerance) ??
+      region;
+  }
+  if (
+    !background.pad &&
+    region.width === source.width &&
+    region.height === source.height
+  ) {
+    return source;
+  }
+  const layout = background.pad
+    ? paddedLayout(
+        region.width,
+        region.height,
+        PAD_ASPECTS[background.aspect].ratio,
+        background.margin
+      )
+    : { width: region.width, height: region.height, x: 0, y: 0 };
+  const canvas = createCanvas(layout.width, layout.height);
+  canvas
+    .getContext("2d")
+    .drawImage(
+      source,
+      region.x,
+      region.y,
+      region.width,
+      region.height,
+      layout.x,
+      layout.y,
+      region.width,
+      region.height
+    );
+  return canvas;
+};
+
+// Fills everything transparent with `color`, in place.
+export const flatten = (canvas, color) => {
+  const ctx = canvas.getContext("2d");
+  ctx.save();
+  ctx.globalCompositeOperation = "destination-over";
+  ctx.fillStyle = color;
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.restore();
+  return canvas;
+};
@@ -0,0 +1,106 @@
+import { createConverter } from "./converter";
+import { normalizeSettings } from "./presets";
+
+// --- <convert-that-image> ---
+// Wraps a converter (lib/converter.js) in a custom element so any page can
+// drop it in:
+//
+//   <convert-that-image concurrency="2" format="avif" quality="60">
+//     ...your own UI...
+//   </convert-that-image>
+//
+//   const element = document.querySelector("convert-that-image");
+//   element.addEventListener("progress", (e) => console.log(e.detail));
+//   const result = await element.convert(file);
+//
+// The element's `settings` are the defaults for convert(); the `format` and
+// `quality` attributes override them. It re-dispatches the converter's
+// progress and statuschange events, and its cancel event as
+// `conversioncancel` (file inputs and dialogs inside the element fire a
+// native `cancel` that bubbles). It has its workers only while it's in the
+// document.
+
+export const TAG_NAME = "convert-that-image";
+
+// Converter event -> element event.
+const FORWARDED_EVENTS = {
+  progress: "progress",
+  cancel: "conversioncancel",
+  statuschange: "statuschange",
+};
+
+// Custom elements only exist in the browser, so the class is created on the
+// first call rather than when the module loads (which also happens while
+// the page is prerendered).
+export const defineConvertThatImage = () => {
+  if (customElements.get(TAG_NAME)) return;
+
+  customElements.define(
+    TAG_NAME,
+    class ConvertThatImageElement extends HTMLElement {
+      #converter = null;
+      #settings = {};
+
+      connectedCallback() {
+        const concurrency = Number(this.getAttribute("concurrency"));
+        this.#converter = createConverter(
+          concurrency > 0 ? { concurrency } : {}
+        );
+        Object.entries(FORWARDED_EVENTS).forEach(([from, to]) =>
+          this.#converter.addEventListener(from, (e) =>
+            this.dispatchEvent(new CustomEvent(to, { detail: e.detail }))
+          )
+        );
+      }
+
+      disconnectedCallback() {
+        this.#converter.terminate();
+        this.#converter = null;
+      }
+
+      get settings() {
+        const format = this.getAttribute("format");
+        const quality = this.getAttribute("quality");
+        return normalizeSettings({
+          ...this.#settings,
+          ...(format && { outputFormat: format }),
+          ...(quality && { quality: Number(quality) }),
+        });
+      }
+
+      set settings(value) {
+        this.#settings = value ?? {};
+      }
+
+      #requireConverter() {
+        if (!this.#converter) {
+          throw new Error(`<${TAG_NAME}> has to be in the document.`);
+        }
+        return this.#converter;
+      }
+
+      convert(file, options = {}) {
+        return this.#requireConverter().convert(file, {
+          ...options,
+          settings: options.settings ?? this.settings,
+        });
+      }
+
+      cancel(id) {
+        this.#requireConverter().cancel(id);
+      }
+
+      cancelAll() {
+        this.#requireConverter().cancelAll();
+      }
+
+      pause() {
+        this.#requireConverter().pause();
+      }
+
+      resume() {
+        this.#requireConverter().resume();
+      }
+    }
+  );
+};
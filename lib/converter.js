@@ -0,0 +1,240 @@
+import { INPUT_FORMATS, detectSourceFormat, rasterizeSvg } from "./formats";
+import { countAnimationFrames } from "./animation";
+import { normalizeSettings } from "./presets";
+import { createWorkerPool } from "./worker-pool";
+import {
+  createConversionJobs,
+  toWorkerMessage,
+  estimateDecodedBytes,
+  defaultMemoryBudget,
+} from "./jobs";
+
+// --- Conversion Engine ---
+// Everything needed to convert an image, without any UI:
+//
+//   const converter = createConverter({ concurrency: 2 });
+//   converter.addEventListener("progress", (e) => console.log(e.detail));
+//   const result = await converter.convert(file, { settings: { quality: 70 } });
+//
+// `settings` can be partial; gaps are filled from DEFAULT_SETTINGS. A single
+// output resolves with the worker's result ({ blob, format, width, ... }).
+// Icon and responsive sets resolve with one result per variant, each with
+// its own `status`; `variants` (a list of variant keys) limits a set to
+// those variants. An error rejects with its message, and cancelling
+// (`cancel(id)` or the `signal` option) rejects with an AbortError.
+//
+// Events carry their payload in `detail`:
+//   progress      { id, job, status, result, completed, total } whenever one
+//                 of a file's jobs starts ("converting") or settles
+//   cancel        { id, job } for each cancelled job
+//   statuschange  { queued, active, paused } for the whole converter
+//
+// `createWorker` can be swapped for a fake to run the engine without
+// browser workers.
+
+export const createConverterWorker = () =>
+  new Worker(new URL("./converter.worker.js", import.meta.url));
+
+const abortError = () =>
+  new DOMException("The conversion was cancelled.", "AbortError");
+
+let nextId = 0;
+
+export const createConverter = ({
+  concurrency = navigator.hardwareConcurrency || 4,
+  memoryBudget = defaultMemoryBudget(),
+  createWorker = createConverterWorker,
+} = {}) => {
+  const events = new EventTarget();
+  const tasks = new Set();
+  let terminated = false;
+
+  const emit = (type, detail) =>
+    events.dispatchEvent(new CustomEvent(type, { detail }));
+
+  const prepare = async (job) => {
+    const { file } = job.task;
+    if (!file) throw new Error("File not found");
+    const source =
+      INPUT_FORMATS[job.sourceFormat].decoder === "main-thread"
+        ? await rasterizeSvg(file, job.settings.svgWidth)
+        : file;
+    return {
+      message: toWorkerMessage(job, source),
+      // A rasterized SVG is handed over rather than copied.
+      transfer: source === file ? [] : [source],
+    };
+  };
+
+  const settle = (task) => {
+    tasks.delete(task);
+    const results = task.jobs.map((job) => task.results.get(job.id));
+    if (results.some((result) => result.status === "cancelled")) {
+      task.reject(abortError());
+    } else if (task.jobs[0].variant) {
+      task.resolve(
+        results.map((result, index) => ({
+          ...result,
+          variant: task.jobs[index].variant,
+        }))
+      );
+    } else if (results[0].status === "error") {
+      task.reject(new Error(results[0].error));
+    } else {
+      task.resolve(results[0]);
+    }
+  };
+
+  const pool = createWorkerPool({
+    size: concurrency,
+    createWorker,
+    prepare,
+    memoryBudget,
+    onStart: (job) =>
+      emit("progress", {
+        id: job.task.id,
+        job,
+        status: "converting",
+        result: null,
+        completed: job.task.results.size,
+        total: job.task.jobs.length,
+      }),
+    onSettled: (job, result) => {
+      const { task } = job;
+      // A terminated converter has already given up on its tasks.
+      if (!tasks.has(task)) return;
+      task.results.set(job.id, result);
+      if (result.status === "cancelled") {
+        emit("cancel", { id: task.id, job });
+      } else {
+        emit("progress", {
+          id: task.id,
+          job,
+          status: result.status,
+          result,
+          completed: task.results.size,
+          total: task.jobs.length,
+        });
+      }
+      if (task.results.size === task.jobs.length) settle(task);
+    },
+    onChange: (status) => emit("statuschange", status),
+  });
+
+  // A task still being described has no jobs yet; it's marked so start()
+  // drops it instead.
+  const cancelTask = (task) => {
+    task.cancelled = true;
+    task.jobs
+      .filter((job) => !task.results.has(job.id))
+      .forEach((job) => pool.cancel(job.id));
+  };
+
+  // The file's format, frame count and decoded size are worked out here
+  // unless the caller already knows them.
+  const describe = async (file, options) => {
+    const sourceFormat =
+      options.sourceFormat ?? (await detectSourceFormat(file));
+    if (!sourceFormat) throw new Error("Unsupported image format.");
+    const frameCount =
+      options.frameCount ?? (await countAnimationFrames(file, sourceFormat));
+    const decodedBytes =
+      options.decodedBytes ??
+      (await estimateDecodedBytes(file, sourceFormat, frameCount));
+    return { sourceFormat, frameCount, decodedBytes };
+  };
+
+  const start = (task, image, options) => {
+    // terminate() has already rejected it.
+    if (!tasks.has(task)) return;
+    if (task.cancelled || options.signal?.aborted) {
+      tasks.delete(task);
+      task.reject(abortError());
+      return;
+    }
+    task.jobs = createConversionJobs(
+      image,
+      normalizeSettings(options.settings),
+      options.qualityOverride
+    )
+      .filter(
+        (job) =>
+          !options.variants || options.variants.includes(job.variant?.key)
+      )
+      .map((job) => ({ ...job, task }));
+    if (task.jobs.length === 0) {
+      tasks.delete(task);
+      task.resolve([]);
+      return;
+    }
+    options.signal?.addEventListener("abort", () => cancelTask(task), {
+      once: true,
+    });
+    pool.enqueue(task.jobs);
+  };
+
+  // Files whose format is passed in are queued straight away, so calls made
+  // one after another keep their order. The task is registered before the
+  // file is described, so it can be cancelled or terminated meanwhile.
+  const convert = (file, options = {}) => {
+    if (terminated) return Promise.reject(abortError());
+    const task = {
+      id: options.id ?? `conversion-${++nextId}`,
+      file,
+      jobs: [],
+      results: new Map(),
+      cancelled: false,
+    };
+    const promise = new Promise((resolve, reject) => {
+      task.resolve = resolve;
+      task.reject = reject;
+    });
+    tasks.add(task);
+    const image = {
+      id: task.id,
+      originalSize: file?.size ?? 0,
+      edits: options.edits ?? null,
+    };
+    if (options.sourceFormat) {
+      const { sourceFormat, frameCount = 1, decodedBytes } = options;
+      start(
+        task,
+        { ...image, sourceFormat, frameCount, decodedBytes },
+        options
+      );
+    } else {
+      describe(file, options).then(
+        (details) => start(task, { ...image, ...details }, options),
+        (error) => {
+          if (!tasks.delete(task)) return;
+          task.reject(error);
+        }
+      );
+    }
+    return promise;
+  };
+
+  return {
+    convert,
+    // Takes the id of a file passed to convert(), or of a single job.
+    cancel(id) {
+      const matching = [...tasks].filter((task) => task.id === id);
+      if (matching.length > 0) matching.forEach(cancelTask);
+      else pool.cancel(id);
+    },
+    cancelAll() {
+      tasks.forEach((task) => (task.cancelled = true));
+      pool.cancelAll();
+    },
+    pause: () => pool.pause(),
+    resume: () => pool.resume(),
+    terminate() {
+      terminated = true;
+      pool.terminate();
+      tasks.forEach((task) => task.reject(abortError()));
+      tasks.clear();
+    },
+    addEventListener: (...args) => events.addEventListener(...args),
+    removeEventListener: (...args) => events.removeEventListener(...args),
+  };
+};
@@ -0,0 +1,164 @@
+import { describe, expect, test } from "vitest";
+import { createConverter } from "./converter";
+import { createFakeWorkers, flush } from "./fake-workers";
+
+// A PNG signature and header for a 4x3 image; enough to be described.
+const PNG_HEADER = [
+  137, 80, 78, 71, 13, 10, 26, 10, 0, 0, 0, 13, 73, 72, 68, 82, 0, 0, 0, 4, 0,
+  0, 0, 3, 8, 6, 0, 0, 0, 0, 0, 0, 0,
+];
+const pngFile = () =>
+  new File([new Uint8Array(PNG_HEADER)], "image.png", { type: "image/png" });
+
+// The file is already described, so its jobs are queued right away.
+const known = { sourceFormat: "png", frameCount: 1, decodedBytes: 48 };
+
+const setup = () => {
+  const fakes = createFakeWorkers();
+  const converter = createConverter({
+    concurrency: 1,
+    memoryBudget: Infinity,
+    createWorker: fakes.createWorker,
+  });
+  const events = [];
+  ["progress", "cancel", "statuschange"].forEach((type) =>
+    converter.addEventListener(type, (e) => events.push({ type, ...e.detail }))
+  );
+  return { converter, events, ...fakes };
+};
+
+const expectAbort = (promise) =>
+  expect(promise).rejects.toMatchObject({ name: "AbortError" });
+
+describe("createConverter", () => {
+  test("resolves with the worker's result", async () => {
+    const { converter, running, posted, events } = setup();
+    const result = converter.convert(pngFile(), {
+      id: "a",
+      settings: { outputFormat: "webp", quality: 70 },
+      ...known,
+    });
+    await flush();
+    expect(posted()).toMatchObject([{ id: "a", format: "webp", quality: 70 }]);
+
+    running("a").reply({ id: "a", status: "done", size: 10 });
+    await expect(result).resolves.toEqual({
+      id: "a",
+      status: "done",
+      size: 10,
+    });
+    expect(
+      events
+        .filter((event) => event.type === "progress")
+        .map(({ status, completed, total }) => [status, completed, total])
+    ).toEqual([
+      ["converting", 0, 1],
+      ["done", 1, 1],
+    ]);
+  });
+
+  test("describes files whose format isn't given", async () => {
+    const { converter, running, posted } = setup();
+    const result = converter.convert(pngFile(), { id: "a" });
+    await flush();
+    expect(posted()).toMatchObject([{ id: "a", sourceFormat: "png" }]);
+    running("a").reply({ id: "a", status: "done" });
+    await expect(result).resolves.toMatchObject({ status: "done" });
+  });
+
+  test("rejects files it can't read", async () => {
+    const { converter } = setup();
+    const file = new File([new Uint8Array(16)], "notes.txt");
+    await expect(converter.convert(file)).rejects.toThrow(
+      "Unsupported image format."
+    );
+  });
+
+  test("rejects with the worker's error", async () => {
+    const { converter, running } = setup();
+    const result = converter.convert(pngFile(), { id: "a", ...known });
+    await flush();
+    running("a").reply({ id: "a", status: "error", error: "Decoding failed" });
+    await expect(result).rejects.toThrow("Decoding failed");
+  });
+
+  test("resolves a set with one result per variant", async () => {
+    const { converter, running, posted } = setup();
+    const result = converter.convert(pngFile(), {
+      id: "a",
+      settings: { iconSet: { enabled: true } },
+      variants: ["favicon-16x16", "icon-512"],
+      ...known,
+    });
+    await flush();
+    expect(posted().map((message) => message.id)).toEqual(["a#favicon-16x16"]);
+    running("a#favicon-16x16").reply({ id: "a#favicon-16x16", status: "done" });
+    await flush();
+    running("a#icon-512").reply({ id: "a#icon-512", status: "error" });
+
+    const results = await result;
+    expect(results.map(({ status, variant }) => [status, variant.key])).toEqual(
+      [
+        ["done", "favicon-16x16"],
+        ["error", "icon-512"],
+      ]
+    );
+  });
+
+  test("cancel() rejects a running conversion", async () => {
+    const { converter, events } = setup();
+    const result = converter.convert(pngFile(), { id: "a", ...known });
+    await flush();
+    converter.cancel("a");
+    await expectAbort(result);
+    expect(events.filter((event) => event.type === "cancel")).toMatchObject([
+      { id: "a", job: { id: "a" } },
+    ]);
+  });
+
+  test("cancel() during describing keeps the file from being queued", async () => {
+    const { converter, posted } = setup();
+    const result = converter.convert(pngFile(), { id: "a" });
+    converter.cancel("a");
+    await expectAbort(result);
+    await flush();
+    expect(posted()).toEqual([]);
+  });
+
+  test("cancelAll() also catches files still being described", async () => {
+    const { converter, posted } = setup();
+    const result = converter.convert(pngFile(), { id: "a" });
+    converter.cancelAll();
+    await expectAbort(result);
+    expect(posted()).toEqual([]);
+  });
+
+  test("an aborted signal cancels the conversion", async () => {
+    const { converter } = setup();
+    const controller = new AbortController();
+    const result = converter.convert(pngFile(), {
+      signal: controller.signal,
+      ...known,
+    });
+    await flush();
+    controller.abort();
+    await expectAbort(result);
+  });
+
+  test("terminate() rejects queued, running and describing conversions", async () => {
+    const { converter, posted } = setup();
+    const running = converter.convert(pngFile(), { id: "a", ...known });
+    const queued = converter.convert(pngFile(), { id: "b", ...known });
+    const describing = converter.convert(pngFile(), { id: "c" });
+    converter.terminate();
+    await Promise.all([running, queued, describing].map(expectAbort));
+    await flush();
+    expect(posted()).toEqual([]);
+  });
+
+  test("convert() after terminate() rejects straight away", async () => {
+    const { converter } = setup();
+    converter.terminate();
+    await expectAbort(converter.convert(pngFile(), known));
+  });
+});
@@ -0,0 +1,649 @@
+import UTIF from "utif";
+import UPNG from "upng-js";
+import { parseGIF, decompressFrames } from "gifuct-js";
+import { computeResizeLayout } from "./resize";
+import { planFrames, gifFrameDelay } from "./animation";
+import { muxAnimatedWebp } from "./webp-container";
+import { retryQualities, ORIGINAL_FALLBACK_FORMATS } from "./size-policy";
+import { measureQuality, MIN_SEARCH_QUALITY } from "./quality-metrics";
+import { renderEdited } from "./edits";
+import { drawWatermark } from "./watermark";
+import { trimAndPad, flatten } from "./background";
+import {
+  METADATA_OUTPUT_TYPES,
+  extractMetadata,
+  withOrientationReset,
+  prepareExif,
+  prepareXmp,
+  metadataByteLength,
+  embedMetadata,
+  remuxMetadata,
+} from "./metadata";
+
+// --- Decoders ---
+// Formats the browser can't read on its own get a bundled decoder. The HEIC
+// one is a ~2 MB WASM build, so it's only fetched the first time it's needed.
+let libheifPromise = null;
+const loadLibheif = () => {
+  libheifPromise ??= import("libheif-js/libheif-wasm/libheif-bundle.mjs").then(
+    (module) => module.default()
+  );
+  return libheifPromise;
+};
+
+const decodeTiff = async (file) => {
+  const buffer = await file.arrayBuffer();
+  const [ifd] = UTIF.decode(buffer);
+  if (!ifd) throw new Error("TIFF file contains no images.");
+  UTIF.decodeImage(buffer, ifd);
+  const rgba = new Uint8ClampedArray(UTIF.toRGBA8(ifd).buffer);
+  return createImageBitmap(new ImageData(rgba, ifd.width, ifd.height));
+};
+
+const decodeHeic = async (file) => {
+  const [libheif, buffer] = await Promise.all([
+    loadLibheif(),
+    file.arrayBuffer(),
+  ]);
+  const [image] = new libheif.HeifDecoder().decode(new Uint8Array(buffer));
+  if (!image) throw new Error("HEIC file contains no images.");
+  const imageData = new ImageData(image.get_width(), image.get_height());
+  await new Promise((resolve, reject) => {
+    image.display(imageData, (displayData) =>
+      displayData
+        ? resolve()
+        : reject(new Error("HEIC image could not be decoded."))
+    );
+  });
+  return createImageBitmap(imageData);
+};
+
+const bundledDecoders = { tiff: decodeTiff, heic: decodeHeic };
+
+// `source` is either the original File or, for SVGs, a bitmap the page
+// already rasterized.
+const decodeSource = async (source, sourceFormat, sourceLabel, options) => {
+  if (source instanceof ImageBitmap) return source;
+  if (bundledDecoders[sourceFormat]) {
+    return bundledDecoders[sourceFormat](source);
+  }
+  try {
+    return await createImageBitmap(source, options);
+  } catch {
+    throw new Error(
+      `This browser can't decode ${sourceLabel} images. It might be corrupted.`
+    );
+  }
+};
+
+// --- Animated Sources ---
+// Both decoders composite frames onto a full-size canvas (GIF and APNG frames
+// are usually partial patches) and only snapshot the frames the plan keeps.
+const decodeGifFrames = async (buffer, plan) => {
+  const gif = parseGIF(buffer);
+  const patches = decompressFrames(gif, true);
+  const { width, height } = gif.lsd;
+  const netscape = gif.frames.find(
+    (block) => block.application?.id === "NETSCAPE2.0"
+  );
+  // No NETSCAPE extension means the GIF plays once.
+  const loopCount = netscape
+    ? netscape.application.blocks[1] | (netscape.application.blocks[2] << 8)
+    : 1;
+
+  const kept = plan(patches.map((patch) => gifFrameDelay(patch.delay)));
+  const keptIndices = new Set(kept.map((frame) => frame.index));
+  const canvas = new OffscreenCanvas(width, height);
+  const ctx = canvas.getContext("2d");
+  const patchCanvas = new OffscreenCanvas(1, 1);
+  const bitmaps = [];
+
+  for (const [index, patch] of patches.entries()) {
+    const { left, top, width: patchWidth, height: patchHeight } = patch.dims;
+    const previous =
+      patch.disposalType === 3 ? ctx.getImageData(0, 0, width, height) : null;
+    patchCanvas.width = patchWidth;
+    patchCanvas.height = patchHeight;
+    patchCanvas
+      .getContext("2d")
+      .putImageData(new ImageData(patch.patch, patchWidth, patchHeight), 0, 0);
+    ctx.drawImage(patchCanvas, left, top);
+    if (keptIndices.has(index)) bitmaps.push(await createImageBitmap(canvas));
+    if (patch.disposalType === 2) {
+      ctx.clearRect(left, top, patchWidth, patchHeight);
+    } else if (previous) {
+      ctx.putImageData(previous, 0, 0);
+    }
+  }
+  return { width, height, loopCount, kept, bitmaps };
+};
+
+const decodeApngFrames = async (buffer, plan) => {
+  const png = UPNG.decode(buffer);
+  // A zero delay means "as fast as possible"; browsers clamp it to ~10 ms.
+  const kept = plan(png.frames.map((frame) => Math.max(10, frame.delay)));
+  const rgbaFrames = UPNG.toRGBA8(png);
+  const bitmaps = await Promise.all(
+    kept.map(({ index }) =>
+      createImageBitmap(
+        new ImageData(
+          new Uint8ClampedArray(rgbaFrames[index]),
+          png.width,
+          png.height
+        )
+      )
+    )
+  );
+  return {
+    width: png.width,
+    height: png.height,
+    loopCount: png.tabs.acTL.num_plays,
+    kept,
+    bitmaps,
+  };
+};
+
+const animationDecoders = { gif: decodeGifFrames, png: decodeApngFrames };
+
+// --- Orientation ---
+// Canvas transforms for EXIF orientations 2-8; 5-8 also swap width and height.
+const ORIENTATION_TRANSFORMS = {
+  2: (w) => [-1, 0, 0, 1, w, 0],
+  3: (w, h) => [-1, 0, 0, -1, w, h],
+  4: (w, h) => [1, 0, 0, -1, 0, h],
+  5: () => [0, 1, 1, 0, 0, 0],
+  6: (w, h) => [0, 1, -1, 0, h, 0],
+  7: (w, h) => [0, -1, -1, 0, h, w],
+  8: (w, h) => [0, -1, 1, 0, 0, w],
+};
+
+const applyOrientation = (bitmap, orientation) => {
+  const { width, height } = bitmap;
+  const swap = orientation >= 5;
+  const canvas = new OffscreenCanvas(
+    swap ? height : width,
+    swap ? width : height
+  );
+  const ctx = canvas.getContext("2d");
+  ctx.transform(...ORIENTATION_TRANSFORMS[orientation](width, height));
+  ctx.drawImage(bitmap, 0, 0);
+  bitmap.close();
+  return canvas;
+};
+
+// --- Edits ---
+// Crop, rotation and flips from the editor go on top of the EXIF orientation,
+// which is also what the editor preview shows.
+const applyEdits = (image, edits) => {
+  if (!edits) return image;
+  const canvas = renderEdited(
+    image,
+    edits,
+    (width, height) => new OffscreenCanvas(width, height)
+  );
+  image.close?.();
+  return canvas;
+};
+
+// --- Background ---
+const applyTrimAndPad = (image, background, options) => {
+  if (!background) return image;
+  const result = trimAndPad(
+    image,
+    background,
+    (width, height) => new OffscreenCanvas(width, height),
+    options
+  );
+  if (result !== image) image.close?.();
+  return result;
+};
+
+const applyFlatten = (canvas, background) =>
+  background?.flatten ? flatten(canvas, background.color) : canvas;
+
+// --- Resizing ---
+// High-quality mode halves large reductions step by step to avoid aliasing.
+const drawResized = (bitmap, resize) => {
+  const layout = computeResizeLayout(bitmap.width, bitmap.height, resize);
+  const smoothing = resize.highQuality ? "high" : "low";
+  let image = bitmap;
+  let { sx, sy, sw, sh } = layout;
+
+  if (resize.highQuality) {
+    while (sw / 2 >= layout.dw && sh / 2 >= layout.dh) {
+      const step = new OffscreenCanvas(Math.ceil(sw / 2), Math.ceil(sh / 2));
+      const stepCtx = step.getContext("2d");
+      stepCtx.imageSmoothingQuality = smoothing;
+      stepCtx.drawImage(image, sx, sy, sw, sh, 0, 0, step.width, step.height);
+      image = step;
+      [sx, sy, sw, sh] = [0, 0, step.width, step.height];
+    }
+  }
+
+  const canvas = new OffscreenCanvas(layout.width, layout.height);
+  const ctx = canvas.getContext("2d");
+  ctx.imageSmoothingQuality = smoothing;
+  ctx.drawImage(
+    image,
+    sx,
+    sy,
+    sw,
+    sh,
+    layout.dx,
+    layout.dy,
+    layout.dw,
+    layout.dh
+  );
+  return canvas;
+};
+
+// --- Watermark ---
+// Every job in a batch carries the same logo, so the decoded bitmap is kept
+// for as long as it doesn't change.
+let logo = { url: null, promise: null };
+const loadLogo = (url) => {
+  if (logo.url !== url) {
+    logo = {
+      url,
+      promise: fetch(url)
+        .then((response) => response.blob())
+        .then((blob) => createImageBitmap(blob))
+        .catch(() => {
+          throw new Error("The watermark logo could not be decoded.");
+        }),
+    };
+  }
+  return logo.promise;
+};
+
+const applyWatermark = async (canvas, watermark) => {
+  if (!watermark) return canvas;
+  return drawWatermark(
+    canvas,
+    watermark,
+    watermark.type === "image" ? await loadLogo(watermark.logo) : null
+  );
+};
+
+// --- Encoding ---
+let webpEncoderPromise = null;
+const loadWebpEncoder = () => {
+  // init() fetches the WASM up front rather than on the first encode.
+  webpEncoderPromise ??= import("@jsquash/webp/encode.js").then(
+    async (module) => {
+      await module.init();
+      return module.default;
+    }
+  );
+  return webpEncoderPromise;
+};
+
+const encodeWithLibwebp = async (canvas, quality, options) => {
+  const encodeWebp = await loadWebpEncoder();
+  const imageData = canvas
+    .getContext("2d")
+    .getImageData(0, 0, canvas.width, canvas.height);
+  const buffer = await encodeWebp(imageData, {
+    quality,
+    lossless: options.lossless ? 1 : 0,
+    near_lossless: options.nearLossless,
+    method: options.method,
+    alpha_quality: options.alphaQuality,
+    use_sharp_yuv: options.sharpYuv ? 1 : 0,
+    // Keep RGB under fully transparent pixels intact in lossless mode.
+    exact: options.lossless ? 1 : 0,
+  });
+  return new Blob([buffer], { type: "image/webp" });
+};
+
+const encode = async (canvas, encoding, quality) => {
+  if (encoding.encoder === "wasm" && encoding.type === "image/webp") {
+    return encodeWithLibwebp(canvas, quality, encoding.webp);
+  }
+  const blob = await canvas.convertToBlob({
+    type: encoding.type,
+    quality: quality / 100,
+  });
+  // The encoder hands back a PNG when it doesn't support the requested type.
+  if (blob.type !== encoding.type) {
+    throw new Error(`This browser can't encode ${encoding.label} images.`);
+  }
+  return blob;
+};
+
+const downscale = (canvas, factor) => {
+  const smaller = new OffscreenCanvas(
+    Math.max(1, Math.round(canvas.width * factor)),
+    Math.max(1, Math.round(canvas.height * factor))
+  );
+  const ctx = smaller.getContext("2d");
+  ctx.imageSmoothingQuality = "high";
+  ctx.drawImage(canvas, 0, 0, smaller.width, smaller.height);
+  return smaller;
+};
+
+const MAX_DOWNSCALE_STEPS = 8;
+
+// Binary-searches the quality for the largest file that still fits the
+// budget. Lossless formats have no quality to search, so they can only
+// shrink by stepping the resolution down.
+const encodeToTargetSize = async (canvas, encoding, target) => {
+  let closest = null;
+  for (let step = 0; step <= MAX_DOWNSCALE_STEPS; step++) {
+    let best = null;
+    let low = encoding.lossy ? 0 : 100;
+    let high = 100;
+    while (low <= high) {
+      const quality = Math.floor((low + high) / 2);
+      const blob = await encode(canvas, encoding, quality);
+      if (blob.size <= target.bytes) {
+        best = { blob, quality };
+        low = quality + 1;
+      } else {
+        if (!closest || blob.size < closest.blob.size) {
+          closest = { blob, quality, canvas };
+        }
+        high = quality - 1;
+      }
+    }
+    if (best) return { ...best, canvas, targetMet: true };
+    if (!target.allowDownscale || (canvas.width === 1 && canvas.height === 1)) {
+      break;
+    }
+    // Aim straight for the budget instead of creeping down in small steps.
+    const ratio = target.bytes / closest.blob.size;
+    canvas = downscale(canvas, Math.min(0.9, Math.sqrt(ratio)));
+  }
+  return { ...closest, targetMet: false };
+};
+
+// --- Quality Metrics ---
+const readPixels = (canvas) =>
+  canvas.getContext("2d").getImageData(0, 0, canvas.width, canvas.height);
+
+// Decodes an encoded result back to pixels at the size it was encoded at.
+// Colour management is off so the pixels line up with the reference.
+const decodePixels = async (blob, width, height) => {
+  const bitmap = await createImageBitmap(blob, {
+    colorSpaceConversion: "none",
+  });
+  const canvas = new OffscreenCanvas(width, height);
+  const ctx = canvas.getContext("2d");
+  ctx.drawImage(bitmap, 0, 0, width, height);
+  bitmap.close();
+  return ctx.getImageData(0, 0, width, height);
+};
+
+const measure = async (blob, canvas, reference = readPixels(canvas)) =>
+  measureQuality(
+    reference,
+    await decodePixels(blob, canvas.width, canvas.height)
+  );
+
+// Binary-searches the lowest quality whose output still reaches the target
+// SSIM. SSIM doesn't rise in perfect lockstep with quality, so this finds a
+// good setting rather than the provably lowest one.
+const encodeToTargetSsim = async (canvas, encoding, target) => {
+  const reference = readPixels(canvas);
+  let best = null;
+  let closest = null;
+  let low = MIN_SEARCH_QUALITY;
+  let high = 100;
+  while (low <= high) {
+    const quality = Math.floor((low + high) / 2);
+    const blob = await encode(canvas, encoding, quality);
+    const metrics = await measure(blob, canvas, reference);
+    if (metrics.ssim >= target.ssim) {
+      best = { blob, quality, metrics };
+      high = quality - 1;
+    } else {
+      if (!closest || metrics.ssim > closest.metrics.ssim) {
+        closest = { blob, quality, metrics };
+      }
+      low = quality + 1;
+    }
+  }
+  return { ...(best ?? closest), canvas, targetMet: Boolean(best) };
+};
+
+// --- Conversion ---
+// Orientation is only reset when the pixels were rotated here.
+const selectMetadata = (source, options, rotated) => {
+  const { keepExif, keepGps, keepXmp, keepIcc } = options;
+  const settings = { keepGps, resetOrientation: rotated };
+  return {
+    exif: keepExif && source.exif ? prepareExif(source.exif, settings) : null,
+    xmp: keepXmp && source.xmp ? prepareXmp(source.xmp, settings) : null,
+    icc: keepIcc ? source.icc : null,
+  };
+};
+
+const convertStill = async (job) => {
+  const { source, sourceFormat, sourceLabel, quality, encoding, resize } = job;
+  const embedsMetadata = METADATA_OUTPUT_TYPES.includes(encoding.type);
+  const bytes =
+    source instanceof ImageBitmap
+      ? null
+      : new Uint8Array(await source.arrayBuffer());
+  const sourceMetadata = bytes
+    ? await extractMetadata(bytes, sourceFormat)
+    : { exif: null, xmp: null, icc: null, orientation: null };
+  const { orientation } = sourceMetadata;
+  const rotate = Boolean(orientation) && job.metadata.applyOrientation;
+  const metadata = embedsMetadata
+    ? selectMetadata(sourceMetadata, job.metadata, rotate)
+    : { exif: null, xmp: null, icc: null };
+
+  // A carried-over profile needs the pixels left in its color space.
+  const decodeOptions = metadata.icc ? { colorSpaceConversion: "none" } : {};
+  let bitmap = await decodeSource(
+    orientation ? new Blob([withOrientationReset(bytes, orientation)]) : source,
+    sourceFormat,
+    sourceLabel,
+    decodeOptions
+  );
+  if (rotate) bitmap = applyOrientation(bitmap, orientation.value);
+  const sourceWidth = bitmap.width;
+  const sourceHeight = bitmap.height;
+  bitmap = applyTrimAndPad(applyEdits(bitmap, job.edits), job.background);
+  const resized = applyFlatten(
+    await applyWatermark(drawResized(bitmap, resize), job.watermark),
+    job.background
+  );
+  bitmap.close?.();
+
+  const metadataBytes = metadataByteLength(metadata);
+  let result = job.targetSize
+    ? await encodeToTargetSize(resized, encoding, {
+        ...job.targetSize,
+        bytes: Math.max(1, job.targetSize.bytes - metadataBytes),
+      })
+    : job.targetSsim
+    ? await encodeToTargetSsim(resized, encoding, job.targetSsim)
+    : {
+        blob: await encode(resized, encoding, quality),
+        quality,
+        canvas: resized,
+        targetMet: null,
+      };
+  // A lossy result that isn't smaller gets a few lower qualities to try.
+  if (
+    job.sizePolicy?.fallback === "retry" &&
+    encoding.lossy &&
+    !(source instanceof ImageBitmap)
+  ) {
+    for (const retryQuality of retryQualities(result.quality)) {
+      if (result.blob.size + metadataBytes < source.size) break;
+      result = {
+        ...result,
+        blob: await encode(result.canvas, encoding, retryQuality),
+        quality: retryQuality,
+        metrics: null,
+        retried: true,
+      };
+    }
+  }
+  // Metrics are measured before metadata goes in; an embedded ICC profile
+  // would otherwise get applied when decoding.
+  const metrics =
+    result.metrics ??
+    (await measure(result.blob, result.canvas).catch(() => null));
+  const blob = metadataBytes
+    ? new Blob(
+        [
+          embedMetadata(
+            new Uint8Array(await result.blob.arrayBuffer()),
+            encoding.type,
+            metadata
+          ),
+        ],
+        { type: encoding.type }
+      )
+    : result.blob;
+  return {
+    blob,
+    quality: result.quality,
+    targetMet: result.targetMet,
+    retried: result.retried ?? false,
+    metrics,
+    sourceWidth,
+    sourceHeight,
+    width: result.canvas.width,
+    height: result.canvas.height,
+    frameCount: 1,
+  };
+};
+
+// Every kept frame is resized and encoded as a still WebP, then the stills
+// are muxed into one animated file. Target-size search doesn't apply here.
+const convertAnimation = async (job) => {
+  const { source, sourceFormat, quality, encoding, resize, animation } = job;
+  const { width, height, loopCount, kept, bitmaps } = await animationDecoders[
+    sourceFormat
+  ](await source.arrayBuffer(), (durations) =>
+    planFrames(durations, animation)
+  );
+
+  const frames = [];
+  let output = null;
+  for (const [index, bitmap] of bitmaps.entries()) {
+    const prepared = applyTrimAndPad(
+      applyEdits(bitmap, job.edits),
+      job.background,
+      { trim: false }
+    );
+    output = applyFlatten(
+      await applyWatermark(drawResized(prepared, resize), job.watermark),
+      job.background
+    );
+    bitmap.close();
+    const blob = await encode(output, encoding, quality);
+    frames.push({
+      bytes: new Uint8Array(await blob.arrayBuffer()),
+      duration: kept[index].duration,
+    });
+  }
+
+  const bytes = muxAnimatedWebp({
+    width: output.width,
+    height: output.height,
+    loopCount,
+    frames,
+  });
+  return {
+    blob: new Blob([bytes], { type: "image/webp" }),
+    quality,
+    targetMet: null,
+    sourceWidth: width,
+    sourceHeight: height,
+    width: output.width,
+    height: output.height,
+    frameCount: frames.length,
+  };
+};
+
+// The original with its metadata cut down to what the settings keep, or the
+// reason it can't be. Rasterized SVGs never get here (see sizePolicyConflict).
+const prepareOriginal = async ({
+  source,
+  sourceFormat,
+  sourceLabel,
+  metadata,
+}) => {
+  if (!ORIGINAL_FALLBACK_FORMATS.includes(sourceFormat)) {
+    return { reason: `the metadata of a ${sourceLabel} file can't be checked` };
+  }
+  const bytes = new Uint8Array(await source.arrayBuffer());
+  const sourceMetadata = await extractMetadata(bytes, sourceFormat);
+  const selected = selectMetadata(sourceMetadata, metadata, false);
+  // The pixels aren't rotated here, so the tag has to stay.
+  if (sourceMetadata.orientation && !selected.exif) {
+    return { reason: "stripping its EXIF would lose its orientation" };
+  }
+  const remuxed = remuxMetadata(bytes, sourceFormat, sourceMetadata, selected);
+  if (!remuxed) {
+    return { reason: "its metadata can't be rewritten to match the settings" };
+  }
+  return remuxed === bytes
+    ? { blob: source, stripped: false }
+    : { blob: new Blob([remuxed], { type: source.type }), stripped: true };
+};
+
+const keepOriginalIfLarger = async (result, job) => {
+  if (!job.sizePolicy || result.blob.size < job.source.size) return result;
+  const original = await prepareOriginal(job);
+  if (!original.blob) {
+    return {
+      ...result,
+      sizePolicyNote: `The original is smaller, but ${original.reason}, so the conversion is used.`,
+    };
+  }
+  return {
+    ...result,
+    blob: original.blob,
+    keptOriginal: true,
+    sizePolicyNote: original.stripped
+      ? "The conversion wasn't smaller, so the original is used, with its metadata stripped to match the settings."
+      : "The conversion wasn't smaller, so the original is used.",
+    quality: null,
+    metrics: null,
+    width: result.sourceWidth,
+    height: result.sourceHeight,
+  };
+};
+
+// Loads the lazily fetched encoders so the service worker caches them for
+// offline use.
+const warmUp = async () => {
+  await Promise.allSettled([loadLibheif(), loadWebpEncoder()]);
+  self.postMessage({ type: "warm-up" });
+};
+
+self.onmessage = async (e) => {
+  if (e.data.type === "warm-up") return warmUp();
+  const { id, format, frameCount, encoding, animation } = e.data;
+  const isAnimated =
+    frameCount > 1 && animation.preserve && encoding.type === "image/webp";
+  const startedAt = performance.now();
+  const duration = () => Math.round(performance.now() - startedAt);
+  try {
+    const result = await keepOriginalIfLarger(
+      isAnimated ? await convertAnimation(e.data) : await convertStill(e.data),
+      e.data
+    );
+    self.postMessage({
+      id,
+      status: "done",
+      format,
+      duration: duration(),
+      ...result,
+    });
+  } catch (error) {
+    self.postMessage({
+      id,
+      status: "error",
+      error: error.message,
+      duration: duration(),
+    });
+  }
+};
@@ -0,0 +1,45 @@
+// --- Duplicate Uploads ---
+// Byte-identical uploads are converted once; a duplicate row keeps its own
+// name but shares the original's result.
+export const DUPLICATE_MODES = {
+  reuse: "Convert once, reuse the result",
+  skip: "Skip duplicates",
+};
+
+const SHARED_FIELDS = [
+  "status",
+  "convertedUrl",
+  "convertedSize",
+  "outputFormat",
+  "sourceWidth",
+  "sourceHeight",
+  "width",
+  "height",
+  "quality",
+  "targetMet",
+  "metrics",
+  "outputFrameCount",
+  "settings",
+  "errorMessage",
+  "variants",
+  "keptOriginal",
+  "sizeRetried",
+  "sizePolicyNote",
+];
+
+// Duplicates whose original was removed become ordinary rows.
+export const resolveDuplicates = (images) => {
+  const byId = new Map(images.map((image) => [image.id, image]));
+  return images.map((image) => {
+    if (!image.duplicateOf) return image;
+    const original = byId.get(image.duplicateOf);
+    if (!original) return { ...image, duplicateOf: null };
+    return {
+      ...image,
+      ...Object.fromEntries(
+        SHARED_FIELDS.map((field) => [field, original[field]])
+      ),
+      duplicateName: original.relativePath,
+    };
+  });
+};
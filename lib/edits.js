@@ -0,0 +1,118 @@
+// --- Image Edits ---
+// Edits are stored on the row as plain parameters and only applied in the
+// worker at conversion time; the source file itself is never touched. The
+// crop is kept in fractions of the rotated, straightened and flipped image,
+// so the same edits can be copied to images of other sizes.
+
+export const DEFAULT_EDITS = {
+  // Quarter turns clockwise, 0-3.
+  rotate: 0,
+  // Degrees, applied on top of the quarter turns.
+  straighten: 0,
+  flipHorizontal: false,
+  flipVertical: false,
+  // { x, y, width, height, aspect } in fractions, or null for no crop.
+  crop: null,
+};
+
+export const MAX_STRAIGHTEN = 45;
+
+export const CROP_ASPECTS = {
+  free: { label: "Free", ratio: null },
+  square: { label: "1:1", ratio: 1 },
+  "4:3": { label: "4:3", ratio: 4 / 3 },
+  "3:2": { label: "3:2", ratio: 3 / 2 },
+  "16:9": { label: "16:9", ratio: 16 / 9 },
+  "3:4": { label: "3:4", ratio: 3 / 4 },
+  "9:16": { label: "9:16", ratio: 9 / 16 },
+};
+
+export const hasEdits = (edits) =>
+  Boolean(edits) &&
+  (edits.rotate % 4 !== 0 ||
+    edits.straighten !== 0 ||
+    edits.flipHorizontal ||
+    edits.flipVertical ||
+    edits.crop !== null);
+
+export const rotatedSize = (width, height, edits) =>
+  edits.rotate % 2 ? { width: height, height: width } : { width, height };
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+// How far a straightened image has to be scaled up to cover its own frame,
+// so no empty corners show.
+const straightenScale = (width, height, degrees) => {
+  const angle = Math.abs((degrees * Math.PI) / 180);
+  return (
+    Math.cos(angle) + Math.max(width / height, height / width) * Math.sin(angle)
+  );
+};
+
+// The largest crop with the given aspect (in pixels), centred.
+export const centeredCrop = (width, height, ratio) => {
+  if (!ratio) return { x: 0, y: 0, width: 1, height: 1, aspect: null };
+  const cropWidth = Math.min(1, (height * ratio) / width);
+  const cropHeight = Math.min(1, width / ratio / height);
+  return {
+    x: (1 - cropWidth) / 2,
+    y: (1 - cropHeight) / 2,
+    width: cropWidth,
+    height: cropHeight,
+    aspect: ratio,
+  };
+};
+
+// Pixel rectangle of a crop on a width × height image. A fixed aspect is
+// enforced again around the crop's centre, so a crop copied to an image with
+// other proportions keeps its shape.
+export const resolveCrop = (crop, width, height) => {
+  if (!crop) return { x: 0, y: 0, width, height };
+  let cropWidth = crop.width * width;
+  let cropHeight = crop.height * height;
+  if (crop.aspect) {
+    if (cropWidth / cropHeight > crop.aspect) {
+      cropWidth = cropHeight * crop.aspect;
+    } else {
+      cropHeight = cropWidth / crop.aspect;
+    }
+  }
+  cropWidth = clamp(Math.round(cropWidth), 1, width);
+  cropHeight = clamp(Math.round(cropHeight), 1, height);
+  const centerX = (crop.x + crop.width / 2) * width;
+  const centerY = (crop.y + crop.height / 2) * height;
+  return {
+    x: Math.round(clamp(centerX - cropWidth / 2, 0, width - cropWidth)),
+    y: Math.round(clamp(centerY - cropHeight / 2, 0, height - cropHeight)),
+    width: cropWidth,
+    height: cropHeight,
+  };
+};
+
+// Draws `source` with the edits applied onto a canvas from
+// `createCanvas(width, height)`: OffscreenCanvas in the worker, a regular
+// canvas for the editor preview. The preview leaves the crop out and shows
+// it as an overlay instead.
+export const renderEdited = (
+  source,
+  edits,
+  createCanvas,
+  { crop = true } = {}
+) => {
+  const { width, height } = rotatedSize(source.width, source.height, edits);
+  const region = crop
+    ? resolveCrop(edits.crop, width, height)
+    : { x: 0, y: 0, width, height };
+  const canvas = createCanvas(region.width, region.height);
+  const ctx = canvas.getContext("2d");
+  ctx.imageSmoothingQuality = "high";
+  // Flips act on the image as it ends up on screen, so they're applied
+  // after (outside) the rotation.
+  ctx.translate(width / 2 - region.x, height / 2 - region.y);
+  ctx.scale(edits.flipHorizontal ? -1 : 1, edits.flipVertical ? -1 : 1);
+  ctx.rotate(((edits.rotate * 90 + edits.straighten) * Math.PI) / 180);
+  const scale = straightenScale(width, height, edits.straighten);
+  ctx.scale(scale, scale);
+  ctx.drawImage(source, -source.width / 2, -source.height / 2);
+  return canvas;
+};
@@ -0,0 +1,26 @@
+// Test doubles for Web Workers; they only answer when a test tells them to.
+export const createFakeWorkers = () => {
+  const workers = [];
+  const createWorker = () => {
+    const worker = {
+      messages: [],
+      terminated: false,
+      postMessage: (message) => worker.messages.push(message),
+      terminate: () => (worker.terminated = true),
+      reply: (data) => worker.onmessage({ data }),
+      crash: (message) => worker.onerror({ message }),
+    };
+    workers.push(worker);
+    return worker;
+  };
+  const posted = () => workers.flatMap((worker) => worker.messages);
+  // The worker currently holding a job.
+  const running = (id) =>
+    workers.find(
+      (worker) => !worker.terminated && worker.messages.at(-1)?.id === id
+    );
+  return { workers, createWorker, posted, running };
+};
+
+// Jobs are prepared asynchronously, so messages are posted a tick later.
+export const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
@@ -0,0 +1,88 @@
+import { folderOf } from "./files";
+
+// --- Output Filenames ---
+export const DEFAULT_FILENAME = {
+  template: "{name}",
+  lowercase: false,
+  slugify: false,
+};
+
+export const FILENAME_TOKENS = {
+  name: "File name without extension",
+  ext: "Original extension",
+  index: "Position in the list",
+  width: "Output width",
+  height: "Output height",
+  quality: "Quality used",
+  date: "Today's date (YYYY-MM-DD)",
+  hash: "Short hash of the original file",
+};
+
+const UNSAFE_CHARACTERS = /[/\\:*?"<>|\u0000-\u001f]/g;
+
+const splitExtension = (fileName) => {
+  const dot = fileName.lastIndexOf(".");
+  return dot > 0
+    ? { name: fileName.slice(0, dot), ext: fileName.slice(dot + 1) }
+    : { name: fileName, ext: "" };
+};
+
+const slugPart = (text) =>
+  text
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^A-Za-z0-9._-]+/g, "-");
+
+// Values that aren't known yet are null and stay as their {token}, so the
+// preview shows where they will go; an empty string renders as nothing.
+export const renderFilename = (template, values, { lowercase, slugify }) => {
+  const transform = (text) => {
+    let result = text.replace(UNSAFE_CHARACTERS, "_");
+    if (slugify) result = slugPart(result);
+    return lowercase ? result.toLowerCase() : result;
+  };
+  let result = template
+    .split(/(\{\w+\})/)
+    .map((part) => {
+      const token = part.match(/^\{(\w+)\}$/)?.[1];
+      if (!token || !(token in FILENAME_TOKENS)) return transform(part);
+      const value = values[token];
+      return value == null ? part : transform(String(value));
+    })
+    .join("");
+  if (slugify) result = result.replace(/-{2,}/g, "-").replace(/^-|-$/g, "");
+  return result.trim() || "image";
+};
+
+// Builds the output path (folder + name + extension) for every image, in list
+// order. Clashes get -2, -3, ... appended, compared case-insensitively since
+// the ZIP may be extracted onto a case-insensitive file system.
+export const buildOutputNames = (images, options, resolveValues) => {
+  const date = new Date().toISOString().slice(0, 10);
+  const indexWidth = String(images.length).length;
+  const taken = new Set();
+  const names = new Map();
+
+  images.forEach((image, index) => {
+    const { extension, ...values } = resolveValues(image);
+    const base = renderFilename(
+      options.template,
+      {
+        ...splitExtension(image.originalName),
+        index: String(index + 1).padStart(indexWidth, "0"),
+        date,
+        hash: image.hash?.slice(0, 8),
+        ...values,
+      },
+      options
+    );
+    const folder = folderOf(image.relativePath);
+    let path = `${folder}${base}.${extension}`;
+    for (let n = 2; taken.has(path.toLowerCase()); n++) {
+      path = `${folder}${base}-${n}.${extension}`;
+    }
+    taken.add(path.toLowerCase());
+    names.set(image.id, path);
+  });
+  return names;
+};
@@ -0,0 +1,87 @@
+import { describe, expect, test } from "vitest";
+import { buildOutputNames, renderFilename } from "./filename";
+
+const plain = { lowercase: false, slugify: false };
+
+describe("renderFilename", () => {
+  test("fills in known tokens", () => {
+    expect(
+      renderFilename("{name}-{width}w", { name: "photo", width: 800 }, plain)
+    ).toBe("photo-800w");
+  });
+
+  test("leaves tokens whose value isn't known yet", () => {
+    expect(renderFilename("{name}-{hash}", { name: "photo" }, plain)).toBe(
+      "photo-{hash}"
+    );
+  });
+
+  test("renders an empty value as nothing", () => {
+    expect(
+      renderFilename("{name}{quality}", { name: "photo", quality: "" }, plain)
+    ).toBe("photo");
+  });
+
+  test("keeps unknown tokens as text", () => {
+    expect(renderFilename("{name}-{size}", { name: "a" }, plain)).toBe(
+      "a-{size}"
+    );
+  });
+
+  test("replaces characters that aren't allowed in file names", () => {
+    expect(renderFilename("{name}", { name: 'a/b:c"d' }, plain)).toBe(
+      "a_b_c_d"
+    );
+  });
+
+  test("slugifies and lowercases", () => {
+    expect(
+      renderFilename(
+        "{name}",
+        { name: " Café  au Lait! " },
+        { lowercase: true, slugify: true }
+      )
+    ).toBe("cafe-au-lait");
+  });
+
+  test("falls back to a name when nothing is left", () => {
+    expect(renderFilename("  ", {}, plain)).toBe("image");
+  });
+});
+
+describe("buildOutputNames", () => {
+  const resolveValues = () => ({ extension: "webp" });
+  const image = (id, relativePath) => ({
+    id,
+    originalName: relativePath.split("/").at(-1),
+    relativePath,
+  });
+
+  test("numbers the images and keeps their folders", () => {
+    const images = [image("a", "trip/one.png"), image("b", "two.jpg")];
+    const names = buildOutputNames(
+      images,
+      { template: "{index}-{name}", ...plain },
+      resolveValues
+    );
+    expect([...names.values()]).toEqual(["trip/1-one.webp", "2-two.webp"]);
+  });
+
+  test("numbers clashing names, ignoring case", () => {
+    const images = [
+      image("a", "Photo.png"),
+      image("b", "photo.jpg"),
+      image("c", "PHOTO.gif"),
+    ];
+    const names = buildOutputNames(
+      images,
+      { template: "{name}", ...plain },
+      resolveValues
+    );
+    expect([...names.values()]).toEqual([
+      "Photo.webp",
+      "photo-2.webp",
+      "PHOTO-3.webp",
+    ]);
+  });
+});
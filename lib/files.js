@@ -0,0 +1,84 @@
+// --- Collecting Files ---
+// Every upload source (file input, folder picker, drop, paste) is reduced to
+// a list of { file, relativePath } so the folder layout can be rebuilt later.
+
+const isHidden = (name) => name.startsWith(".");
+
+export const filesFromInput = (fileList) =>
+  Array.from(fileList)
+    .filter((file) => !isHidden(file.name))
+    .map((file) => ({
+      file,
+      relativePath: file.webkitRelativePath || file.name,
+    }));
+
+const readEntryFile = (entry) =>
+  new Promise((resolve, reject) => entry.file(resolve, reject));
+
+// readEntries hands back at most ~100 entries per call, so keep asking until
+// it returns an empty batch.
+const readAllEntries = async (directory) => {
+  const reader = directory.createReader();
+  const entries = [];
+  let batch;
+  do {
+    batch = await new Promise((resolve, reject) =>
+      reader.readEntries(resolve, reject)
+    );
+    entries.push(...batch);
+  } while (batch.length > 0);
+  return entries;
+};
+
+const walkEntry = async (entry) => {
+  if (isHidden(entry.name)) return [];
+  if (entry.isFile) {
+    return [
+      {
+        file: await readEntryFile(entry),
+        relativePath: entry.fullPath.replace(/^\//, ""),
+      },
+    ];
+  }
+  const children = await readAllEntries(entry);
+  return (await Promise.all(children.map(walkEntry))).flat();
+};
+
+// Entries have to be grabbed synchronously inside the drop handler; the
+// DataTransfer is emptied as soon as the event returns.
+export const entriesFromDrop = (dataTransfer) => {
+  const items = Array.from(dataTransfer.items ?? []);
+  const entries = items
+    .filter((item) => item.kind === "file")
+    .map((item) => item.webkitGetAsEntry?.())
+    .filter(Boolean);
+  const fallback = filesFromInput(dataTransfer.files);
+  return async () => {
+    if (entries.length === 0) return fallback;
+    return (await Promise.all(entries.map(walkEntry))).flat();
+  };
+};
+
+// Clipboard screenshots all arrive as "image.png", so give them a unique,
+// timestamped name instead.
+export const filesFromClipboard = (clipboardData) => {
+  const stamp = new Date().toISOString().replace(/\D/g, "").slice(0, 14);
+  return Array.from(clipboardData.files)
+    .filter((file) => file.type.startsWith("image/"))
+    .map((file, index) => {
+      const extension = file.type.split("/")[1].replace("+xml", "");
+      const name = `pasted-${stamp}${index ? `-${index}` : ""}.${extension}`;
+      return {
+        file: new File([file], name, {
+          type: file.type,
+          lastModified: Date.now(),
+        }),
+        relativePath: name,
+      };
+    });
+};
+
+export const folderOf = (relativePath) =>
+  relativePath.includes("/")
+    ? relativePath.slice(0, relativePath.lastIndexOf("/") + 1)
+    : "";
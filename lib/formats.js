@@ -0,0 +1,287 @@
+// --- Output Formats ---
+export const OUTPUT_FORMATS = {
+  webp: {
+    label: "WebP",
+    mimeType: "image/webp",
+    extension: "webp",
+    lossy: true,
+  },
+  avif: {
+    label: "AVIF",
+    mimeType: "image/avif",
+    extension: "avif",
+    lossy: true,
+  },
+  jpeg: {
+    label: "JPEG",
+    mimeType: "image/jpeg",
+    extension: "jpg",
+    lossy: true,
+  },
+  png: { label: "PNG", mimeType: "image/png", extension: "png", lossy: false },
+};
+
+// --- Encoders ---
+// WebP can also go through a bundled libwebp build, which exposes the full
+// encoder config and produces the same bytes in every browser.
+export const ENCODERS = {
+  canvas: "Browser canvas",
+  wasm: "libwebp (WASM)",
+};
+
+export const DEFAULT_WEBP_OPTIONS = {
+  lossless: false,
+  nearLossless: 100,
+  method: 4,
+  alphaQuality: 100,
+  sharpYuv: false,
+};
+
+// Canvas encoders silently fall back to PNG for types they don't support,
+// so probe each format once and check what actually comes back.
+export const detectEncodableFormats = () => {
+  const canvas = document.createElement("canvas");
+  canvas.width = canvas.height = 1;
+  return Object.fromEntries(
+    Object.entries(OUTPUT_FORMATS).map(([key, format]) => [
+      key,
+      canvas.toDataURL(format.mimeType).startsWith(`data:${format.mimeType}`),
+    ])
+  );
+};
+
+// --- Input Formats ---
+// `decoder` is "native" when createImageBitmap can read the file directly,
+// "bundled" when the worker ships its own decoder, and "main-thread" when the
+// file has to be rasterized through the DOM before it reaches a worker.
+export const INPUT_FORMATS = {
+  png: {
+    label: "PNG",
+    mimeTypes: ["image/png"],
+    extensions: [".png"],
+    decoder: "native",
+  },
+  jpeg: {
+    label: "JPEG",
+    mimeTypes: ["image/jpeg"],
+    extensions: [".jpg", ".jpeg"],
+    decoder: "native",
+  },
+  gif: {
+    label: "GIF",
+    mimeTypes: ["image/gif"],
+    extensions: [".gif"],
+    decoder: "native",
+  },
+  bmp: {
+    label: "BMP",
+    mimeTypes: ["image/bmp", "image/x-ms-bmp"],
+    extensions: [".bmp"],
+    decoder: "native",
+  },
+  webp: {
+    label: "WebP",
+    mimeTypes: ["image/webp"],
+    extensions: [".webp"],
+    decoder: "native",
+  },
+  avif: {
+    label: "AVIF",
+    mimeTypes: ["image/avif"],
+    extensions: [".avif"],
+    decoder: "native",
+  },
+  tiff: {
+    label: "TIFF",
+    mimeTypes: ["image/tiff"],
+    extensions: [".tif", ".tiff"],
+    decoder: "bundled",
+  },
+  heic: {
+    label: "HEIC",
+    mimeTypes: ["image/heic", "image/heif"],
+    extensions: [".heic", ".heif"],
+    decoder: "bundled",
+  },
+  svg: {
+    label: "SVG",
+    mimeTypes: ["image/svg+xml"],
+    extensions: [".svg"],
+    decoder: "main-thread",
+  },
+};
+
+export const INPUT_ACCEPT = Object.values(INPUT_FORMATS)
+  .flatMap((format) => [...format.mimeTypes, ...format.extensions])
+  .join(", ");
+
+const AVIF_BRANDS = ["avif", "avis"];
+const HEIC_BRANDS = [
+  "heic",
+  "heix",
+  "hevc",
+  "hevx",
+  "heim",
+  "heis",
+  "hevm",
+  "hevs",
+  "mif1",
+  "msf1",
+];
+
+// ISO-BMFF containers (AVIF, HEIC) list their brands in the leading `ftyp` box.
+const readFtypBrands = (bytes) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const boxSize = Math.min(view.getUint32(0), bytes.length);
+  const brands = [];
+  for (let offset = 8; offset + 4 <= boxSize; offset += 4) {
+    if (offset === 12) continue; // minor version, not a brand
+    brands.push(String.fromCharCode(...bytes.subarray(offset, offset + 4)));
+  }
+  return brands;
+};
+
+const sniffFormat = (bytes) => {
+  const ascii = (start, end) =>
+    String.fromCharCode(...bytes.subarray(start, end));
+  const startsWith = (...signature) =>
+    signature.every((byte, index) => bytes[index] === byte);
+
+  if (startsWith(0x89, 0x50, 0x4e, 0x47)) return "png";
+  if (startsWith(0xff, 0xd8, 0xff)) return "jpeg";
+  if (ascii(0, 6) === "GIF87a" || ascii(0, 6) === "GIF89a") return "gif";
+  if (ascii(0, 2) === "BM") return "bmp";
+  if (
+    startsWith(0x49, 0x49, 0x2a, 0x00) ||
+    startsWith(0x4d, 0x4d, 0x00, 0x2a)
+  ) {
+    return "tiff";
+  }
+  if (ascii(0, 4) === "RIFF" && ascii(8, 12) === "WEBP") return "webp";
+  if (bytes.length >= 16 && ascii(4, 8) === "ftyp") {
+    const brands = readFtypBrands(bytes);
+    if (brands.some((brand) => AVIF_BRANDS.includes(brand))) return "avif";
+    if (brands.some((brand) => HEIC_BRANDS.includes(brand))) return "heic";
+  }
+  // SVG is text: allow an XML declaration, comments and a doctype before <svg>.
+  const text = new TextDecoder().decode(bytes).replace(/^\uFEFF/, "");
+  if (
+    /^(?:\s|<\?xml[^>]*>|<!--[\s\S]*?-->|<!DOCTYPE[^>]*>)*<svg[\s>]/i.test(text)
+  ) {
+    return "svg";
+  }
+  return null;
+};
+
+// Browsers often leave `file.type` empty (HEIC, TIFF) or guess it from the
+// extension, so the leading bytes decide and the MIME type is only a fallback.
+export const detectSourceFormat = async (file) => {
+  const bytes = new Uint8Array(await file.slice(0, 1024).arrayBuffer());
+  const sniffed = sniffFormat(bytes);
+  if (sniffed) return sniffed;
+  return (
+    Object.keys(INPUT_FORMATS).find((key) =>
+      INPUT_FORMATS[key].mimeTypes.includes(file.type)
+    ) ?? null
+  );
+};
+
+// Reads the pixel size from the file header without decoding the image. Used
+// to budget memory before a job starts, so null (unknown) is an acceptable
+// answer.
+const JPEG_SOF_MARKERS = [0xc0, 0xc1, 0xc2, 0xc3, 0xc5, 0xc6, 0xc7];
+
+const headerReaders = {
+  png: (view) => ({ width: view.getUint32(16), height: view.getUint32(20) }),
+  gif: (view) => ({
+    width: view.getUint16(6, true),
+    height: view.getUint16(8, true),
+  }),
+  bmp: (view) => ({
+    width: Math.abs(view.getInt32(18, true)),
+    height: Math.abs(view.getInt32(22, true)),
+  }),
+  webp: (view) => {
+    const chunk = String.fromCharCode(
+      ...new Uint8Array(view.buffer, view.byteOffset + 12, 4)
+    );
+    const uint24 = (offset) =>
+      view.getUint16(offset, true) | (view.getUint8(offset + 2) << 16);
+    if (chunk === "VP8X") {
+      return { width: uint24(24) + 1, height: uint24(27) + 1 };
+    }
+    if (chunk === "VP8L") {
+      const bits = view.getUint32(21, true);
+      return {
+        width: (bits & 0x3fff) + 1,
+        height: ((bits >>> 14) & 0x3fff) + 1,
+      };
+    }
+    return {
+      width: view.getUint16(26, true) & 0x3fff,
+      height: view.getUint16(28, true) & 0x3fff,
+    };
+  },
+  jpeg: (view) => {
+    let offset = 2;
+    while (offset + 9 < view.byteLength && view.getUint8(offset) === 0xff) {
+      const marker = view.getUint8(offset + 1);
+      if (JPEG_SOF_MARKERS.includes(marker)) {
+        return {
+          width: view.getUint16(offset + 7),
+          height: view.getUint16(offset + 5),
+        };
+      }
+      offset += 2 + view.getUint16(offset + 2);
+    }
+    return null;
+  },
+};
+
+export const readImageSize = async (file, sourceFormat) => {
+  const reader = headerReaders[sourceFormat];
+  if (!reader) return null;
+  // JPEG headers can carry large EXIF thumbnails and ICC profiles before the
+  // frame header.
+  const length = sourceFormat === "jpeg" ? 256 * 1024 : 64;
+  try {
+    const size = reader(
+      new DataView(await file.slice(0, length).arrayBuffer())
+    );
+    return size?.width > 0 && size?.height > 0 ? size : null;
+  } catch {
+    return null;
+  }
+};
+
+// Workers have no DOM to render SVG with, so SVGs are drawn to a canvas here
+// at the requested width and handed over as a bitmap.
+export const rasterizeSvg = (file, width) =>
+  new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const img = new Image();
+    img.onload = () => {
+      try {
+        const aspectRatio =
+          img.naturalWidth && img.naturalHeight
+            ? img.naturalHeight / img.naturalWidth
+            : 1;
+        const canvas = document.createElement("canvas");
+        canvas.width = width;
+        canvas.height = Math.max(1, Math.round(width * aspectRatio));
+        canvas
+          .getContext("2d")
+          .drawImage(img, 0, 0, canvas.width, canvas.height);
+        resolve(createImageBitmap(canvas));
+      } catch (e) {
+        reject(e);
+      } finally {
+        URL.revokeObjectURL(url);
+      }
+    };
+    img.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error("SVG could not be rendered. It might be malformed."));
+    };
+    img.src = url;
+  });
@@ -0,0 +1,34 @@
+// --- ICO Container ---
+// Entries hold the PNGs as-is; only a directory goes in front of them.
+
+const HEADER_SIZE = 6;
+const ENTRY_SIZE = 16;
+const ICON_TYPE = 1;
+
+// `images` are { width, height, bytes } with PNG bytes, smallest first.
+export const encodeIco = (images) => {
+  const dataStart = HEADER_SIZE + ENTRY_SIZE * images.length;
+  const total = images.reduce((sum, image) => sum + image.bytes.length, 0);
+  const bytes = new Uint8Array(dataStart + total);
+  const view = new DataView(bytes.buffer);
+
+  view.setUint16(0, 0, true);
+  view.setUint16(2, ICON_TYPE, true);
+  view.setUint16(4, images.length, true);
+  let offset = dataStart;
+  images.forEach(({ width, height, bytes: png }, index) => {
+    const entry = HEADER_SIZE + ENTRY_SIZE * index;
+    // A single byte per dimension; 0 stands for 256.
+    view.setUint8(entry, width >= 256 ? 0 : width);
+    view.setUint8(entry + 1, height >= 256 ? 0 : height);
+    view.setUint8(entry + 2, 0); // No palette.
+    view.setUint8(entry + 3, 0);
+    view.setUint16(entry + 4, 1, true); // Colour planes.
+    view.setUint16(entry + 6, 32, true); // Bits per pixel.
+    view.setUint32(entry + 8, png.length, true);
+    view.setUint32(entry + 12, offset, true);
+    bytes.set(png, offset);
+    offset += png.length;
+  });
+  return bytes;
+};
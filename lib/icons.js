@@ -0,0 +1,143 @@
+import { encodeIco } from "./ico";
+
+// --- Icon Sets ---
+// Icons run as variant jobs like responsive sets, told apart by `purpose`.
+
+export const DEFAULT_ICON_SET = {
+  enabled: false,
+  name: "",
+  shortName: "",
+  themeColor: "#ffffff",
+  backgroundColor: "#ffffff",
+  // Percent of a maskable icon kept clear on each side. Launchers may crop
+  // anything outside the centre circle with 80% of the icon's diameter.
+  maskablePadding: 10,
+};
+
+// Icons are square, so `width` is their size. The plain 512 px icon comes
+// last so it becomes the row's primary result.
+export const ICON_VARIANTS = [
+  { width: 16, purpose: "favicon", fileName: "favicon-16x16.png" },
+  { width: 32, purpose: "favicon", fileName: "favicon-32x32.png" },
+  { width: 48, purpose: "favicon", fileName: "favicon-48x48.png" },
+  { width: 180, purpose: "apple", fileName: "apple-touch-icon.png" },
+  { width: 192, purpose: "maskable", fileName: "icon-maskable-192.png" },
+  { width: 512, purpose: "maskable", fileName: "icon-maskable-512.png" },
+  { width: 192, purpose: "any", fileName: "icon-192.png" },
+  { width: 512, purpose: "any", fileName: "icon-512.png" },
+].map((icon) => ({
+  ...icon,
+  key: icon.fileName.replace(/\.png$/, ""),
+  format: "png",
+}));
+
+const ICON_LABELS = {
+  favicon: "Favicon",
+  apple: "Apple touch",
+  maskable: "Maskable",
+  any: "PWA",
+};
+
+export const iconLabel = (variant) =>
+  `${ICON_LABELS[variant.purpose]} ${variant.width}`;
+
+export const isIconSet = (image) => Boolean(image.variants?.[0]?.purpose);
+
+// Square PNGs at an exact size. iOS and maskable icons can't be transparent,
+// and maskable ones are padded into the safe zone.
+export const iconSettings = (settings, variant) => {
+  const { iconSet, background } = settings;
+  const opaque = variant.purpose === "apple" || variant.purpose === "maskable";
+  return {
+    ...settings,
+    outputFormat: "png",
+    encoder: "canvas",
+    resize: {
+      ...settings.resize,
+      mode: "exact",
+      width: variant.width,
+      height: variant.width,
+      fit: "contain",
+      withoutEnlargement: false,
+      highQuality: true,
+    },
+    targetSize: { ...settings.targetSize, enabled: false },
+    targetSsim: { ...settings.targetSsim, enabled: false },
+    watermark: { ...settings.watermark, enabled: false },
+    background: {
+      ...background,
+      flatten: opaque || background.flatten,
+      color: opaque ? iconSet.backgroundColor : background.color,
+      ...(variant.purpose === "maskable" && {
+        pad: true,
+        aspect: "square",
+        margin: iconSet.maskablePadding,
+      }),
+    },
+  };
+};
+
+// Paths assume the set is served from the site root, like /favicon.ico.
+const doneIcons = (image, purpose) =>
+  image.variants.filter(
+    (variant) => variant.status === "done" && variant.purpose === purpose
+  );
+
+export const buildIconLinks = (image, iconSet) => {
+  const has = (fileName) =>
+    image.variants.some(
+      (variant) => variant.status === "done" && variant.fileName === fileName
+    );
+  const favicons = doneIcons(image, "favicon");
+  return [
+    favicons.length > 0 &&
+      `<link rel="icon" href="/favicon.ico" sizes="${favicons
+        .map((variant) => `${variant.width}x${variant.width}`)
+        .join(" ")}">`,
+    has("favicon-32x32.png") &&
+      '<link rel="icon" type="image/png" sizes="32x32" href="/favicon-32x32.png">',
+    has("favicon-16x16.png") &&
+      '<link rel="icon" type="image/png" sizes="16x16" href="/favicon-16x16.png">',
+    has("apple-touch-icon.png") &&
+      '<link rel="apple-touch-icon" sizes="180x180" href="/apple-touch-icon.png">',
+    '<link rel="manifest" href="/site.webmanifest">',
+    `<meta name="theme-color" content="${iconSet.themeColor}">`,
+  ]
+    .filter(Boolean)
+    .join("\n");
+};
+
+export const buildWebManifest = (image, iconSet, fallbackName) => {
+  const name = iconSet.name.trim() || fallbackName;
+  return {
+    name,
+    short_name: iconSet.shortName.trim() || name,
+    icons: ["any", "maskable"].flatMap((purpose) =>
+      doneIcons(image, purpose).map((variant) => ({
+        src: `/${variant.fileName}`,
+        sizes: `${variant.width}x${variant.width}`,
+        type: "image/png",
+        ...(purpose === "maskable" && { purpose }),
+      }))
+    ),
+    theme_color: iconSet.themeColor,
+    background_color: iconSet.backgroundColor,
+    display: "standalone",
+  };
+};
+
+// `blobs` maps variant ids to their PNGs; returns null without favicons.
+export const buildFaviconIco = async (image, blobs) => {
+  const favicons = doneIcons(image, "favicon").filter((variant) =>
+    blobs.has(variant.id)
+  );
+  if (favicons.length === 0) return null;
+  const images = await Promise.all(
+    favicons.map(async (variant) => ({
+      width: variant.width,
+      height: variant.width,
+      bytes: new Uint8Array(await blobs.get(variant.id).arrayBuffer()),
+    }))
+  );
+  return new Blob([encodeIco(images)], { type: "image/x-icon" });
+};
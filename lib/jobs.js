@@ -0,0 +1,205 @@
+import { OUTPUT_FORMATS, INPUT_FORMATS, readImageSize } from "./formats";
+import { responsiveVariants, variantSettings, variantId } from "./responsive";
+import { hasEdits } from "./edits";
+import { hasWatermark } from "./watermark";
+import { changesBackground } from "./background";
+import { ICON_VARIANTS, iconSettings } from "./icons";
+import { ORIGINAL_FALLBACK_FORMATS } from "./size-policy";
+
+// --- Conversion Jobs ---
+// A job freezes the settings it was queued with, so changing the controls
+// mid-batch only affects images queued afterwards.
+
+// Decoding holds the source bitmap, the resized canvas and the encoder's
+// buffers at the same time; roughly three full-size RGBA copies.
+const WORKING_COPIES = 3;
+const BASE_TIMEOUT = 60 * 1000;
+// Extra time per megabyte of decoded pixels.
+const TIMEOUT_PER_MB = 250;
+
+// Falls back to a rough compression ratio when the header can't be read.
+export const estimateDecodedBytes = async (file, sourceFormat, frameCount) => {
+  const size = await readImageSize(file, sourceFormat).catch(() => null);
+  const frameBytes = size ? size.width * size.height * 4 : file.size * 10;
+  return frameBytes * Math.max(1, frameCount);
+};
+
+// Leaves room for the page itself; deviceMemory is only reported by some
+// browsers and is capped at 8 GB.
+export const defaultMemoryBudget = () =>
+  ((navigator.deviceMemory ?? 4) * 1024 ** 3) / 4;
+
+const deepFreeze = (value) => {
+  if (value && typeof value === "object") {
+    Object.values(value).forEach(deepFreeze);
+    Object.freeze(value);
+  }
+  return value;
+};
+
+export const createConversionJob = (image, settings, qualityOverride) => {
+  const edits = hasEdits(image.edits) ? image.edits : null;
+  const { trim, pad } = settings.background;
+  // Edits and trimming or padding each draw one more full-size copy.
+  const cost =
+    (image.decodedBytes ?? image.originalSize * 10) *
+    (WORKING_COPIES + (edits ? 1 : 0) + (trim || pad ? 1 : 0));
+  const slowdown =
+    (settings.targetSize.enabled || settings.targetSsim.enabled ? 3 : 1) *
+    (settings.encoder === "wasm" ? 2 : 1);
+  const { logo } = settings.watermark;
+  return {
+    id: image.id,
+    imageId: image.id,
+    sourceFormat: image.sourceFormat,
+    frameCount: image.frameCount,
+    qualityOverride: qualityOverride ?? null,
+    // The logo is shared by every job instead of being copied into each
+    // job's settings (and from there into every row).
+    settings: deepFreeze(
+      structuredClone({
+        ...settings,
+        watermark: { ...settings.watermark, logo: "" },
+      })
+    ),
+    logo,
+    edits: deepFreeze(structuredClone(edits)),
+    cost,
+    timeout: (BASE_TIMEOUT + (cost / 1024 ** 2) * TIMEOUT_PER_MB) * slowdown,
+  };
+};
+
+// Icon sets and responsive sets turn one image into a job per variant.
+export const createConversionJobs = (image, settings, qualityOverride) => {
+  const variants = settings.iconSet.enabled
+    ? ICON_VARIANTS.map((variant) => [variant, iconSettings(settings, variant)])
+    : settings.responsive.enabled
+    ? responsiveVariants(settings.responsive).map((variant) => [
+        variant,
+        variantSettings(settings, variant),
+      ])
+    : null;
+  if (!variants) return [createConversionJob(image, settings, qualityOverride)];
+  return variants.map(([variant, jobSettings]) => ({
+    ...createConversionJob(image, jobSettings, qualityOverride),
+    id: variantId(image.id, variant.key),
+    variant,
+  }));
+};
+
+// Jobs whose original can't stand in for the output. `reason` goes on the
+// row, `label` into the settings.
+const SIZE_POLICY_EXCLUSIONS = [
+  {
+    label: "SVGs",
+    reason: "a rasterized SVG has no original file to fall back to",
+    test: (job) => INPUT_FORMATS[job.sourceFormat].decoder === "main-thread",
+  },
+  {
+    label: "responsive and icon variants",
+    reason: "variants are always converted",
+    test: (job) => Boolean(job.variant),
+  },
+  {
+    label: "resized images",
+    reason: "the image is resized",
+    test: (job) => job.settings.resize.mode !== "none",
+  },
+  {
+    label: "edited images",
+    reason: "the image is edited",
+    test: (job) => Boolean(job.edits),
+  },
+  {
+    label: "watermarked images",
+    reason: "the image is watermarked",
+    test: (job) => hasWatermark({ ...job.settings.watermark, logo: job.logo }),
+  },
+  {
+    label: "images with a new background",
+    reason: "the background is changed",
+    test: (job) => changesBackground(job.settings.background),
+  },
+];
+
+export const sizePolicyConflict = (job) => {
+  if (!job.settings.sizePolicy.neverLarger) return null;
+  const exclusion = SIZE_POLICY_EXCLUSIONS.find(({ test }) => test(job));
+  return exclusion?.reason ?? null;
+};
+
+const listOf = (items) =>
+  items.length > 1
+    ? `${items.slice(0, -1).join(", ")} and ${items.at(-1)}`
+    : items[0];
+
+const keptFormats = ORIGINAL_FALLBACK_FORMATS.map(
+  (format) => INPUT_FORMATS[format].label
+);
+const excludedJobs = SIZE_POLICY_EXCLUSIONS.map(({ label }) => label);
+
+export const SIZE_POLICY_SUMMARY =
+  `Only ${listOf(keptFormats)} originals can be kept, with their metadata ` +
+  `cut down to what the metadata settings keep. ${listOf(excludedJobs)} ` +
+  "are always converted.";
+
+export const toWorkerMessage = (job, source) => {
+  const {
+    quality,
+    outputFormat,
+    encoder,
+    webpOptions,
+    resize,
+    targetSize,
+    animation,
+    metadata,
+    sizePolicy,
+    targetSsim,
+    background,
+  } = job.settings;
+  const watermark = { ...job.settings.watermark, logo: job.logo };
+  const format = OUTPUT_FORMATS[outputFormat];
+  const isWasmLossless =
+    encoder === "wasm" && outputFormat === "webp" && webpOptions.lossless;
+  return {
+    id: job.id,
+    source,
+    sourceFormat: job.sourceFormat,
+    sourceLabel: INPUT_FORMATS[job.sourceFormat].label,
+    edits: job.edits,
+    frameCount: job.frameCount,
+    animation,
+    metadata,
+    format: outputFormat,
+    quality: job.qualityOverride ?? quality,
+    encoding: {
+      type: format.mimeType,
+      label: format.label,
+      lossy: format.lossy && !isWasmLossless,
+      encoder,
+      webp: webpOptions,
+    },
+    resize,
+    watermark: hasWatermark(watermark) ? watermark : null,
+    background: changesBackground(background) ? background : null,
+    // A per-image quality override always wins over the size and SSIM
+    // searches.
+    targetSize:
+      targetSize.enabled && job.qualityOverride === null
+        ? {
+            bytes: targetSize.kilobytes * 1024,
+            allowDownscale: targetSize.allowDownscale,
+          }
+        : null,
+    targetSsim:
+      targetSsim.enabled &&
+      !targetSize.enabled &&
+      format.lossy &&
+      !isWasmLossless &&
+      job.qualityOverride === null
+        ? { ssim: targetSsim.ssim }
+        : null,
+    sizePolicy:
+      sizePolicy.neverLarger && !sizePolicyConflict(job) ? sizePolicy : null,
+  };
+};
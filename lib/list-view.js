@@ -0,0 +1,68 @@
+// --- List Filters and Sorting ---
+// Only changes what the list shows; conversion order and the ZIP keep the
+// order images were added in.
+
+export const STATUS_FILTERS = {
+  all: "All",
+  pending: "Queued",
+  converting: "Converting",
+  done: "Done",
+  error: "Error",
+};
+
+export const SORT_OPTIONS = {
+  added: "Order added",
+  name: "Name",
+  size: "Largest first",
+  savings: "Most savings",
+};
+
+// Fraction saved, or null until there's a result to compare.
+export const savings = (image) =>
+  image.status === "done" && image.originalSize > 0
+    ? 1 - image.convertedSize / image.originalSize
+    : null;
+
+const collator = new Intl.Collator(undefined, {
+  numeric: true,
+  sensitivity: "base",
+});
+
+const COMPARATORS = {
+  name: (a, b) => collator.compare(a.relativePath, b.relativePath),
+  size: (a, b) => b.originalSize - a.originalSize,
+  // Rows without a result yet sink to the bottom.
+  savings: (a, b) => {
+    const [first, second] = [savings(a), savings(b)];
+    if (first === null || second === null) {
+      return (first === null) - (second === null);
+    }
+    return second - first;
+  },
+};
+
+export const filterImages = (images, { status, query }) => {
+  const needle = query.trim().toLowerCase();
+  return images.filter(
+    (image) =>
+      (status === "all" || image.status === status) &&
+      (!needle || image.relativePath.toLowerCase().includes(needle))
+  );
+};
+
+export const sortImages = (images, sort) => {
+  const compare = COMPARATORS[sort];
+  // Array#sort is stable, so ties keep the order they were added in.
+  return compare ? [...images].sort(compare) : images;
+};
+
+export const countByStatus = (images) => {
+  const counts = Object.fromEntries(
+    Object.keys(STATUS_FILTERS).map((status) => [status, 0])
+  );
+  images.forEach((image) => {
+    if (image.status in counts) counts[image.status]++;
+  });
+  counts.all = images.length;
+  return counts;
+};
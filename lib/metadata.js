@@ -0,0 +1,555 @@
+import { readChunks, embedWebpMetadata } from "./webp-container";
+
+// --- Metadata Options ---
+export const DEFAULT_METADATA = {
+  applyOrientation: true,
+  keepExif: false,
+  keepGps: false,
+  keepXmp: false,
+  keepIcc: true,
+};
+
+export const METADATA_PRESETS = {
+  strip: {
+    label: "Strip all metadata",
+    options: { keepExif: false, keepGps: false, keepXmp: false, keepIcc: true },
+  },
+  privacy: {
+    label: "Strip GPS only",
+    options: { keepExif: true, keepGps: false, keepXmp: true, keepIcc: true },
+  },
+  keep: {
+    label: "Keep everything",
+    options: { keepExif: true, keepGps: true, keepXmp: true, keepIcc: true },
+  },
+};
+
+// Output containers metadata is written back into.
+export const METADATA_OUTPUT_TYPES = ["image/webp", "image/jpeg"];
+
+const ascii = (bytes, start, length) =>
+  String.fromCharCode(...bytes.subarray(start, start + length));
+
+const startsWithAscii = (bytes, text) => ascii(bytes, 0, text.length) === text;
+
+const concat = (parts) => {
+  const result = new Uint8Array(
+    parts.reduce((sum, part) => sum + part.length, 0)
+  );
+  let offset = 0;
+  for (const part of parts) {
+    result.set(part, offset);
+    offset += part.length;
+  }
+  return result;
+};
+
+const inflate = async (bytes) =>
+  new Uint8Array(
+    await new Response(
+      new Blob([bytes]).stream().pipeThrough(new DecompressionStream("deflate"))
+    ).arrayBuffer()
+  );
+
+// --- EXIF (TIFF structure) ---
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+const TAGS = {
+  make: 0x010f,
+  model: 0x0110,
+  orientation: 0x0112,
+  software: 0x0131,
+  dateTime: 0x0132,
+  exifIfd: 0x8769,
+  gpsIfd: 0x8825,
+  exposureTime: 0x829a,
+  fNumber: 0x829d,
+  iso: 0x8827,
+  dateTimeOriginal: 0x9003,
+  focalLength: 0x920a,
+  lensModel: 0xa434,
+  gpsLatitudeRef: 0x0001,
+  gpsLatitude: 0x0002,
+  gpsLongitudeRef: 0x0003,
+  gpsLongitude: 0x0004,
+};
+
+const createTiffReader = (tiff) => {
+  const view = new DataView(tiff.buffer, tiff.byteOffset, tiff.byteLength);
+  const littleEndian = tiff[0] === 0x49;
+  const u16 = (offset) => view.getUint16(offset, littleEndian);
+  const u32 = (offset) => view.getUint32(offset, littleEndian);
+
+  const readIfd = (offset) => {
+    if (!offset || offset + 2 > tiff.length) return null;
+    const count = u16(offset);
+    const entries = [];
+    for (let i = 0; i < count; i++) {
+      const entryOffset = offset + 2 + i * 12;
+      if (entryOffset + 12 > tiff.length) break;
+      const type = u16(entryOffset + 2);
+      const valueCount = u32(entryOffset + 4);
+      const byteLength = (TYPE_SIZES[type] ?? 1) * valueCount;
+      entries.push({
+        offset: entryOffset,
+        tag: u16(entryOffset),
+        type,
+        count: valueCount,
+        byteLength,
+        dataOffset: byteLength > 4 ? u32(entryOffset + 8) : entryOffset + 8,
+      });
+    }
+    return { offset, entries };
+  };
+
+  const readValue = (entry) => {
+    if (!entry || entry.dataOffset + entry.byteLength > tiff.length) {
+      return null;
+    }
+    const { type, count, dataOffset } = entry;
+    if (type === 2) {
+      return ascii(tiff, dataOffset, count).replace(/\0+$/, "").trim();
+    }
+    const values = Array.from({ length: count }, (_, i) => {
+      if (type === 3) return u16(dataOffset + i * 2);
+      if (type === 4) return u32(dataOffset + i * 4);
+      if (type === 5 || type === 10) {
+        const denominator = u32(dataOffset + i * 8 + 4);
+        return denominator ? u32(dataOffset + i * 8) / denominator : 0;
+      }
+      return tiff[dataOffset + i];
+    });
+    return count === 1 ? values[0] : values;
+  };
+
+  const ifd0 = readIfd(u32(4));
+  const findEntry = (ifd, tag) => ifd?.entries.find((e) => e.tag === tag);
+  const exifIfd = readIfd(readValue(findEntry(ifd0, TAGS.exifIfd)));
+  const gpsIfd = readIfd(readValue(findEntry(ifd0, TAGS.gpsIfd)));
+
+  return { view, littleEndian, ifd0, exifIfd, gpsIfd, findEntry, readValue };
+};
+
+const toDegrees = ([degrees, minutes, seconds], ref) =>
+  (degrees + minutes / 60 + seconds / 3600) *
+  (ref === "S" || ref === "W" ? -1 : 1);
+
+const readExifFields = (exif) => {
+  const { ifd0, exifIfd, gpsIfd, findEntry, readValue } =
+    createTiffReader(exif);
+  const value = (ifd, tag) => readValue(findEntry(ifd, tag));
+  const latitude = value(gpsIfd, TAGS.gpsLatitude);
+  const longitude = value(gpsIfd, TAGS.gpsLongitude);
+  return {
+    make: value(ifd0, TAGS.make),
+    model: value(ifd0, TAGS.model),
+    software: value(ifd0, TAGS.software),
+    orientation: value(ifd0, TAGS.orientation),
+    dateTaken:
+      value(exifIfd, TAGS.dateTimeOriginal) ?? value(ifd0, TAGS.dateTime),
+    exposureTime: value(exifIfd, TAGS.exposureTime),
+    fNumber: value(exifIfd, TAGS.fNumber),
+    iso: value(exifIfd, TAGS.iso),
+    focalLength: value(exifIfd, TAGS.focalLength),
+    lensModel: value(exifIfd, TAGS.lensModel),
+    gps:
+      Array.isArray(latitude) && Array.isArray(longitude)
+        ? {
+            latitude: toDegrees(latitude, value(gpsIfd, TAGS.gpsLatitudeRef)),
+            longitude: toDegrees(
+              longitude,
+              value(gpsIfd, TAGS.gpsLongitudeRef)
+            ),
+          }
+        : null,
+  };
+};
+
+// Returns a copy of the EXIF block without GPS data (zeroed, not just
+// unlinked) and/or with the orientation reset.
+export const prepareExif = (exif, { keepGps, resetOrientation }) => {
+  const copy = exif.slice();
+  const { view, littleEndian, ifd0, gpsIfd, findEntry } =
+    createTiffReader(copy);
+
+  if (resetOrientation) {
+    const orientation = findEntry(ifd0, TAGS.orientation);
+    if (orientation) view.setUint16(orientation.dataOffset, 1, littleEndian);
+  }
+
+  const gpsEntry = findEntry(ifd0, TAGS.gpsIfd);
+  if (!keepGps && gpsEntry) {
+    if (gpsIfd) {
+      for (const entry of gpsIfd.entries) {
+        if (
+          entry.byteLength > 4 &&
+          entry.dataOffset + entry.byteLength <= copy.length
+        ) {
+          copy.fill(0, entry.dataOffset, entry.dataOffset + entry.byteLength);
+        }
+      }
+      copy.fill(
+        0,
+        gpsIfd.offset,
+        gpsIfd.offset + 2 + gpsIfd.entries.length * 12 + 4
+      );
+    }
+    // Shift the following entries and the next-IFD pointer up by one slot.
+    const ifdEnd = ifd0.offset + 2 + ifd0.entries.length * 12 + 4;
+    copy.copyWithin(gpsEntry.offset, gpsEntry.offset + 12, ifdEnd);
+    copy.fill(0, ifdEnd - 12, ifdEnd);
+    view.setUint16(ifd0.offset, ifd0.entries.length - 1, littleEndian);
+  }
+  return copy;
+};
+
+// --- XMP ---
+export const prepareXmp = (xmp, { keepGps, resetOrientation }) => {
+  let result = xmp;
+  if (!keepGps) {
+    result = result
+      .replace(/\s+exif:GPS\w+="[^"]*"/g, "")
+      .replace(/<exif:(GPS\w+)>[\s\S]*?<\/exif:\1>/g, "");
+  }
+  if (resetOrientation) {
+    result = result
+      .replace(/tiff:Orientation="\d+"/g, 'tiff:Orientation="1"')
+      .replace(
+        /<tiff:Orientation>\d+<\/tiff:Orientation>/g,
+        "<tiff:Orientation>1</tiff:Orientation>"
+      );
+  }
+  return result;
+};
+
+// --- ICC ---
+const readIccDescription = (icc) => {
+  if (icc.length < 132) return null;
+  const view = new DataView(icc.buffer, icc.byteOffset, icc.byteLength);
+  const tagCount = view.getUint32(128);
+  for (let i = 0; i < tagCount; i++) {
+    const entry = 132 + i * 12;
+    if (ascii(icc, entry, 4) !== "desc") continue;
+    const offset = view.getUint32(entry + 4);
+    if (offset + 28 > icc.length) return null;
+    const type = ascii(icc, offset, 4);
+    if (type === "desc") {
+      const length = view.getUint32(offset + 8);
+      return ascii(icc, offset + 12, length).replace(/\0+$/, "");
+    }
+    if (type === "mluc") {
+      const length = view.getUint32(offset + 20);
+      const start = offset + view.getUint32(offset + 24);
+      return new TextDecoder("utf-16be")
+        .decode(icc.subarray(start, start + length))
+        .replace(/\0+$/, "");
+    }
+  }
+  return null;
+};
+
+// --- Container Parsing ---
+const parseJpeg = (bytes) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const result = { exif: null, exifOffset: 0, xmp: null, icc: null };
+  const iccParts = [];
+  let offset = 2;
+  while (offset + 4 <= bytes.length && bytes[offset] === 0xff) {
+    const marker = bytes[offset + 1];
+    if (marker === 0xda || marker === 0xd9) break;
+    const length = view.getUint16(offset + 2);
+    const segment = bytes.subarray(offset + 4, offset + 2 + length);
+    if (marker === 0xe1 && startsWithAscii(segment, "Exif\0\0")) {
+      result.exif = segment.subarray(6);
+      result.exifOffset = offset + 10;
+    } else if (
+      marker === 0xe1 &&
+      startsWithAscii(segment, "http://ns.adobe.com/xap/1.0/\0")
+    ) {
+      result.xmp = new TextDecoder().decode(segment.subarray(29));
+    } else if (marker === 0xe2 && startsWithAscii(segment, "ICC_PROFILE\0")) {
+      iccParts[segment[12]] = segment.subarray(14);
+    }
+    offset += 2 + length;
+  }
+  if (iccParts.length) result.icc = concat(iccParts.filter(Boolean));
+  return result;
+};
+
+const parsePng = async (bytes) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const result = { exif: null, exifOffset: 0, xmp: null, icc: null };
+  let offset = 8;
+  while (offset + 8 <= bytes.length) {
+    const length = view.getUint32(offset);
+    const type = ascii(bytes, offset + 4, 4);
+    const data = bytes.subarray(offset + 8, offset + 8 + length);
+    if (type === "IEND") break;
+    if (type === "eXIf") {
+      result.exif = data;
+      result.exifOffset = offset + 8;
+    } else if (type === "iCCP") {
+      const nameEnd = data.indexOf(0);
+      result.icc = await inflate(data.subarray(nameEnd + 2));
+    } else if (
+      type === "iTXt" &&
+      startsWithAscii(data, "XML:com.adobe.xmp\0")
+    ) {
+      const compressed = data[18] === 1;
+      let textStart = data.indexOf(0, 20) + 1; // skip language tag
+      textStart = data.indexOf(0, textStart) + 1; // skip translated keyword
+      const text = data.subarray(textStart);
+      result.xmp = new TextDecoder().decode(
+        compressed ? await inflate(text) : text
+      );
+    }
+    offset += 12 + length;
+  }
+  return result;
+};
+
+const parseWebp = (bytes) => {
+  const result = { exif: null, exifOffset: 0, xmp: null, icc: null };
+  let offset = 12;
+  for (const { fourcc, data } of readChunks(bytes)) {
+    if (fourcc === "EXIF") {
+      // Some writers keep the JPEG-style "Exif\0\0" prefix.
+      const skip = startsWithAscii(data, "Exif\0\0") ? 6 : 0;
+      result.exif = data.subarray(skip);
+      result.exifOffset = offset + 8 + skip;
+    } else if (fourcc === "XMP ") {
+      result.xmp = new TextDecoder().decode(data);
+    } else if (fourcc === "ICCP") {
+      result.icc = data;
+    }
+    offset += 8 + data.length + (data.length % 2);
+  }
+  return result;
+};
+
+const parsers = { jpeg: parseJpeg, png: parsePng, webp: parseWebp };
+
+// Formats without a parser report no metadata.
+export const extractMetadata = async (bytes, sourceFormat) => {
+  const empty = { exif: null, xmp: null, icc: null, orientation: null };
+  if (!parsers[sourceFormat]) return empty;
+  try {
+    const { exif, exifOffset, xmp, icc } = await parsers[sourceFormat](bytes);
+    let orientation = null;
+    if (exif) {
+      const { littleEndian, ifd0, findEntry, readValue } =
+        createTiffReader(exif);
+      const entry = findEntry(ifd0, TAGS.orientation);
+      const value = readValue(entry);
+      if (value > 1 && value <= 8) {
+        orientation = {
+          value,
+          offset: exifOffset + entry.dataOffset,
+          littleEndian,
+        };
+      }
+    }
+    return { exif, xmp, icc, orientation };
+  } catch {
+    return empty;
+  }
+};
+
+// Browsers differ on honouring EXIF orientation, so the worker decodes a copy
+// with the tag forced to 1 and rotates the pixels itself.
+export const withOrientationReset = (bytes, orientation) => {
+  const copy = bytes.slice();
+  new DataView(copy.buffer).setUint16(
+    orientation.offset,
+    1,
+    orientation.littleEndian
+  );
+  return copy;
+};
+
+// --- Embedding ---
+const jpegSegment = (marker, ...parts) => {
+  const payload = concat(parts);
+  const header = new Uint8Array([0xff, marker, 0, 0]);
+  new DataView(header.buffer).setUint16(2, payload.length + 2);
+  return concat([header, payload]);
+};
+
+const MAX_ICC_SEGMENT = 65519;
+
+const embedJpegMetadata = (bytes, { exif, xmp, icc }) => {
+  const encoder = new TextEncoder();
+  const segments = [];
+  if (exif) segments.push(jpegSegment(0xe1, encoder.encode("Exif\0\0"), exif));
+  if (xmp) {
+    segments.push(
+      jpegSegment(
+        0xe1,
+        encoder.encode("http://ns.adobe.com/xap/1.0/\0"),
+        encoder.encode(xmp)
+      )
+    );
+  }
+  if (icc) {
+    const total = Math.ceil(icc.length / MAX_ICC_SEGMENT);
+    for (let i = 0; i < total; i++) {
+      segments.push(
+        jpegSegment(
+          0xe2,
+          encoder.encode("ICC_PROFILE\0"),
+          new Uint8Array([i + 1, total]),
+          icc.subarray(i * MAX_ICC_SEGMENT, (i + 1) * MAX_ICC_SEGMENT)
+        )
+      );
+    }
+  }
+  // Canvas JPEGs open with SOI + a JFIF APP0; keep those first.
+  let insertAt = 2;
+  if (bytes[2] === 0xff && bytes[3] === 0xe0) {
+    insertAt = 4 + ((bytes[4] << 8) | bytes[5]);
+  }
+  return concat([
+    bytes.subarray(0, insertAt),
+    ...segments,
+    bytes.subarray(insertAt),
+  ]);
+};
+
+export const metadataByteLength = ({ exif, xmp, icc }) =>
+  (exif?.length ?? 0) +
+  (xmp ? new TextEncoder().encode(xmp).length : 0) +
+  (icc?.length ?? 0);
+
+export const embedMetadata = (bytes, type, metadata) => {
+  if (!metadata.exif && !metadata.xmp && !metadata.icc) return bytes;
+  if (type === "image/jpeg") return embedJpegMetadata(bytes, metadata);
+  if (type === "image/webp") return embedWebpMetadata(bytes, metadata);
+  return bytes;
+};
+
+// --- Re-muxing the Original ---
+// A kept original carries only `selected`, what selectMetadata picked from
+// `source`; the image data is left alone.
+const sameBytes = (a, b) =>
+  a === b ||
+  (Boolean(a) &&
+    Boolean(b) &&
+    a.length === b.length &&
+    a.every((byte, index) => byte === b[index]));
+
+const isJpegMetadataSegment = (marker, segment) =>
+  (marker === 0xe1 &&
+    (startsWithAscii(segment, "Exif\0\0") ||
+      startsWithAscii(segment, "http://ns.adobe.com/xap/1.0/\0"))) ||
+  (marker === 0xe2 && startsWithAscii(segment, "ICC_PROFILE\0"));
+
+const stripJpegMetadata = (bytes) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const parts = [bytes.subarray(0, 2)];
+  let offset = 2;
+  while (offset + 4 <= bytes.length && bytes[offset] === 0xff) {
+    const marker = bytes[offset + 1];
+    if (marker === 0xda || marker === 0xd9) break;
+    const end = offset + 2 + view.getUint16(offset + 2);
+    if (!isJpegMetadataSegment(marker, bytes.subarray(offset + 4, end))) {
+      parts.push(bytes.subarray(offset, end));
+    }
+    offset = end;
+  }
+  parts.push(bytes.subarray(offset));
+  return concat(parts);
+};
+
+// Whole PNG chunks are dropped but none are rewritten.
+const stripPngMetadata = (bytes, source, selected) => {
+  if (selected.exif && !sameBytes(selected.exif, source.exif)) return null;
+  if (selected.xmp && selected.xmp !== source.xmp) return null;
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const parts = [bytes.subarray(0, 8)];
+  let offset = 8;
+  while (offset + 8 <= bytes.length) {
+    const length = view.getUint32(offset);
+    const type = ascii(bytes, offset + 4, 4);
+    const data = bytes.subarray(offset + 8, offset + 8 + length);
+    const drop =
+      (type === "eXIf" && !selected.exif) ||
+      (type === "iCCP" && !selected.icc) ||
+      (type === "iTXt" &&
+        startsWithAscii(data, "XML:com.adobe.xmp\0") &&
+        !selected.xmp);
+    if (!drop) parts.push(bytes.subarray(offset, offset + 12 + length));
+    offset += 12 + length;
+  }
+  return concat(parts);
+};
+
+// Returns `bytes` itself when nothing has to change, and null when the
+// container can't be rewritten to match.
+export const remuxMetadata = (bytes, sourceFormat, source, selected) => {
+  if (
+    sameBytes(selected.exif, source.exif) &&
+    selected.xmp === source.xmp &&
+    sameBytes(selected.icc, source.icc)
+  ) {
+    return bytes;
+  }
+  if (sourceFormat === "jpeg") {
+    return embedJpegMetadata(stripJpegMetadata(bytes), selected);
+  }
+  if (sourceFormat === "webp") return embedWebpMetadata(bytes, selected);
+  if (sourceFormat === "png") return stripPngMetadata(bytes, source, selected);
+  return null;
+};
+
+// --- Summary for the UI ---
+const ORIENTATION_LABELS = {
+  1: "Normal",
+  2: "Mirrored",
+  3: "Rotated 180°",
+  4: "Mirrored vertically",
+  5: "Mirrored, rotated 90° CCW",
+  6: "Rotated 90° CW",
+  7: "Mirrored, rotated 90° CW",
+  8: "Rotated 90° CCW",
+};
+
+export const summarizeMetadata = ({ exif, xmp, icc }) => {
+  const rows = [];
+  if (exif) {
+    const fields = readExifFields(exif);
+    const camera = [fields.make, fields.model].filter(Boolean).join(" ");
+    if (camera) rows.push(["Camera", camera]);
+    if (fields.lensModel) rows.push(["Lens", fields.lensModel]);
+    if (fields.dateTaken) rows.push(["Taken", fields.dateTaken]);
+    const exposure = [
+      fields.exposureTime &&
+        (fields.exposureTime < 1
+          ? `1/${Math.round(1 / fields.exposureTime)}s`
+          : `${fields.exposureTime}s`),
+      fields.fNumber && `f/${fields.fNumber.toFixed(1)}`,
+      fields.iso && `ISO ${fields.iso}`,
+      fields.focalLength && `${Math.round(fields.focalLength)}mm`,
+    ]
+      .filter(Boolean)
+      .join(" · ");
+    if (exposure) rows.push(["Exposure", exposure]);
+    if (fields.orientation) {
+      rows.push([
+        "Orientation",
+        ORIENTATION_LABELS[fields.orientation] ?? fields.orientation,
+      ]);
+    }
+    if (fields.software) rows.push(["Software", fields.software]);
+    rows.push([
+      "GPS",
+      fields.gps
+        ? `${fields.gps.latitude.toFixed(5)}, ${fields.gps.longitude.toFixed(
+            5
+          )}`
+        : "None",
+    ]);
+  }
+  if (icc) rows.push(["Color profile", readIccDescription(icc) ?? "Embedded"]);
+  if (xmp) rows.push(["XMP", `${xmp.length.toLocaleString()} characters`]);
+  return rows;
+};
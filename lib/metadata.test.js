@@ -0,0 +1,211 @@
+import { describe, expect, test } from "vitest";
+import {
+  extractMetadata,
+  prepareExif,
+  prepareXmp,
+  remuxMetadata,
+  summarizeMetadata,
+  withOrientationReset,
+} from "./metadata";
+
+const encoder = new TextEncoder();
+
+// A big-endian EXIF block: camera make, orientation 6 and a GPS position of
+// 52.5 N, 13.4 W.
+const exifBlock = () => {
+  const tiff = new Uint8Array(152);
+  const view = new DataView(tiff.buffer);
+  const entry = (offset, tag, type, count, value) => {
+    view.setUint16(offset, tag);
+    view.setUint16(offset + 2, type);
+    view.setUint32(offset + 4, count);
+    if (typeof value === "string") tiff.set(encoder.encode(value), offset + 8);
+    else if (type === 3) view.setUint16(offset + 8, value);
+    else view.setUint32(offset + 8, value);
+  };
+  const rationals = (offset, values) =>
+    values.forEach(([numerator, denominator], i) => {
+      view.setUint32(offset + i * 8, numerator);
+      view.setUint32(offset + i * 8 + 4, denominator);
+    });
+  tiff.set(encoder.encode("MM"));
+  view.setUint16(2, 42);
+  view.setUint32(4, 8);
+  view.setUint16(8, 3);
+  entry(10, 0x010f, 2, 4, "Cam\0");
+  entry(22, 0x0112, 3, 1, 6);
+  entry(34, 0x8825, 4, 1, 50);
+  view.setUint16(50, 4);
+  entry(52, 0x0001, 2, 2, "N\0");
+  entry(64, 0x0002, 5, 3, 104);
+  entry(76, 0x0003, 2, 2, "W\0");
+  entry(88, 0x0004, 5, 3, 128);
+  rationals(104, [
+    [52, 1],
+    [30, 1],
+    [0, 1],
+  ]);
+  rationals(128, [
+    [13, 1],
+    [24, 1],
+    [0, 1],
+  ]);
+  return tiff;
+};
+
+const XMP = '<x:xmpmeta exif:GPSLatitude="52,30N" tiff:Orientation="6"/>';
+
+const segment = (marker, ...parts) => {
+  const payload = parts.flatMap((part) => [...part]);
+  const length = payload.length + 2;
+  return [0xff, marker, length >> 8, length & 0xff, ...payload];
+};
+
+// SOI, JFIF, EXIF, XMP, then a stub of scan data.
+const jpegFile = () =>
+  new Uint8Array([
+    0xff,
+    0xd8,
+    ...segment(0xe0, encoder.encode("JFIF\0"), [1, 1, 0, 0, 1, 0, 1, 0, 0]),
+    ...segment(0xe1, encoder.encode("Exif\0\0"), exifBlock()),
+    ...segment(
+      0xe1,
+      encoder.encode("http://ns.adobe.com/xap/1.0/\0"),
+      encoder.encode(XMP)
+    ),
+    ...segment(0xda, [1, 2, 3]),
+    9,
+    9,
+    0xff,
+    0xd9,
+  ]);
+
+const summary = (metadata) => Object.fromEntries(summarizeMetadata(metadata));
+
+describe("extractMetadata", () => {
+  test("reads EXIF and XMP out of a JPEG", async () => {
+    const metadata = await extractMetadata(jpegFile(), "jpeg");
+    expect([...metadata.exif]).toEqual([...exifBlock()]);
+    expect(metadata.xmp).toBe(XMP);
+    expect(metadata.icc).toBe(null);
+    expect(metadata.orientation).toMatchObject({
+      value: 6,
+      littleEndian: false,
+    });
+  });
+
+  test("reports nothing for formats it can't parse", async () => {
+    await expect(extractMetadata(new Uint8Array(8), "tiff")).resolves.toEqual({
+      exif: null,
+      xmp: null,
+      icc: null,
+      orientation: null,
+    });
+  });
+
+  test("reports nothing for a damaged file", async () => {
+    const metadata = await extractMetadata(new Uint8Array(4), "webp");
+    expect(metadata.exif).toBe(null);
+  });
+});
+
+describe("withOrientationReset", () => {
+  test("rewrites the orientation tag in place", async () => {
+    const bytes = jpegFile();
+    const { orientation } = await extractMetadata(bytes, "jpeg");
+    const reset = withOrientationReset(bytes, orientation);
+    const metadata = await extractMetadata(reset, "jpeg");
+    expect(metadata.orientation).toBe(null);
+    expect(reset).toHaveLength(bytes.length);
+  });
+});
+
+describe("prepareExif", () => {
+  test("removes the GPS data entirely", () => {
+    const exif = prepareExif(exifBlock(), {
+      keepGps: false,
+      resetOrientation: false,
+    });
+    expect(summary({ exif })).toMatchObject({
+      Camera: "Cam",
+      Orientation: "Rotated 90° CW",
+      GPS: "None",
+    });
+    // Neither the references nor the coordinates are left in the bytes.
+    expect(exif.includes("N".charCodeAt(0))).toBe(false);
+    expect(exif.slice(104).every((byte) => byte === 0)).toBe(true);
+  });
+
+  test("resets the orientation and keeps the rest", () => {
+    const exif = prepareExif(exifBlock(), {
+      keepGps: true,
+      resetOrientation: true,
+    });
+    expect(summary({ exif })).toMatchObject({
+      Orientation: "Normal",
+      GPS: "52.50000, -13.40000",
+    });
+  });
+});
+
+describe("prepareXmp", () => {
+  test("drops GPS properties and resets the orientation", () => {
+    expect(prepareXmp(XMP, { keepGps: false, resetOrientation: true })).toBe(
+      '<x:xmpmeta tiff:Orientation="1"/>'
+    );
+  });
+});
+
+describe("remuxMetadata", () => {
+  test("returns the file itself when nothing changes", async () => {
+    const bytes = jpegFile();
+    const source = await extractMetadata(bytes, "jpeg");
+    expect(remuxMetadata(bytes, "jpeg", source, source)).toBe(bytes);
+  });
+
+  test("rewrites a JPEG with only the selected metadata", async () => {
+    const bytes = jpegFile();
+    const source = await extractMetadata(bytes, "jpeg");
+    const exif = prepareExif(source.exif, {
+      keepGps: false,
+      resetOrientation: false,
+    });
+    const remuxed = remuxMetadata(bytes, "jpeg", source, {
+      exif,
+      xmp: null,
+      icc: null,
+    });
+    const metadata = await extractMetadata(remuxed, "jpeg");
+    expect([...metadata.exif]).toEqual([...exif]);
+    expect(metadata.xmp).toBe(null);
+    // The JFIF header stays first and the scan data is untouched.
+    expect([...remuxed.subarray(0, 4)]).toEqual([0xff, 0xd8, 0xff, 0xe0]);
+    expect([...remuxed.subarray(-9)]).toEqual([...bytes.subarray(-9)]);
+  });
+
+  test("can't rewrite EXIF inside a PNG", () => {
+    const source = { exif: exifBlock(), xmp: null, icc: null };
+    const exif = prepareExif(source.exif, {
+      keepGps: false,
+      resetOrientation: false,
+    });
+    expect(
+      remuxMetadata(new Uint8Array(8), "png", source, {
+        exif,
+        xmp: null,
+        icc: null,
+      })
+    ).toBe(null);
+  });
+
+  test("has no way to rewrite other formats", () => {
+    const source = { exif: exifBlock(), xmp: null, icc: null };
+    expect(
+      remuxMetadata(new Uint8Array(8), "tiff", source, {
+        exif: null,
+        xmp: null,
+        icc: null,
+      })
+    ).toBe(null);
+  });
+});
@@ -0,0 +1,200 @@
+import { OUTPUT_FORMATS, ENCODERS, DEFAULT_WEBP_OPTIONS } from "./formats";
+import { RESIZE_MODES, FIT_MODES, DEFAULT_RESIZE } from "./resize";
+import { DEFAULT_ANIMATION } from "./animation";
+import { DEFAULT_METADATA } from "./metadata";
+import { DEFAULT_FILENAME } from "./filename";
+import { DEFAULT_RESPONSIVE, RESPONSIVE_FORMAT_ORDER } from "./responsive";
+import { DEFAULT_SIZE_POLICY, SIZE_POLICY_FALLBACKS } from "./size-policy";
+import { DEFAULT_TARGET_SSIM } from "./quality-metrics";
+import {
+  DEFAULT_WATERMARK,
+  WATERMARK_TYPES,
+  WATERMARK_POSITIONS,
+} from "./watermark";
+import { DEFAULT_BACKGROUND, PAD_ASPECTS } from "./background";
+import { DEFAULT_ICON_SET } from "./icons";
+
+// --- Conversion Settings ---
+export const DEFAULT_TARGET_SIZE = {
+  enabled: false,
+  kilobytes: 150,
+  allowDownscale: true,
+};
+
+export const DEFAULT_SETTINGS = {
+  quality: 80,
+  outputFormat: "webp",
+  encoder: "canvas",
+  webpOptions: DEFAULT_WEBP_OPTIONS,
+  svgWidth: 1024,
+  resize: DEFAULT_RESIZE,
+  targetSize: DEFAULT_TARGET_SIZE,
+  targetSsim: DEFAULT_TARGET_SSIM,
+  animation: DEFAULT_ANIMATION,
+  metadata: DEFAULT_METADATA,
+  filename: DEFAULT_FILENAME,
+  responsive: DEFAULT_RESPONSIVE,
+  sizePolicy: DEFAULT_SIZE_POLICY,
+  watermark: DEFAULT_WATERMARK,
+  background: DEFAULT_BACKGROUND,
+  iconSet: DEFAULT_ICON_SET,
+};
+
+// Fills gaps from the defaults and drops anything unknown, so presets saved
+// by an older version (or edited by hand) still load cleanly. Keys always come
+// out in the same order, which keeps JSON comparisons stable.
+export const normalizeSettings = (settings = {}) => {
+  const result = {};
+  for (const [key, fallback] of Object.entries(DEFAULT_SETTINGS)) {
+    const value = settings[key];
+    if (fallback !== null && typeof fallback === "object") {
+      result[key] = Object.fromEntries(
+        Object.entries(fallback).map(([option, optionFallback]) => [
+          option,
+          typeof value?.[option] === typeof optionFallback
+            ? value[option]
+            : optionFallback,
+        ])
+      );
+    } else {
+      result[key] = typeof value === typeof fallback ? value : fallback;
+    }
+  }
+  if (!OUTPUT_FORMATS[result.outputFormat]) {
+    result.outputFormat = DEFAULT_SETTINGS.outputFormat;
+  }
+  if (!ENCODERS[result.encoder]) result.encoder = DEFAULT_SETTINGS.encoder;
+  if (!RESIZE_MODES[result.resize.mode]) result.resize.mode = "none";
+  if (!FIT_MODES[result.resize.fit]) result.resize.fit = DEFAULT_RESIZE.fit;
+  if (!SIZE_POLICY_FALLBACKS[result.sizePolicy.fallback]) {
+    result.sizePolicy.fallback = DEFAULT_SIZE_POLICY.fallback;
+  }
+  if (!WATERMARK_TYPES[result.watermark.type]) {
+    result.watermark.type = DEFAULT_WATERMARK.type;
+  }
+  if (!WATERMARK_POSITIONS[result.watermark.position]) {
+    result.watermark.position = DEFAULT_WATERMARK.position;
+  }
+  if (!PAD_ASPECTS[result.background.aspect]) {
+    result.background.aspect = DEFAULT_BACKGROUND.aspect;
+  }
+  result.responsive.formats = Array.isArray(result.responsive.formats)
+    ? RESPONSIVE_FORMAT_ORDER.filter((format) =>
+        result.responsive.formats.includes(format)
+      )
+    : DEFAULT_RESPONSIVE.formats;
+  // An image is either an icon set or a responsive set.
+  if (result.iconSet.enabled) result.responsive.enabled = false;
+  // The two searches are exclusive; the size target wins.
+  if (result.targetSize.enabled) result.targetSsim.enabled = false;
+  result.quality = Math.min(100, Math.max(0, Math.round(result.quality)));
+  return result;
+};
+
+export const settingsEqual = (a, b) =>
+  JSON.stringify(normalizeSettings(a)) === JSON.stringify(normalizeSettings(b));
+
+// --- Presets ---
+export const BUILT_IN_PRESETS = [
+  {
+    id: "builtin:blog-hero",
+    name: "Blog hero",
+    settings: {
+      quality: 82,
+      resize: {
+        ...DEFAULT_RESIZE,
+        mode: "max",
+        maxWidth: 1920,
+        maxHeight: 1080,
+      },
+    },
+  },
+  {
+    id: "builtin:thumbnail",
+    name: "Thumbnail",
+    settings: {
+      quality: 70,
+      resize: {
+        ...DEFAULT_RESIZE,
+        mode: "exact",
+        width: 400,
+        height: 400,
+        fit: "cover",
+      },
+      filename: { ...DEFAULT_FILENAME, template: "{name}-thumb" },
+    },
+  },
+  {
+    id: "builtin:under-100kb",
+    name: "Email-friendly (under 100 KB)",
+    settings: {
+      targetSize: { ...DEFAULT_TARGET_SIZE, enabled: true, kilobytes: 100 },
+      resize: { ...DEFAULT_RESIZE, mode: "max" },
+    },
+  },
+  {
+    id: "builtin:lossless-archive",
+    name: "Lossless archive",
+    settings: {
+      encoder: "wasm",
+      webpOptions: { ...DEFAULT_WEBP_OPTIONS, lossless: true, method: 6 },
+      metadata: {
+        ...DEFAULT_METADATA,
+        keepExif: true,
+        keepGps: true,
+        keepXmp: true,
+      },
+    },
+  },
+];
+
+const STORAGE_KEY = "convert-that-image:presets";
+const EXPORT_VERSION = 1;
+
+export const loadPresets = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) ?? "[]");
+    return Array.isArray(stored) ? stored : [];
+  } catch {
+    return [];
+  }
+};
+
+export const savePresets = (presets) =>
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(presets));
+
+export const createPreset = (name, settings) => ({
+  id: `preset:${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+  name: name.trim(),
+  settings: normalizeSettings(settings),
+});
+
+export const exportPresets = (presets) =>
+  new Blob(
+    [
+      JSON.stringify(
+        {
+          version: EXPORT_VERSION,
+          presets: presets.map(({ name, settings }) => ({ name, settings })),
+        },
+        null,
+        2
+      ),
+    ],
+    { type: "application/json" }
+  );
+
+export const parsePresetFile = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error("The preset file isn't valid JSON.");
+  }
+  if (!Array.isArray(data?.presets)) {
+    throw new Error("The preset file doesn't contain a list of presets.");
+  }
+  return data.presets
+    .filter((preset) => typeof preset?.name === "string" && preset.name.trim())
+    .map((preset) => createPreset(preset.name, preset.settings));
+};
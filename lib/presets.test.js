@@ -0,0 +1,71 @@
+import { describe, expect, test } from "vitest";
+import { DEFAULT_SETTINGS, normalizeSettings, settingsEqual } from "./presets";
+
+describe("normalizeSettings", () => {
+  test("fills in missing settings from the defaults", () => {
+    expect(normalizeSettings({})).toEqual(DEFAULT_SETTINGS);
+  });
+
+  test("drops unknown and mistyped options", () => {
+    const settings = normalizeSettings({
+      quality: "high",
+      legacy: true,
+      resize: { mode: "max", maxWidth: "wide", extra: 1 },
+    });
+    expect(settings).not.toHaveProperty("legacy");
+    expect(settings.quality).toBe(DEFAULT_SETTINGS.quality);
+    expect(settings.resize).toEqual({
+      ...DEFAULT_SETTINGS.resize,
+      mode: "max",
+    });
+  });
+
+  test("replaces values that aren't among the choices", () => {
+    const settings = normalizeSettings({
+      outputFormat: "tiff",
+      resize: { mode: "stretch", fit: "zoom" },
+      sizePolicy: { fallback: "never" },
+    });
+    expect(settings.outputFormat).toBe(DEFAULT_SETTINGS.outputFormat);
+    expect(settings.resize.mode).toBe("none");
+    expect(settings.resize.fit).toBe(DEFAULT_SETTINGS.resize.fit);
+    expect(settings.sizePolicy.fallback).toBe(
+      DEFAULT_SETTINGS.sizePolicy.fallback
+    );
+  });
+
+  test("clamps and rounds the quality", () => {
+    expect(normalizeSettings({ quality: 140 }).quality).toBe(100);
+    expect(normalizeSettings({ quality: 72.6 }).quality).toBe(73);
+  });
+
+  test("keeps only known responsive formats, in a fixed order", () => {
+    const { formats } = normalizeSettings({
+      responsive: { formats: ["webp", "bmp", "avif"] },
+    }).responsive;
+    expect(formats).toEqual(["avif", "webp"]);
+  });
+
+  test("turns off settings that can't be combined", () => {
+    const settings = normalizeSettings({
+      iconSet: { enabled: true },
+      responsive: { enabled: true },
+      targetSize: { enabled: true },
+      targetSsim: { enabled: true },
+    });
+    expect(settings.responsive.enabled).toBe(false);
+    expect(settings.targetSsim.enabled).toBe(false);
+  });
+});
+
+describe("settingsEqual", () => {
+  test("ignores key order and filled-in defaults", () => {
+    expect(
+      settingsEqual(
+        { outputFormat: "jpeg", quality: 70 },
+        { quality: 70, outputFormat: "jpeg", legacy: 1 }
+      )
+    ).toBe(true);
+    expect(settingsEqual({ quality: 70 }, { quality: 71 })).toBe(false);
+  });
+});
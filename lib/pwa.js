@@ -0,0 +1,74 @@
+import { filesFromInput } from "./files";
+
+// --- Offline Support ---
+// A new service worker takes over after the page has loaded, so it's handed
+// the URLs fetched so far, and the lazily loaded encoders are fetched too.
+const cacheLoadedAssets = (controller) => {
+  const urls = performance
+    .getEntriesByType("resource")
+    .map((entry) => entry.name)
+    .filter((url) => new URL(url).origin === location.origin);
+  controller.postMessage({ type: "cache-urls", urls });
+};
+
+const warmUpEncoders = (createWorker) => {
+  const worker = createWorker();
+  worker.onmessage = worker.onerror = () => worker.terminate();
+  worker.postMessage({ type: "warm-up" });
+};
+
+// Dev builds aren't cached; stale chunks would fight with hot reloading.
+export const registerServiceWorker = (createWorker) => {
+  if (
+    process.env.NODE_ENV !== "production" ||
+    !("serviceWorker" in navigator)
+  ) {
+    return;
+  }
+  navigator.serviceWorker.addEventListener("controllerchange", () => {
+    cacheLoadedAssets(navigator.serviceWorker.controller);
+    warmUpEncoders(createWorker);
+  });
+  navigator.serviceWorker
+    .register(`/sw.js?build=${process.env.BUILD_ID}`)
+    .catch(() => {});
+};
+
+// Files opened with the installed app (manifest `file_handlers`).
+export const onLaunchFiles = (callback) => {
+  if (!("launchQueue" in window)) return;
+  window.launchQueue.setConsumer(async ({ files }) => {
+    if (!files?.length) return;
+    const opened = await Promise.all(files.map((handle) => handle.getFile()));
+    callback(filesFromInput(opened));
+  });
+};
+
+const SHARE_CACHE_NAME = "convert-that-image-shared";
+
+// Shared images (manifest `share_target`) are parked by the service worker,
+// which then redirects here with ?shared.
+export const takeSharedFiles = async () => {
+  const url = new URL(location.href);
+  if (!url.searchParams.has("shared") || !("caches" in window)) return [];
+  url.searchParams.delete("shared");
+  history.replaceState(null, "", url);
+
+  const cache = await caches.open(SHARE_CACHE_NAME);
+  const requests = await cache.keys();
+  const files = await Promise.all(
+    requests.map(async (request) => {
+      const response = await cache.match(request);
+      const blob = await response.blob();
+      await cache.delete(request);
+      return new File(
+        [blob],
+        decodeURIComponent(
+          response.headers.get("X-File-Name") || "shared-image"
+        ),
+        { type: blob.type, lastModified: Date.now() }
+      );
+    })
+  );
+  return filesFromInput(files);
+};
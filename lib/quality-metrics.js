@@ -0,0 +1,101 @@
+// --- Perceptual Quality Metrics ---
+// Both metrics compare an encoded result against the pixels it was encoded
+// from (after resizing), so they measure what the encoder lost rather than
+// what resizing changed. Inputs are RGBA ImageData of the same size.
+
+export const DEFAULT_TARGET_SSIM = {
+  enabled: false,
+  ssim: 0.98,
+};
+
+// Lowest quality the SSIM search will go down to.
+export const MIN_SEARCH_QUALITY = 10;
+
+const WINDOW = 8;
+// Overlapping windows; with a stride of 8 the windows would line up with
+// JPEG's 8×8 blocks and miss the blocking at their edges.
+const STRIDE = 4;
+const C1 = (0.01 * 255) ** 2;
+const C2 = (0.03 * 255) ** 2;
+// Identical images have infinite PSNR; report a fixed ceiling instead so the
+// value survives JSON.
+const MAX_PSNR = 100;
+
+// Luma (BT.601), premultiplied so fully transparent pixels compare equal
+// whatever colour they carry.
+const toLuma = ({ data, width, height }) => {
+  const luma = new Float32Array(width * height);
+  for (let i = 0, p = 0; i < luma.length; i++, p += 4) {
+    luma[i] =
+      ((0.299 * data[p] + 0.587 * data[p + 1] + 0.114 * data[p + 2]) *
+        data[p + 3]) /
+      255;
+  }
+  return luma;
+};
+
+// Mean SSIM over sliding windows of the luma channel. Images smaller than
+// one window are compared as a single window.
+export const computeSsim = (reference, output) => {
+  const { width, height } = reference;
+  const a = toLuma(reference);
+  const b = toLuma(output);
+  const windowWidth = Math.min(WINDOW, width);
+  const windowHeight = Math.min(WINDOW, height);
+  const count = windowWidth * windowHeight;
+  let total = 0;
+  let windows = 0;
+  for (let y = 0; y + windowHeight <= height; y += STRIDE) {
+    for (let x = 0; x + windowWidth <= width; x += STRIDE) {
+      let sumA = 0;
+      let sumB = 0;
+      let sumAA = 0;
+      let sumBB = 0;
+      let sumAB = 0;
+      for (let dy = 0; dy < windowHeight; dy++) {
+        const row = (y + dy) * width + x;
+        for (let dx = 0; dx < windowWidth; dx++) {
+          const va = a[row + dx];
+          const vb = b[row + dx];
+          sumA += va;
+          sumB += vb;
+          sumAA += va * va;
+          sumBB += vb * vb;
+          sumAB += va * vb;
+        }
+      }
+      const meanA = sumA / count;
+      const meanB = sumB / count;
+      const varA = sumAA / count - meanA * meanA;
+      const varB = sumBB / count - meanB * meanB;
+      const covariance = sumAB / count - meanA * meanB;
+      total +=
+        ((2 * meanA * meanB + C1) * (2 * covariance + C2)) /
+        ((meanA * meanA + meanB * meanB + C1) * (varA + varB + C2));
+      windows++;
+    }
+  }
+  return windows ? total / windows : 1;
+};
+
+// PSNR over the RGB channels, in dB.
+export const computePsnr = (reference, output) => {
+  const a = reference.data;
+  const b = output.data;
+  let squaredError = 0;
+  for (let p = 0; p < a.length; p += 4) {
+    for (let c = 0; c < 3; c++) {
+      const difference = a[p + c] - b[p + c];
+      squaredError += difference * difference;
+    }
+  }
+  const mse = squaredError / ((a.length / 4) * 3);
+  return mse === 0
+    ? MAX_PSNR
+    : Math.min(MAX_PSNR, 10 * Math.log10((255 * 255) / mse));
+};
+
+export const measureQuality = (reference, output) => ({
+  ssim: computeSsim(reference, output),
+  psnr: computePsnr(reference, output),
+});
@@ -0,0 +1,70 @@
+import { describe, expect, test } from "vitest";
+import { computePsnr, computeSsim, measureQuality } from "./quality-metrics";
+
+// An opaque grey image, or one filled by `luma(x, y)`.
+const image = (width, height, luma = () => 128, alpha = 255) => {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      data.set(
+        [luma(x, y), luma(x, y), luma(x, y), alpha],
+        (y * width + x) * 4
+      );
+    }
+  }
+  return { data, width, height };
+};
+
+const checkerboard = (x, y) => ((x + y) % 2 ? 200 : 50);
+
+describe("measureQuality", () => {
+  test("identical images score perfectly", () => {
+    const reference = image(16, 16, checkerboard);
+    expect(measureQuality(reference, image(16, 16, checkerboard))).toEqual({
+      ssim: 1,
+      psnr: 100,
+    });
+  });
+});
+
+describe("computeSsim", () => {
+  test("drops as structure is lost", () => {
+    const reference = image(16, 16, checkerboard);
+    const flat = computeSsim(
+      reference,
+      image(16, 16, () => 125)
+    );
+    const noisy = computeSsim(
+      reference,
+      image(16, 16, (x, y) => checkerboard(x, y) + ((x * 7 + y) % 5) - 2)
+    );
+    expect(flat).toBeLessThan(0.1);
+    expect(noisy).toBeGreaterThan(0.99);
+    expect(noisy).toBeLessThan(1);
+  });
+
+  test("ignores the colour of fully transparent pixels", () => {
+    expect(
+      computeSsim(
+        image(8, 8, () => 0, 0),
+        image(8, 8, checkerboard, 0)
+      )
+    ).toBe(1);
+  });
+
+  test("compares images smaller than a window as one window", () => {
+    expect(computeSsim(image(3, 2), image(3, 2))).toBe(1);
+  });
+});
+
+describe("computePsnr", () => {
+  test("is in dB over the colour channels", () => {
+    // Every channel off by 1: 10 * log10(255² / 1).
+    expect(
+      computePsnr(
+        image(4, 4, () => 100),
+        image(4, 4, () => 101)
+      )
+    ).toBeCloseTo(48.13, 2);
+  });
+});
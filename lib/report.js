@@ -0,0 +1,124 @@
+// --- Batch Report ---
+// Summarizes the current list for the dashboard and for CSV/JSON export.
+// Savings are fractions of the original size; negative means the file grew.
+
+const TOP_COUNT = 5;
+
+const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2
+    ? sorted[middle]
+    : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+export const buildReport = (images, outputNames, batch) => {
+  const rows = images.map((image) => ({
+    path: outputNames.get(image.id),
+    originalName: image.originalName,
+    originalPath: image.relativePath,
+    status: image.status,
+    originalSize: image.originalSize,
+    convertedSize: image.status === "done" ? image.convertedSize : null,
+    savings:
+      image.status === "done"
+        ? 1 - image.convertedSize / image.originalSize
+        : null,
+    format: image.outputFormat,
+    keptOriginal: Boolean(image.keptOriginal),
+    duplicateOf: image.duplicateOf ? image.duplicateName : null,
+    sourceWidth: image.sourceWidth || null,
+    sourceHeight: image.sourceHeight || null,
+    width: image.width || null,
+    height: image.height || null,
+    quality: image.quality,
+    ssim: image.status === "done" ? image.metrics?.ssim ?? null : null,
+    psnr: image.status === "done" ? image.metrics?.psnr ?? null : null,
+    durationMs: image.duration ?? null,
+    error: image.status === "error" ? image.errorMessage ?? null : null,
+  }));
+
+  const done = rows.filter((row) => row.status === "done");
+  const inputBytes = sum(done.map((row) => row.originalSize));
+  const outputBytes = sum(done.map((row) => row.convertedSize));
+  const bySavedBytes = [...done].sort(
+    (a, b) =>
+      b.originalSize - b.convertedSize - (a.originalSize - a.convertedSize)
+  );
+  const durations = rows
+    .map((row) => row.durationMs)
+    .filter((duration) => duration !== null);
+
+  return {
+    generatedAt: new Date().toISOString(),
+    summary: {
+      images: rows.length,
+      converted: done.length,
+      failed: rows.filter((row) => row.status === "error").length,
+      inputBytes,
+      outputBytes,
+      savedBytes: inputBytes - outputBytes,
+      overallSavings: inputBytes ? 1 - outputBytes / inputBytes : null,
+      medianSavings: median(done.map((row) => row.savings)),
+      totalConversionMs: sum(durations),
+      medianConversionMs: median(durations),
+      medianSsim: median(
+        done.map((row) => row.ssim).filter((ssim) => ssim !== null)
+      ),
+      batchMs:
+        batch.startedAt && batch.finishedAt
+          ? Math.round(batch.finishedAt - batch.startedAt)
+          : null,
+    },
+    winners: bySavedBytes.slice(0, TOP_COUNT).filter((row) => row.savings > 0),
+    // Anything that grew, or failing that, the smallest wins.
+    losers: bySavedBytes
+      .slice(-TOP_COUNT)
+      .reverse()
+      .filter((row) => !bySavedBytes.slice(0, TOP_COUNT).includes(row)),
+    errors: rows
+      .filter((row) => row.status === "error")
+      .map(({ originalPath, error }) => ({ originalPath, error })),
+    images: rows,
+  };
+};
+
+const CSV_COLUMNS = [
+  "path",
+  "originalPath",
+  "status",
+  "originalSize",
+  "convertedSize",
+  "savings",
+  "format",
+  "keptOriginal",
+  "duplicateOf",
+  "sourceWidth",
+  "sourceHeight",
+  "width",
+  "height",
+  "quality",
+  "ssim",
+  "psnr",
+  "durationMs",
+  "error",
+];
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return "";
+  const text = typeof value === "number" ? String(+value.toFixed(4)) : value;
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const reportToCsv = (report) =>
+  [
+    CSV_COLUMNS.join(","),
+    ...report.images.map((row) =>
+      CSV_COLUMNS.map((column) => csvCell(row[column])).join(",")
+    ),
+  ].join("\n");
+
+export const reportToJson = (report) => JSON.stringify(report, null, 2);
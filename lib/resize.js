@@ -0,0 +1,115 @@
+// --- Resize Options ---
+export const RESIZE_MODES = {
+  none: "Original size",
+  max: "Max width / height",
+  scale: "Scale by percentage",
+  exact: "Exact dimensions",
+};
+
+export const FIT_MODES = {
+  contain: "Contain (letterbox)",
+  cover: "Cover (crop)",
+  fill: "Fill (stretch)",
+  inside: "Inside (fit within)",
+};
+
+export const DEFAULT_RESIZE = {
+  mode: "none",
+  maxWidth: 1920,
+  maxHeight: 1920,
+  scalePercent: 50,
+  width: 1200,
+  height: 800,
+  fit: "contain",
+  withoutEnlargement: true,
+  highQuality: true,
+};
+
+// The output canvas size and where the source is drawn onto it.
+export const computeResizeLayout = (sourceWidth, sourceHeight, options) => {
+  const cap = (scale) =>
+    options.withoutEnlargement ? Math.min(scale, 1) : scale;
+  const source = { sx: 0, sy: 0, sw: sourceWidth, sh: sourceHeight };
+  const scaled = (scale) => {
+    const width = Math.max(1, Math.round(sourceWidth * scale));
+    const height = Math.max(1, Math.round(sourceHeight * scale));
+    return { width, height, ...source, dx: 0, dy: 0, dw: width, dh: height };
+  };
+
+  switch (options.mode) {
+    case "max": {
+      const scale = Math.min(
+        1,
+        options.maxWidth ? options.maxWidth / sourceWidth : 1,
+        options.maxHeight ? options.maxHeight / sourceHeight : 1
+      );
+      return scaled(scale);
+    }
+    case "scale":
+      return scaled(cap(options.scalePercent / 100));
+    case "exact": {
+      // A missing dimension follows the source aspect ratio.
+      const targetWidth =
+        options.width ||
+        Math.round((options.height * sourceWidth) / sourceHeight);
+      const targetHeight =
+        options.height ||
+        Math.round((options.width * sourceHeight) / sourceWidth);
+      if (!targetWidth || !targetHeight) return scaled(1);
+
+      const widthRatio = targetWidth / sourceWidth;
+      const heightRatio = targetHeight / sourceHeight;
+
+      if (options.fit === "fill") {
+        const width = Math.max(1, Math.round(sourceWidth * cap(widthRatio)));
+        const height = Math.max(1, Math.round(sourceHeight * cap(heightRatio)));
+        return {
+          width,
+          height,
+          ...source,
+          dx: 0,
+          dy: 0,
+          dw: width,
+          dh: height,
+        };
+      }
+      if (options.fit === "inside") {
+        return scaled(cap(Math.min(widthRatio, heightRatio)));
+      }
+      if (options.fit === "cover") {
+        const scale = cap(Math.max(widthRatio, heightRatio));
+        const width = Math.min(targetWidth, Math.round(sourceWidth * scale));
+        const height = Math.min(targetHeight, Math.round(sourceHeight * scale));
+        const sw = width / scale;
+        const sh = height / scale;
+        return {
+          width,
+          height,
+          sx: (sourceWidth - sw) / 2,
+          sy: (sourceHeight - sh) / 2,
+          sw,
+          sh,
+          dx: 0,
+          dy: 0,
+          dw: width,
+          dh: height,
+        };
+      }
+      // contain: scale to fit, then centre on the full target canvas.
+      const scale = cap(Math.min(widthRatio, heightRatio));
+      const dw = Math.max(1, Math.round(sourceWidth * scale));
+      const dh = Math.max(1, Math.round(sourceHeight * scale));
+      return {
+        width: targetWidth,
+        height: targetHeight,
+        ...source,
+        dx: Math.round((targetWidth - dw) / 2),
+        dy: Math.round((targetHeight - dh) / 2),
+        dw,
+        dh,
+      };
+    }
+    default:
+      return scaled(1);
+  }
+};
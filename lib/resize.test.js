@@ -0,0 +1,104 @@
+import { describe, expect, test } from "vitest";
+import { DEFAULT_RESIZE, computeResizeLayout } from "./resize";
+
+const layout = (width, height, options) =>
+  computeResizeLayout(width, height, { ...DEFAULT_RESIZE, ...options });
+
+describe("computeResizeLayout", () => {
+  test("keeps the original size by default", () => {
+    expect(layout(400, 300, {})).toEqual({
+      width: 400,
+      height: 300,
+      sx: 0,
+      sy: 0,
+      sw: 400,
+      sh: 300,
+      dx: 0,
+      dy: 0,
+      dw: 400,
+      dh: 300,
+    });
+  });
+
+  test("max shrinks to the tighter limit but never enlarges", () => {
+    const options = { mode: "max", maxWidth: 1000, maxHeight: 500 };
+    expect(layout(2000, 2000, options)).toMatchObject({
+      width: 500,
+      height: 500,
+    });
+    expect(layout(200, 100, options)).toMatchObject({
+      width: 200,
+      height: 100,
+    });
+  });
+
+  test("scale is capped at 100% without enlargement", () => {
+    expect(layout(400, 300, { mode: "scale", scalePercent: 25 })).toMatchObject(
+      { width: 100, height: 75 }
+    );
+    expect(
+      layout(400, 300, { mode: "scale", scalePercent: 200 })
+    ).toMatchObject({ width: 400, height: 300 });
+    expect(
+      layout(400, 300, {
+        mode: "scale",
+        scalePercent: 200,
+        withoutEnlargement: false,
+      })
+    ).toMatchObject({ width: 800, height: 600 });
+  });
+
+  test("an exact size with one dimension keeps the aspect ratio", () => {
+    expect(
+      layout(400, 300, { mode: "exact", width: 200, height: 0 })
+    ).toMatchObject({ width: 200, height: 150 });
+  });
+
+  test("contain centres the image on the target canvas", () => {
+    expect(
+      layout(400, 200, { mode: "exact", width: 200, height: 200 })
+    ).toMatchObject({
+      width: 200,
+      height: 200,
+      dx: 0,
+      dy: 50,
+      dw: 200,
+      dh: 100,
+    });
+  });
+
+  test("cover crops the middle of the source", () => {
+    expect(
+      layout(400, 200, {
+        mode: "exact",
+        width: 200,
+        height: 200,
+        fit: "cover",
+      })
+    ).toMatchObject({
+      width: 200,
+      height: 200,
+      sx: 100,
+      sy: 0,
+      sw: 200,
+      sh: 200,
+    });
+  });
+
+  test("fill stretches to the target", () => {
+    expect(
+      layout(400, 200, { mode: "exact", width: 100, height: 100, fit: "fill" })
+    ).toMatchObject({ width: 100, height: 100, dw: 100, dh: 100 });
+  });
+
+  test("inside fits within the target without padding", () => {
+    expect(
+      layout(400, 200, {
+        mode: "exact",
+        width: 200,
+        height: 200,
+        fit: "inside",
+      })
+    ).toMatchObject({ width: 200, height: 100 });
+  });
+});
@@ -0,0 +1,212 @@
+import { OUTPUT_FORMATS } from "./formats";
+
+// --- Responsive Image Sets ---
+// In responsive mode every image is converted once per width and format,
+// each as its own job. The variants of one image share a folder named after
+// the image's regular output name.
+
+export const DEFAULT_RESPONSIVE = {
+  enabled: false,
+  widths: "480, 960, 1440, 1920",
+  formats: ["webp", "jpeg"],
+  sizes: "100vw",
+};
+
+// Browsers take the first <source> they support, so the most efficient
+// formats go first; the last chosen format becomes the <img> fallback.
+export const RESPONSIVE_FORMAT_ORDER = ["avif", "webp", "jpeg", "png"];
+
+const MAX_WIDTH = 16384;
+
+export const parseWidths = (text) =>
+  [
+    ...new Set(
+      text
+        .split(/[\s,]+/)
+        .map(Number)
+        .filter((width) => Number.isInteger(width) && width > 0)
+        .map((width) => Math.min(width, MAX_WIDTH))
+    ),
+  ].sort((a, b) => a - b);
+
+export const responsiveVariants = ({ widths, formats }) =>
+  RESPONSIVE_FORMAT_ORDER.filter((format) => formats.includes(format)).flatMap(
+    (format) =>
+      parseWidths(widths).map((width) => ({
+        key: `${format}-${width}`,
+        format,
+        width,
+      }))
+  );
+
+export const variantId = (imageId, key) => `${imageId}#${key}`;
+
+// "max" never enlarges, so widths above the source size come out at the
+// source size.
+export const variantSettings = (settings, { format, width }) => ({
+  ...settings,
+  outputFormat: format,
+  resize: { ...settings.resize, mode: "max", maxWidth: width, maxHeight: 0 },
+});
+
+// Finished variants, minus the ones that came out at the same width as a
+// smaller requested width of the same format. Icon set variants have their
+// own file names and are never merged.
+export const uniqueVariants = (variants) => {
+  const seen = new Set();
+  return variants.filter((variant) => {
+    if (variant.status !== "done") return false;
+    const id = variant.fileName ?? `${variant.format}-${variant.outputWidth}`;
+    if (seen.has(id)) return false;
+    seen.add(id);
+    return true;
+  });
+};
+
+const groupByFormat = (variants) =>
+  RESPONSIVE_FORMAT_ORDER.map((format) => ({
+    format,
+    variants: variants
+      .filter((variant) => variant.format === format)
+      .sort((a, b) => a.outputWidth - b.outputWidth),
+  })).filter((group) => group.variants.length > 0);
+
+// The largest variant in the preferred format stands in for the whole set
+// wherever a row needs a single result (comparing, the report, {width}).
+export const primaryVariant = (variants) => {
+  const [preferred] = groupByFormat(uniqueVariants(variants));
+  return preferred?.variants[preferred.variants.length - 1] ?? null;
+};
+
+const summarizeStatus = (variants) => {
+  const count = (status) =>
+    variants.filter((variant) => variant.status === status).length;
+  if (count("converting") > 0) return "converting";
+  if (count("queued") > 0) {
+    return count("done") + count("error") > 0 ? "converting" : "pending";
+  }
+  if (count("done") === variants.length) return "done";
+  return count("error") > 0 ? "error" : "pending";
+};
+
+// Derives the row's own result fields from its variants.
+export const applyVariants = (image, variants) => {
+  const primary = primaryVariant(variants);
+  const failed = variants.find((variant) => variant.status === "error");
+  return {
+    ...image,
+    variants,
+    status: summarizeStatus(variants),
+    convertedUrl: primary?.url ?? null,
+    convertedSize: primary?.size ?? 0,
+    outputFormat: primary?.format ?? null,
+    sourceWidth: primary?.sourceWidth ?? 0,
+    sourceHeight: primary?.sourceHeight ?? 0,
+    width: primary?.outputWidth ?? 0,
+    height: primary?.outputHeight ?? 0,
+    quality: primary?.quality ?? null,
+    targetMet: primary?.targetMet ?? null,
+    metrics: primary?.metrics ?? null,
+    outputFrameCount: primary?.frameCount ?? 0,
+    duration: variants.reduce(
+      (sum, variant) => sum + (variant.duration ?? 0),
+      0
+    ),
+    settings: primary?.settings ?? null,
+    errorMessage: failed?.error ?? null,
+  };
+};
+
+// --- Paths and Snippets ---
+export const variantFolder = (outputName) =>
+  outputName.replace(/\.[^./]+$/, "");
+
+export const variantPath = (outputName, variant) => {
+  const folder = variantFolder(outputName);
+  if (variant.fileName) return `${folder}/${variant.fileName}`;
+  const width = variant.outputWidth ?? variant.width;
+  return `${folder}/${folder.split("/").pop()}-${width}.${
+    OUTPUT_FORMATS[variant.format].extension
+  }`;
+};
+
+const escapeAttribute = (text) =>
+  String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/"/g, "&quot;")
+    .replace(/</g, "&lt;");
+
+// Encoding every path segment also takes care of spaces and commas, which
+// would otherwise split a srcset entry.
+const toUrl = (path) => path.split("/").map(encodeURIComponent).join("/");
+
+const attributes = (values) =>
+  Object.entries(values)
+    .map(([name, value]) => ` ${name}="${escapeAttribute(value)}"`)
+    .join("");
+
+// Paths are relative to the root of the exported ZIP.
+export const buildPictureSnippet = (image, outputName, sizes) => {
+  const groups = groupByFormat(uniqueVariants(image.variants ?? []));
+  if (groups.length === 0) return "";
+  const srcset = (variants) =>
+    variants
+      .map(
+        (variant) =>
+          `${toUrl(variantPath(outputName, variant))} ${variant.outputWidth}w`
+      )
+      .join(", ");
+  const fallback = groups[groups.length - 1];
+  const largest = fallback.variants[fallback.variants.length - 1];
+  return [
+    "<picture>",
+    ...groups.slice(0, -1).map(
+      ({ format, variants }) =>
+        `  <source${attributes({
+          type: OUTPUT_FORMATS[format].mimeType,
+          srcset: srcset(variants),
+          sizes,
+        })}>`
+    ),
+    `  <img${attributes({
+      src: toUrl(variantPath(outputName, largest)),
+      srcset: srcset(fallback.variants),
+      sizes,
+      width: largest.outputWidth,
+      height: largest.outputHeight,
+      alt: "",
+      loading: "lazy",
+      decoding: "async",
+    })}>`,
+    "</picture>",
+  ].join("\n");
+};
+
+export const buildResponsiveManifest = (images, outputNames, sizes) => ({
+  generatedAt: new Date().toISOString(),
+  sizes,
+  images: images
+    .filter(
+      (image) => image.variants && uniqueVariants(image.variants).length > 0
+    )
+    .map((image) => {
+      const outputName = outputNames.get(image.id);
+      return {
+        originalPath: image.relativePath,
+        folder: variantFolder(outputName),
+        sources: groupByFormat(uniqueVariants(image.variants)).map(
+          ({ format, variants }) => ({
+            format,
+            type: OUTPUT_FORMATS[format].mimeType,
+            files: variants.map((variant) => ({
+              path: variantPath(outputName, variant),
+              width: variant.outputWidth,
+              height: variant.outputHeight,
+              size: variant.size,
+            })),
+          })
+        ),
+        html: buildPictureSnippet(image, outputName, sizes),
+      };
+    }),
+});
@@ -0,0 +1,107 @@
+import { describe, expect, test } from "vitest";
+import {
+  applyVariants,
+  parseWidths,
+  primaryVariant,
+  responsiveVariants,
+  uniqueVariants,
+  variantPath,
+} from "./responsive";
+
+const done = (format, width, outputWidth = width) => ({
+  status: "done",
+  format,
+  width,
+  outputWidth,
+  outputHeight: outputWidth / 2,
+  size: outputWidth * 10,
+  url: `blob:${format}-${width}`,
+});
+
+describe("parseWidths", () => {
+  test("sorts, dedupes and caps the widths", () => {
+    expect(parseWidths("960, 480 480,abc -1 1.5 99999")).toEqual([
+      480, 960, 16384,
+    ]);
+  });
+});
+
+describe("responsiveVariants", () => {
+  test("plans every width per format, best format first", () => {
+    expect(
+      responsiveVariants({ widths: "960, 480", formats: ["jpeg", "avif"] })
+    ).toEqual([
+      { key: "avif-480", format: "avif", width: 480 },
+      { key: "avif-960", format: "avif", width: 960 },
+      { key: "jpeg-480", format: "jpeg", width: 480 },
+      { key: "jpeg-960", format: "jpeg", width: 960 },
+    ]);
+  });
+});
+
+describe("uniqueVariants", () => {
+  test("drops unfinished variants and ones capped to the same width", () => {
+    const variants = [
+      done("webp", 480),
+      { ...done("webp", 960), status: "error" },
+      done("webp", 1440, 800),
+      done("webp", 1920, 800),
+    ];
+    expect(uniqueVariants(variants)).toEqual([variants[0], variants[2]]);
+  });
+});
+
+describe("primaryVariant", () => {
+  test("is the largest variant in the preferred format", () => {
+    const variants = [done("jpeg", 960), done("webp", 480), done("webp", 960)];
+    expect(primaryVariant(variants)).toBe(variants[2]);
+  });
+
+  test("is null until a variant has finished", () => {
+    expect(primaryVariant([{ ...done("webp", 480), status: "queued" }])).toBe(
+      null
+    );
+  });
+});
+
+describe("applyVariants", () => {
+  test("takes the row's result from its primary variant", () => {
+    const row = applyVariants({ id: "a" }, [
+      done("jpeg", 480),
+      done("webp", 480),
+    ]);
+    expect(row).toMatchObject({
+      status: "done",
+      outputFormat: "webp",
+      convertedUrl: "blob:webp-480",
+      width: 480,
+    });
+  });
+
+  test("is still converting while variants are queued", () => {
+    const row = applyVariants({ id: "a" }, [
+      done("webp", 480),
+      { format: "webp", width: 960, status: "queued" },
+    ]);
+    expect(row.status).toBe("converting");
+  });
+
+  test("reports the first failure", () => {
+    const row = applyVariants({ id: "a" }, [
+      done("webp", 480),
+      { format: "webp", width: 960, status: "error", error: "Out of memory" },
+    ]);
+    expect(row).toMatchObject({
+      status: "error",
+      errorMessage: "Out of memory",
+    });
+  });
+});
+
+describe("variantPath", () => {
+  test("puts variants in a folder named after the output", () => {
+    expect(variantPath("trip/beach.webp", done("jpeg", 480))).toBe(
+      "trip/beach/beach-480.jpg"
+    );
+  });
+});
@@ -0,0 +1,176 @@
+// --- Session Persistence (IndexedDB) ---
+// The list is one ordered snapshot; files and results are stored once each,
+// keyed by image id.
+
+const DB_NAME = "convert-that-image";
+const DB_VERSION = 1;
+const STORES = { session: "session", files: "files", results: "results" };
+const LIST_KEY = "imageList";
+
+let dbPromise = null;
+const openDb = () => {
+  dbPromise ??= new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      Object.values(STORES).forEach((name) =>
+        request.result.createObjectStore(name)
+      );
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+  return dbPromise;
+};
+
+const promisify = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+const transaction = async (storeNames, mode, run) => {
+  const db = await openDb();
+  const tx = db.transaction(storeNames, mode);
+  const result = run(
+    Object.fromEntries(storeNames.map((name) => [name, tx.objectStore(name)]))
+  );
+  await new Promise((resolve, reject) => {
+    tx.oncomplete = resolve;
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+  return result;
+};
+
+// Watermark logos are large data URLs, so settings refer to them by key.
+const LOGO_PREFIX = "logo:";
+
+// FNV-1a; only has to tell the logos in one session apart.
+const logoKey = (logo) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < logo.length; i++) {
+    hash = Math.imul(hash ^ logo.charCodeAt(i), 0x01000193);
+  }
+  return `${LOGO_PREFIX}${(hash >>> 0).toString(16)}-${logo.length}`;
+};
+
+const withLogoKey = (settings, logos) => {
+  const { logo } = settings.watermark;
+  if (!logo) return settings;
+  const key = logoKey(logo);
+  logos.set(key, logo);
+  return { ...settings, watermark: { ...settings.watermark, logo: key } };
+};
+
+// Object URLs and per-session overrides don't survive a reload.
+const toStoredImage = ({ convertedUrl, qualityOverride, ...image }, logos) => ({
+  ...image,
+  queuedSettings: image.queuedSettings
+    ? withLogoKey(image.queuedSettings, logos)
+    : null,
+  variants: image.variants?.map(({ url, ...variant }) => variant) ?? null,
+});
+
+// Responsive rows keep one result per variant, keyed by the variant's id.
+const resultIds = (image) => [
+  image.id,
+  ...(image.variants?.map((variant) => variant.id) ?? []),
+];
+
+export const saveImageList = (images) =>
+  transaction([STORES.session], "readwrite", (stores) => {
+    const logos = new Map();
+    stores.session.put(
+      images.map((image) => toStoredImage(image, logos)),
+      LIST_KEY
+    );
+    logos.forEach((logo, key) => stores.session.put(logo, key));
+    // Logos no row refers to any more go.
+    stores.session.getAllKeys().onsuccess = (e) =>
+      e.target.result
+        .filter((key) => key.startsWith(LOGO_PREFIX) && !logos.has(key))
+        .forEach((key) => stores.session.delete(key));
+  });
+
+export const saveFiles = (entries) =>
+  transaction([STORES.files], "readwrite", (stores) =>
+    entries.forEach(([id, file]) => stores.files.put(file, id))
+  );
+
+export const saveResult = (id, blob) =>
+  transaction([STORES.results], "readwrite", (stores) =>
+    stores.results.put(blob, id)
+  );
+
+export const deleteResult = (id) =>
+  transaction([STORES.results], "readwrite", (stores) =>
+    stores.results.delete(id)
+  );
+
+export const deleteImage = (image) =>
+  transaction([STORES.files, STORES.results], "readwrite", (stores) => {
+    stores.files.delete(image.id);
+    resultIds(image).forEach((id) => stores.results.delete(id));
+  });
+
+export const clearSession = () =>
+  transaction(Object.values(STORES), "readwrite", (stores) =>
+    Object.values(stores).forEach((store) => store.clear())
+  );
+
+// Returns the saved rows with their source files and converted blobs
+// (`variantResults` lines up with `image.variants`). Rows whose source file
+// went missing are dropped.
+export const loadSession = async () => {
+  const db = await openDb();
+  const tx = db.transaction(Object.values(STORES), "readonly");
+  const images =
+    (await promisify(tx.objectStore(STORES.session).get(LIST_KEY))) ?? [];
+  // Issue every read up front so the transaction stays active throughout.
+  const get = (store, id) => promisify(tx.objectStore(store).get(id));
+  const logoKeys = [
+    ...new Set(
+      images
+        .map((image) => image.queuedSettings?.watermark.logo)
+        .filter((logo) => logo?.startsWith(LOGO_PREFIX))
+    ),
+  ];
+  const [files, results, logos] = await Promise.all([
+    Promise.all(images.map((image) => get(STORES.files, image.id))),
+    Promise.all(
+      images.map((image) =>
+        Promise.all(resultIds(image).map((id) => get(STORES.results, id)))
+      )
+    ),
+    Promise.all(logoKeys.map((key) => get(STORES.session, key))),
+  ]);
+  const logoByKey = new Map(logoKeys.map((key, index) => [key, logos[index]]));
+  const withLogo = (settings) =>
+    settings?.watermark.logo.startsWith(LOGO_PREFIX)
+      ? {
+          ...settings,
+          watermark: {
+            ...settings.watermark,
+            logo: logoByKey.get(settings.watermark.logo) ?? "",
+          },
+        }
+      : settings;
+  return images
+    .map((image, index) => ({
+      image: { ...image, queuedSettings: withLogo(image.queuedSettings) },
+      file: files[index],
+      result: results[index][0],
+      variantResults: results[index].slice(1),
+    }))
+    .filter(({ file }) => file);
+};
+
+export const estimateStorage = async () => {
+  if (!navigator.storage?.estimate) return null;
+  const { usage, quota } = await navigator.storage.estimate();
+  return { usage, quota };
+};
+
+// Asks the browser not to evict the data; it may say no.
+export const requestPersistentStorage = () =>
+  navigator.storage?.persist?.().catch(() => false);
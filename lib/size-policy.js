@@ -0,0 +1,31 @@
+// --- "Never Larger" Policy ---
+// A conversion that isn't smaller than the source is replaced by the
+// original, after a few lower qualities are tried.
+export const DEFAULT_SIZE_POLICY = {
+  neverLarger: false,
+  fallback: "retry",
+};
+
+// Formats whose metadata the worker can cut down.
+export const ORIGINAL_FALLBACK_FORMATS = ["jpeg", "png", "webp", "gif", "bmp"];
+
+export const SIZE_POLICY_FALLBACKS = {
+  retry: "Retry at lower quality, then keep the original",
+  original: "Keep the original straight away",
+};
+
+const RETRY_STEP = 15;
+const MIN_RETRY_QUALITY = 30;
+const MAX_RETRIES = 3;
+
+export const retryQualities = (quality) => {
+  const qualities = [];
+  for (
+    let next = quality - RETRY_STEP;
+    qualities.length < MAX_RETRIES && next >= MIN_RETRY_QUALITY;
+    next -= RETRY_STEP
+  ) {
+    qualities.push(next);
+  }
+  return qualities;
+};
@@ -0,0 +1,148 @@
+import { rasterizeSvg } from "./formats";
+import { formatSize } from "./utils";
+
+// --- Watermark ---
+// Composited in the worker after resizing, so scale and margin are relative
+// to the output rather than the source. An uploaded logo is kept as a data
+// URL, which lets it travel with presets like any other setting.
+
+export const DEFAULT_WATERMARK = {
+  enabled: false,
+  type: "text",
+  text: "© ",
+  color: "#ffffff",
+  logo: "",
+  logoName: "",
+  position: "bottom-right",
+  // Percent of the output's shorter side.
+  margin: 3,
+  opacity: 50,
+  // Width of one watermark, in percent of the output width.
+  scale: 25,
+  tiled: false,
+};
+
+export const WATERMARK_TYPES = {
+  text: "Text",
+  image: "Logo image",
+};
+
+export const WATERMARK_POSITIONS = {
+  "top-left": { label: "Top left", x: 0, y: 0 },
+  top: { label: "Top", x: 0.5, y: 0 },
+  "top-right": { label: "Top right", x: 1, y: 0 },
+  left: { label: "Left", x: 0, y: 0.5 },
+  center: { label: "Center", x: 0.5, y: 0.5 },
+  right: { label: "Right", x: 1, y: 0.5 },
+  "bottom-left": { label: "Bottom left", x: 0, y: 1 },
+  bottom: { label: "Bottom", x: 0.5, y: 1 },
+  "bottom-right": { label: "Bottom right", x: 1, y: 1 },
+};
+
+// The logo rides along with every job and saved preset, so it's kept small.
+export const MAX_LOGO_BYTES = 200 * 1024;
+const LOGO_TYPES = ["image/png", "image/jpeg", "image/webp", "image/gif"];
+// Workers can't decode SVGs, so SVG logos are rasterized up front.
+const SVG_LOGO_WIDTH = 1024;
+
+export const hasWatermark = (watermark) =>
+  Boolean(watermark?.enabled) &&
+  (watermark.type === "image"
+    ? Boolean(watermark.logo)
+    : watermark.text.trim() !== "");
+
+const svgToPng = async (file) => {
+  const bitmap = await rasterizeSvg(file, SVG_LOGO_WIDTH);
+  const canvas = document.createElement("canvas");
+  canvas.width = bitmap.width;
+  canvas.height = bitmap.height;
+  canvas.getContext("2d").drawImage(bitmap, 0, 0);
+  bitmap.close();
+  return new Promise((resolve) => canvas.toBlob(resolve, "image/png"));
+};
+
+export const readLogo = async (file) => {
+  const blob = file.type === "image/svg+xml" ? await svgToPng(file) : file;
+  if (!LOGO_TYPES.includes(blob.type)) {
+    throw new Error("The logo must be a PNG, JPEG, WebP, GIF or SVG image.");
+  }
+  if (blob.size > MAX_LOGO_BYTES) {
+    throw new Error(
+      `The logo is ${formatSize(blob.size)}; it must be under ${formatSize(
+        MAX_LOGO_BYTES
+      )}.`
+    );
+  }
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(new Error("The logo could not be read."));
+    reader.readAsDataURL(blob);
+  });
+};
+
+const FONT_FAMILY = "system-ui, sans-serif";
+const font = (size) => `600 ${size}px ${FONT_FAMILY}`;
+
+// Size of one watermark on a canvas of the given width, plus a draw
+// function that places it with its top-left corner at (x, y).
+const prepareMark = (ctx, canvasWidth, watermark, logo) => {
+  const width = Math.max(1, (canvasWidth * watermark.scale) / 100);
+  if (watermark.type === "image") {
+    const height = (width * logo.height) / logo.width;
+    return {
+      width,
+      height,
+      draw: (x, y) => ctx.drawImage(logo, x, y, width, height),
+    };
+  }
+  ctx.font = font(100);
+  const fontSize = (100 * width) / ctx.measureText(watermark.text).width;
+  ctx.font = font(fontSize);
+  ctx.fillStyle = watermark.color;
+  ctx.textBaseline = "middle";
+  // A soft shadow keeps the text readable on both light and dark images.
+  ctx.shadowColor = "rgba(0, 0, 0, 0.5)";
+  ctx.shadowBlur = fontSize / 12;
+  const height = fontSize * 1.2;
+  return {
+    width,
+    height,
+    draw: (x, y) => ctx.fillText(watermark.text, x, y + height / 2),
+  };
+};
+
+// Draws the watermark onto `canvas` in place. `logo` is the decoded logo
+// for image watermarks.
+export const drawWatermark = (canvas, watermark, logo) => {
+  const ctx = canvas.getContext("2d");
+  ctx.save();
+  ctx.globalAlpha = watermark.opacity / 100;
+  const mark = prepareMark(ctx, canvas.width, watermark, logo);
+  const margin =
+    (Math.min(canvas.width, canvas.height) * watermark.margin) / 100;
+
+  if (watermark.tiled) {
+    // Every other row is shifted by half a step so the tiles don't line up
+    // into obvious columns; the grid starts off-canvas to cover the edges,
+    // and the margin only widens the gaps.
+    const stepX = mark.width * 1.5 + margin;
+    const stepY = mark.height * 2 + margin;
+    for (let row = -1; row * stepY < canvas.height; row++) {
+      const offset = row % 2 ? stepX / 2 : 0;
+      for (let x = -stepX + offset; x < canvas.width; x += stepX) {
+        mark.draw(x + margin, row * stepY + margin);
+      }
+    }
+  } else {
+    const anchor =
+      WATERMARK_POSITIONS[watermark.position] ??
+      WATERMARK_POSITIONS[DEFAULT_WATERMARK.position];
+    mark.draw(
+      margin + (canvas.width - mark.width - margin * 2) * anchor.x,
+      margin + (canvas.height - mark.height - margin * 2) * anchor.y
+    );
+  }
+  ctx.restore();
+  return canvas;
+};
@@ -0,0 +1,171 @@
+// --- WebP RIFF Container ---
+// Encoders only hand back single still images, so anything beyond that
+// (animation, metadata) is assembled here at the chunk level.
+// Layout reference: https://developers.google.com/speed/webp/docs/riff_container
+
+const FRAME_CHUNKS = ["ALPH", "VP8 ", "VP8L"];
+
+const writeUint24 = (bytes, offset, value) => {
+  bytes[offset] = value & 0xff;
+  bytes[offset + 1] = (value >> 8) & 0xff;
+  bytes[offset + 2] = (value >> 16) & 0xff;
+};
+
+export const readChunks = (bytes) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const fourcc = (offset) =>
+    String.fromCharCode(...bytes.subarray(offset, offset + 4));
+  if (fourcc(0) !== "RIFF" || fourcc(8) !== "WEBP") {
+    throw new Error("Encoder did not produce a WebP file.");
+  }
+  const chunks = [];
+  let offset = 12;
+  while (offset + 8 <= bytes.length) {
+    const size = view.getUint32(offset + 4, true);
+    chunks.push({
+      fourcc: fourcc(offset),
+      data: bytes.subarray(offset + 8, offset + 8 + size),
+    });
+    offset += 8 + size + (size % 2);
+  }
+  return chunks;
+};
+
+const chunkLength = (data) => 8 + data.length + (data.length % 2);
+
+const writeChunks = (chunks) => {
+  const total = chunks.reduce((sum, chunk) => sum + chunkLength(chunk.data), 0);
+  const bytes = new Uint8Array(12 + total);
+  const view = new DataView(bytes.buffer);
+  const writeFourcc = (offset, value) =>
+    [...value].forEach((char, i) => (bytes[offset + i] = char.charCodeAt(0)));
+
+  writeFourcc(0, "RIFF");
+  view.setUint32(4, 4 + total, true);
+  writeFourcc(8, "WEBP");
+  let offset = 12;
+  for (const { fourcc, data } of chunks) {
+    writeFourcc(offset, fourcc);
+    view.setUint32(offset + 4, data.length, true);
+    bytes.set(data, offset + 8);
+    offset += chunkLength(data);
+  }
+  return bytes;
+};
+
+const VP8X_FLAGS = {
+  icc: 0x20,
+  alpha: 0x10,
+  exif: 0x08,
+  xmp: 0x04,
+  animation: 0x02,
+};
+
+const vp8xChunk = (width, height, flags) => {
+  const data = new Uint8Array(10);
+  data[0] = Object.entries(flags).reduce(
+    (byte, [flag, enabled]) => (enabled ? byte | VP8X_FLAGS[flag] : byte),
+    0
+  );
+  writeUint24(data, 4, width - 1);
+  writeUint24(data, 7, height - 1);
+  return { fourcc: "VP8X", data };
+};
+
+const hasAlpha = (chunks) =>
+  chunks.some(({ fourcc }) => fourcc === "ALPH" || fourcc === "VP8L");
+
+// `frames` are complete still WebP files covering the full canvas, each with
+// a duration in milliseconds. A loop count of 0 repeats forever.
+export const muxAnimatedWebp = ({ width, height, loopCount, frames }) => {
+  const frameChunks = frames.map(({ bytes }) =>
+    readChunks(bytes).filter(({ fourcc }) => FRAME_CHUNKS.includes(fourcc))
+  );
+
+  const anim = new Uint8Array(6);
+  new DataView(anim.buffer).setUint16(4, loopCount, true);
+
+  const anmf = frames.map(({ duration }, index) => {
+    const payload = frameChunks[index];
+    const header = new Uint8Array(16);
+    writeUint24(header, 6, width - 1);
+    writeUint24(header, 9, height - 1);
+    writeUint24(header, 12, Math.min(0xffffff, Math.round(duration)));
+    // Every frame repaints the whole canvas, so skip alpha-blending with the
+    // previous one and don't dispose.
+    header[15] = 0x02;
+    const body = writeChunks(payload).subarray(12);
+    const data = new Uint8Array(header.length + body.length);
+    data.set(header);
+    data.set(body, header.length);
+    return { fourcc: "ANMF", data };
+  });
+
+  return writeChunks([
+    vp8xChunk(width, height, {
+      animation: true,
+      alpha: frameChunks.some(hasAlpha),
+    }),
+    { fourcc: "ANIM", data: anim },
+    ...anmf,
+  ]);
+};
+
+const readUint24 = (bytes, offset) =>
+  bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16);
+
+// Simple (non-VP8X) files only carry their size inside the bitstream header.
+const readCanvasSize = (chunks) => {
+  const find = (fourcc) => chunks.find((chunk) => chunk.fourcc === fourcc);
+  const vp8x = find("VP8X");
+  if (vp8x) {
+    return {
+      width: readUint24(vp8x.data, 4) + 1,
+      height: readUint24(vp8x.data, 7) + 1,
+    };
+  }
+  const vp8l = find("VP8L");
+  if (vp8l) {
+    const bits =
+      vp8l.data[1] |
+      (vp8l.data[2] << 8) |
+      (vp8l.data[3] << 16) |
+      (vp8l.data[4] << 24);
+    return {
+      width: (bits & 0x3fff) + 1,
+      height: ((bits >>> 14) & 0x3fff) + 1,
+    };
+  }
+  const { data } = find("VP8 ");
+  return {
+    width: (data[6] | (data[7] << 8)) & 0x3fff,
+    height: (data[8] | (data[9] << 8)) & 0x3fff,
+  };
+};
+
+const METADATA_CHUNKS = ["VP8X", "ICCP", "EXIF", "XMP "];
+
+// Rewrites a WebP into the extended format so it can carry metadata.
+export const embedWebpMetadata = (bytes, { exif, xmp, icc }) => {
+  const chunks = readChunks(bytes);
+  const { width, height } = readCanvasSize(chunks);
+  const existing = chunks.find(({ fourcc }) => fourcc === "VP8X");
+  const image = chunks.filter(
+    ({ fourcc }) => !METADATA_CHUNKS.includes(fourcc)
+  );
+  const xmpBytes = xmp && new TextEncoder().encode(xmp);
+
+  return writeChunks([
+    vp8xChunk(width, height, {
+      icc: Boolean(icc),
+      alpha: hasAlpha(image),
+      exif: Boolean(exif),
+      xmp: Boolean(xmpBytes),
+      animation: Boolean(existing && existing.data[0] & VP8X_FLAGS.animation),
+    }),
+    ...(icc ? [{ fourcc: "ICCP", data: icc }] : []),
+    ...image,
+    ...(exif ? [{ fourcc: "EXIF", data: exif }] : []),
+    ...(xmpBytes ? [{ fourcc: "XMP ", data: xmpBytes }] : []),
+  ]);
+};
@@ -0,0 +1,99 @@
+import { describe, expect, test } from "vitest";
+import {
+  embedWebpMetadata,
+  muxAnimatedWebp,
+  readChunks,
+} from "./webp-container";
+
+const ascii = (text) => [...text].map((char) => char.charCodeAt(0));
+const uint32 = (value) =>
+  [0, 8, 16, 24].map((shift) => (value >> shift) & 0xff);
+
+const webp = (chunks) => {
+  const body = chunks.flatMap(({ fourcc, data }) => [
+    ...ascii(fourcc),
+    ...uint32(data.length),
+    ...data,
+    ...(data.length % 2 ? [0] : []),
+  ]);
+  return new Uint8Array([
+    ...ascii("RIFF"),
+    ...uint32(4 + body.length),
+    ...ascii("WEBP"),
+    ...body,
+  ]);
+};
+
+// A lossless 4x3 image; the bitstream itself is never decoded here.
+const vp8l = { fourcc: "VP8L", data: [0x2f, 3, 0x80, 0, 0] };
+const still = () => webp([vp8l]);
+
+const fourccs = (bytes) => readChunks(bytes).map(({ fourcc }) => fourcc);
+const vp8x = (bytes) => readChunks(bytes)[0].data;
+
+describe("readChunks", () => {
+  test("reads chunks across padding", () => {
+    const chunks = readChunks(webp([vp8l, { fourcc: "EXIF", data: [1, 2] }]));
+    expect(chunks.map(({ fourcc, data }) => [fourcc, [...data]])).toEqual([
+      ["VP8L", vp8l.data],
+      ["EXIF", [1, 2]],
+    ]);
+  });
+
+  test("rejects anything but a WebP", () => {
+    expect(() => readChunks(new Uint8Array(16))).toThrow(
+      "Encoder did not produce a WebP file."
+    );
+  });
+});
+
+describe("embedWebpMetadata", () => {
+  test("adds the metadata chunks around the image data", () => {
+    const bytes = embedWebpMetadata(still(), {
+      icc: new Uint8Array([1, 2, 3]),
+      exif: new Uint8Array([4, 5]),
+      xmp: "<x/>",
+    });
+    expect(fourccs(bytes)).toEqual(["VP8X", "ICCP", "VP8L", "EXIF", "XMP "]);
+    // ICC, alpha (VP8L may carry it), EXIF and XMP flags.
+    expect(vp8x(bytes)[0]).toBe(0x20 | 0x10 | 0x08 | 0x04);
+    // The canvas size comes from the VP8L header: 4x3, stored minus one.
+    expect([...vp8x(bytes).subarray(4)]).toEqual([3, 0, 0, 2, 0, 0]);
+  });
+
+  test("replaces metadata that's already there", () => {
+    const withExif = embedWebpMetadata(still(), {
+      exif: new Uint8Array([1]),
+    });
+    const bytes = embedWebpMetadata(withExif, { xmp: "<x/>" });
+    expect(fourccs(bytes)).toEqual(["VP8X", "VP8L", "XMP "]);
+  });
+});
+
+describe("muxAnimatedWebp", () => {
+  test("wraps each frame in an ANMF chunk", () => {
+    const bytes = muxAnimatedWebp({
+      width: 4,
+      height: 3,
+      loopCount: 2,
+      frames: [
+        { bytes: still(), duration: 40 },
+        { bytes: still(), duration: 60.4 },
+      ],
+    });
+    const chunks = readChunks(bytes);
+    expect(chunks.map(({ fourcc }) => fourcc)).toEqual([
+      "VP8X",
+      "ANIM",
+      "ANMF",
+      "ANMF",
+    ]);
+    expect(chunks[0].data[0]).toBe(0x10 | 0x02);
+    expect(chunks[1].data[4]).toBe(2);
+
+    const [, , , second] = chunks;
+    // Duration, rounded, then the blending bits.
+    expect([...second.data.subarray(12, 16)]).toEqual([60, 0, 0, 0x02]);
+    expect(String.fromCharCode(...second.data.subarray(16, 20))).toBe("VP8L");
+  });
+});
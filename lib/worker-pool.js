@@ -0,0 +1,171 @@
+// --- Worker Pool ---
+// Runs conversion jobs on a fixed number of workers. Jobs are plain objects
+// with an `id`, a memory `cost` (bytes) and a `timeout` (ms); everything else
+// is up to the caller, who turns a job into a worker message in `prepare`.
+//
+// A worker that crashes or runs past its job's timeout is terminated and
+// replaced, and the job is put back at the front of the queue until it has
+// used up `maxAttempts`.
+
+export const createWorkerPool = ({
+  size,
+  createWorker,
+  prepare,
+  onStart,
+  onSettled,
+  onChange,
+  memoryBudget = Infinity,
+  maxAttempts = 2,
+}) => {
+  let queue = [];
+  let paused = false;
+  let terminated = false;
+
+  const slots = Array.from({ length: size }, () => ({
+    worker: null,
+    job: null,
+    timer: null,
+  }));
+
+  const activeSlots = () => slots.filter((slot) => slot.job);
+  const memoryInUse = () =>
+    activeSlots().reduce((sum, slot) => sum + slot.job.cost, 0);
+
+  const notify = () =>
+    onChange?.({
+      queued: queue.length,
+      active: activeSlots().length,
+      paused,
+    });
+
+  const spawn = (slot) => {
+    slot.worker?.terminate();
+    slot.worker = createWorker();
+    slot.worker.onmessage = (e) => {
+      if (slot.job?.id === e.data.id) finish(slot, e.data);
+    };
+    slot.worker.onerror = (e) => {
+      e.preventDefault?.();
+      fail(slot, e.message || "The worker crashed.");
+    };
+  };
+
+  const release = (slot) => {
+    clearTimeout(slot.timer);
+    const { job } = slot;
+    slot.job = null;
+    slot.timer = null;
+    return job;
+  };
+
+  const finish = (slot, result) => {
+    const job = release(slot);
+    onSettled(job, result);
+    pump();
+  };
+
+  // The worker can't be trusted after a crash or hang, so it's always
+  // replaced before the job is retried or given up on.
+  const fail = (slot, reason) => {
+    if (!slot.job) return;
+    const job = release(slot);
+    spawn(slot);
+    if (job.attempts < maxAttempts) {
+      queue.unshift(job);
+    } else {
+      onSettled(job, { id: job.id, status: "error", error: reason });
+    }
+    pump();
+  };
+
+  const run = async (slot, job) => {
+    job.attempts += 1;
+    slot.job = job;
+    onStart(job);
+    let prepared;
+    try {
+      prepared = await prepare(job);
+    } catch (error) {
+      if (slot.job === job) {
+        finish(slot, { id: job.id, status: "error", error: error.message });
+      }
+      return;
+    }
+    // Cancelled or terminated while preparing.
+    if (terminated || slot.job !== job) return;
+    slot.timer = setTimeout(
+      () =>
+        fail(
+          slot,
+          `Timed out after ${Math.round(job.timeout / 1000)} seconds.`
+        ),
+      job.timeout
+    );
+    slot.worker.postMessage(prepared.message, prepared.transfer ?? []);
+  };
+
+  // Jobs start strictly in order. When the next one doesn't fit in the memory
+  // budget it waits for running jobs to finish, unless nothing is running, so
+  // a single oversized image still gets its turn.
+  const pump = () => {
+    if (terminated) return;
+    for (const slot of slots) {
+      if (paused || queue.length === 0) break;
+      if (slot.job) continue;
+      const next = queue[0];
+      const busy = activeSlots().length > 0;
+      if (busy && memoryInUse() + next.cost > memoryBudget) break;
+      queue.shift();
+      run(slot, next);
+    }
+    notify();
+  };
+
+  const cancelSlot = (slot) => {
+    const job = release(slot);
+    spawn(slot);
+    onSettled(job, { id: job.id, status: "cancelled" });
+  };
+
+  slots.forEach(spawn);
+
+  return {
+    enqueue(jobs) {
+      queue.push(...jobs.map((job) => ({ ...job, attempts: 0 })));
+      pump();
+    },
+    cancel(id) {
+      const queued = queue.find((job) => job.id === id);
+      queue = queue.filter((job) => job.id !== id);
+      if (queued) onSettled(queued, { id, status: "cancelled" });
+      const slot = slots.find((s) => s.job?.id === id);
+      if (slot) cancelSlot(slot);
+      pump();
+    },
+    cancelAll() {
+      const dropped = queue;
+      queue = [];
+      dropped.forEach((job) =>
+        onSettled(job, { id: job.id, status: "cancelled" })
+      );
+      activeSlots().forEach(cancelSlot);
+      pump();
+    },
+    pause() {
+      paused = true;
+      notify();
+    },
+    resume() {
+      paused = false;
+      pump();
+    },
+    terminate() {
+      terminated = true;
+      queue = [];
+      slots.forEach((slot) => {
+        clearTimeout(slot.timer);
+        slot.worker?.terminate();
+      });
+    },
+  };
+};
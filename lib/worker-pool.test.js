@@ -0,0 +1,162 @@
+import { afterEach, describe, expect, test, vi } from "vitest";
+import { createWorkerPool } from "./worker-pool";
+import { createFakeWorkers, flush } from "./fake-workers";
+
+const job = (id, cost = 1) => ({ id, cost, timeout: 1000 });
+
+const setup = (options = {}) => {
+  const fakes = createFakeWorkers();
+  const settled = [];
+  const started = [];
+  const statuses = [];
+  const pool = createWorkerPool({
+    size: 2,
+    createWorker: fakes.createWorker,
+    prepare: async (job) => ({ message: { id: job.id } }),
+    onStart: (job) => started.push(job.id),
+    onSettled: (job, result) => settled.push(result),
+    onChange: (status) => statuses.push(status),
+    ...options,
+  });
+  return { pool, settled, started, statuses, ...fakes };
+};
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe("createWorkerPool", () => {
+  test("runs no more jobs at once than it has workers", async () => {
+    const { pool, started, settled, running } = setup();
+    pool.enqueue([job("a"), job("b"), job("c")]);
+    await flush();
+    expect(started).toEqual(["a", "b"]);
+
+    running("a").reply({ id: "a", status: "done" });
+    await flush();
+    expect(settled).toEqual([{ id: "a", status: "done" }]);
+    expect(started).toEqual(["a", "b", "c"]);
+  });
+
+  test("ignores replies for a job the worker no longer holds", async () => {
+    const { pool, settled, running } = setup({ size: 1 });
+    pool.enqueue([job("a")]);
+    await flush();
+    running("a").reply({ id: "b", status: "done" });
+    expect(settled).toEqual([]);
+  });
+
+  test("holds jobs back while the memory budget is used up", async () => {
+    const { pool, started, running } = setup({ memoryBudget: 10 });
+    pool.enqueue([job("a", 6), job("b", 6)]);
+    await flush();
+    expect(started).toEqual(["a"]);
+
+    running("a").reply({ id: "a", status: "done" });
+    await flush();
+    expect(started).toEqual(["a", "b"]);
+  });
+
+  test("runs a job larger than the budget when nothing else is running", async () => {
+    const { pool, started } = setup({ memoryBudget: 10 });
+    pool.enqueue([job("a", 50)]);
+    await flush();
+    expect(started).toEqual(["a"]);
+  });
+
+  test("replaces a crashed worker and retries the job", async () => {
+    const { pool, started, settled, running } = setup({ size: 1 });
+    pool.enqueue([job("a")]);
+    await flush();
+    const first = running("a");
+    first.crash("Out of memory");
+    await flush();
+    expect(first.terminated).toBe(true);
+    expect(started).toEqual(["a", "a"]);
+
+    running("a").crash("Out of memory");
+    expect(settled).toEqual([
+      { id: "a", status: "error", error: "Out of memory" },
+    ]);
+  });
+
+  test("gives up on a job that runs past its timeout", async () => {
+    vi.useFakeTimers();
+    const { pool, settled } = setup({ size: 1, maxAttempts: 1 });
+    pool.enqueue([job("a")]);
+    await vi.advanceTimersByTimeAsync(1000);
+    expect(settled).toEqual([
+      { id: "a", status: "error", error: "Timed out after 1 seconds." },
+    ]);
+  });
+
+  test("reports a job whose prepare() throws as failed", async () => {
+    const { pool, settled } = setup({
+      prepare: async () => {
+        throw new Error("File not found");
+      },
+    });
+    pool.enqueue([job("a")]);
+    await flush();
+    expect(settled).toEqual([
+      { id: "a", status: "error", error: "File not found" },
+    ]);
+  });
+
+  test("cancels queued and running jobs", async () => {
+    const { pool, settled, running } = setup({ size: 1 });
+    pool.enqueue([job("a"), job("b")]);
+    await flush();
+    const worker = running("a");
+
+    pool.cancel("b");
+    pool.cancel("a");
+    expect(settled).toEqual([
+      { id: "b", status: "cancelled" },
+      { id: "a", status: "cancelled" },
+    ]);
+    expect(worker.terminated).toBe(true);
+  });
+
+  test("doesn't post a job cancelled while it was being prepared", async () => {
+    const { pool, posted } = setup({ size: 1 });
+    pool.enqueue([job("a")]);
+    pool.cancel("a");
+    await flush();
+    expect(posted()).toEqual([]);
+  });
+
+  test("cancelAll settles every job as cancelled", async () => {
+    const { pool, settled } = setup({ size: 1 });
+    pool.enqueue([job("a"), job("b")]);
+    await flush();
+    pool.cancelAll();
+    expect(settled.map((result) => result.status)).toEqual([
+      "cancelled",
+      "cancelled",
+    ]);
+  });
+
+  test("starts nothing new while paused", async () => {
+    const { pool, started, statuses } = setup();
+    pool.pause();
+    pool.enqueue([job("a")]);
+    await flush();
+    expect(started).toEqual([]);
+    expect(statuses.at(-1)).toEqual({ queued: 1, active: 0, paused: true });
+
+    pool.resume();
+    await flush();
+    expect(started).toEqual(["a"]);
+  });
+
+  test("terminate stops every worker and drops the queue", async () => {
+    const { pool, started, workers, posted } = setup({ size: 1 });
+    pool.enqueue([job("a"), job("b")]);
+    pool.terminate();
+    await flush();
+    expect(workers.every((worker) => worker.terminated)).toBe(true);
+    expect(posted()).toEqual([]);
+    expect(started).toEqual(["a"]);
+  });
+});
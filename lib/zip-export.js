@@ -0,0 +1,186 @@
+import JSZip from "jszip";
+import { downloadBlob } from "./utils";
+
+// --- ZIP Export ---
+// Archives are streamed chunk by chunk. Only a picked file or folder keeps
+// memory flat; a downloaded part is held in memory whole, so it's capped.
+// Images are stored as-is, since they're already compressed.
+
+export const MAX_DOWNLOAD_PART_BYTES = 512 * 1024 ** 2;
+
+// Fills parts in list order; a single file bigger than the limit still gets
+// a part of its own.
+export const planArchives = (entries, maxPartBytes) => {
+  if (!maxPartBytes) return [entries];
+  const parts = [];
+  let current = [];
+  let currentBytes = 0;
+  for (const entry of entries) {
+    if (current.length > 0 && currentBytes + entry.blob.size > maxPartBytes) {
+      parts.push(current);
+      current = [];
+      currentBytes = 0;
+    }
+    current.push(entry);
+    currentBytes += entry.blob.size;
+  }
+  if (current.length > 0) parts.push(current);
+  return parts;
+};
+
+const partBytes = (entries) =>
+  entries.reduce((sum, entry) => sum + entry.blob.size, 0);
+
+const partName = (baseName, index, count) =>
+  count > 1 ? `${baseName}-part${index + 1}.zip` : `${baseName}.zip`;
+
+// Writes straight to disk where the File System Access API is available.
+const createFileSink = async (handle) => {
+  const writable = await handle.createWritable();
+  return {
+    write: (chunk) => writable.write(chunk),
+    close: () => writable.close(),
+    abort: () => writable.abort(),
+  };
+};
+
+// Elsewhere the chunks become one Blob and are handed to a regular download.
+const createDownloadSink = (fileName) => {
+  let chunks = [];
+  return {
+    write: async (chunk) => {
+      chunks.push(chunk);
+    },
+    close: async () => {
+      downloadBlob(new Blob(chunks, { type: "application/zip" }), fileName);
+      chunks = [];
+    },
+    abort: async () => {
+      chunks = [];
+    },
+  };
+};
+
+// The save dialog has to open while the click's user activation is still
+// fresh, so call this before doing any other async work. A split export
+// gets a folder for its parts. Returns null without a picker; throws an
+// AbortError if the user dismisses it.
+export const pickSaveTarget = async (fileName, { split = false } = {}) => {
+  if (split) {
+    if (typeof window.showDirectoryPicker !== "function") return null;
+    return window.showDirectoryPicker({ id: "zip-export", mode: "readwrite" });
+  }
+  if (typeof window.showSaveFilePicker !== "function") return null;
+  return window.showSaveFilePicker({
+    suggestedName: fileName,
+    types: [
+      { description: "ZIP archive", accept: { "application/zip": [".zip"] } },
+    ],
+  });
+};
+
+const streamArchive = (zip, sink, onPercent, signal) =>
+  new Promise((resolve, reject) => {
+    const stream = zip.generateInternalStream({
+      type: "uint8array",
+      streamFiles: true,
+      compression: "STORE",
+    });
+    let writing = Promise.resolve();
+    const abort = () => {
+      stream.pause();
+      reject(new DOMException("The export was cancelled.", "AbortError"));
+    };
+    signal?.addEventListener("abort", abort, { once: true });
+
+    stream
+      .on("data", (chunk, meta) => {
+        onPercent(meta.percent);
+        // Hold the stream until the sink has taken the chunk.
+        stream.pause();
+        writing = sink.write(chunk).then(() => {
+          if (!signal?.aborted) stream.resume();
+        });
+        writing.catch(reject);
+      })
+      .on("error", reject)
+      .on("end", () => {
+        signal?.removeEventListener("abort", abort);
+        writing.then(resolve, reject);
+      })
+      .resume();
+  });
+
+// A folder gets every part; a file only ever gets a single archive.
+const createSink = async (saveHandle, fileName) => {
+  if (saveHandle?.kind === "directory") {
+    return createFileSink(
+      await saveHandle.getFileHandle(fileName, { create: true })
+    );
+  }
+  if (saveHandle?.kind === "file") return createFileSink(saveHandle);
+  return createDownloadSink(fileName);
+};
+
+const partLimit = (maxPartBytes, saveHandle) => {
+  if (saveHandle?.kind === "file") return 0;
+  if (saveHandle) return maxPartBytes;
+  return Math.min(maxPartBytes || Infinity, MAX_DOWNLOAD_PART_BYTES);
+};
+
+export const planExport = (entries, maxPartBytes, saveHandle) =>
+  planArchives(entries, partLimit(maxPartBytes, saveHandle));
+
+// `entries` are { path, blob }; `buildManifest(entries, index, count)` returns
+// each part's manifest.json.
+export const exportArchives = async ({
+  entries,
+  baseName,
+  maxPartBytes,
+  buildManifest,
+  saveHandle,
+  onProgress,
+  signal,
+}) => {
+  const parts = planExport(entries, maxPartBytes, saveHandle);
+  const totalBytes = partBytes(entries) || 1;
+  let doneBytes = 0;
+
+  for (const [index, part] of parts.entries()) {
+    signal?.throwIfAborted();
+    const zip = new JSZip();
+    part.forEach(({ path, blob }) => zip.file(path, blob));
+    zip.file(
+      "manifest.json",
+      JSON.stringify(buildManifest(part, index, parts.length), null, 2),
+      { compression: "DEFLATE" }
+    );
+
+    const sink = await createSink(
+      saveHandle,
+      partName(baseName, index, parts.length)
+    );
+    const bytes = partBytes(part);
+    try {
+      await streamArchive(
+        zip,
+        sink,
+        (percent) =>
+          onProgress({
+            part: index + 1,
+            parts: parts.length,
+            fraction: Math.min(
+              1,
+              (doneBytes + (bytes * percent) / 100) / totalBytes
+            ),
+          }),
+        signal
+      );
+      await sink.close();
+    } catch (error) {
+      await sink.abort().catch(() => {});
+      throw error;
+    }
+    doneBytes += bytes;
+  }
+};
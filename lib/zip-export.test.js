@@ -0,0 +1,48 @@
+import { describe, expect, test } from "vitest";
+import {
+  MAX_DOWNLOAD_PART_BYTES,
+  planArchives,
+  planExport,
+} from "./zip-export";
+
+const entry = (path, size) => ({ path, blob: { size } });
+const paths = (parts) => parts.map((part) => part.map((e) => e.path));
+
+describe("planArchives", () => {
+  test("puts everything in one part without a limit", () => {
+    const entries = [entry("a", 10), entry("b", 20)];
+    expect(planArchives(entries, 0)).toEqual([entries]);
+  });
+
+  test("fills parts in list order", () => {
+    const entries = [entry("a", 40), entry("b", 40), entry("c", 40)];
+    expect(paths(planArchives(entries, 100))).toEqual([["a", "b"], ["c"]]);
+  });
+
+  test("gives a file bigger than the limit a part of its own", () => {
+    const entries = [entry("a", 10), entry("b", 500), entry("c", 10)];
+    expect(paths(planArchives(entries, 100))).toEqual([["a"], ["b"], ["c"]]);
+  });
+});
+
+describe("planExport", () => {
+  const entries = [
+    entry("a", MAX_DOWNLOAD_PART_BYTES),
+    entry("b", MAX_DOWNLOAD_PART_BYTES),
+  ];
+
+  test("caps parts that are downloaded", () => {
+    expect(planExport(entries, 0, null)).toHaveLength(2);
+  });
+
+  test("writes a single file when saving to one", () => {
+    expect(planExport(entries, 100, { kind: "file" })).toHaveLength(1);
+  });
+
+  test("only splits into a folder at the chosen size", () => {
+    expect(planExport(entries, 0, { kind: "directory" })).toHaveLength(1);
+    expect(
+      planExport([entry("a", 60), entry("b", 60)], 100, { kind: "directory" })
+    ).toHaveLength(2);
+  });
+});
@@ -1,4 +1,23 @@
+import { execSync } from "node:child_process";
+
+const gitCommit = () => {
+  try {
+    return execSync("git rev-parse --short HEAD", {
+      stdio: ["ignore", "pipe", "ignore"],
+    })
+      .toString()
+      .trim();
+  } catch {
+    return null;
+  }
+};
+
+const buildId = process.env.BUILD_ID || gitCommit() || "local";
+
 /** @type {import('next').NextConfig} */
-const nextConfig = {};
+const nextConfig = {
+  generateBuildId: () => buildId,
+  env: { BUILD_ID: buildId },
+};
 
 export default nextConfig;
@@ -0,0 +1,129 @@
+// --- Service Worker ---
+// Hashed build assets are served cache-first, everything else network-first.
+// The cache is named after the build the worker was registered for, so older
+// builds' chunks go when it activates. Shared images wait in their own cache.
+
+const BUILD_ID = new URL(self.location.href).searchParams.get("build");
+const CACHE_NAME = `convert-that-image-${BUILD_ID}`;
+const SHARE_CACHE_NAME = "convert-that-image-shared";
+const SHELL = [
+  "/",
+  "/manifest.webmanifest",
+  "/favicon.ico",
+  "/icons/icon-192.png",
+  "/icons/icon-512.png",
+  "/icons/icon-maskable-512.png",
+];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(CACHE_NAME)
+      .then((cache) => cache.addAll(SHELL))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((names) =>
+        Promise.all(
+          names
+            .filter((name) => name !== CACHE_NAME && name !== SHARE_CACHE_NAME)
+            .map((name) => caches.delete(name))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+const isCacheable = (response) => response.ok && response.type === "basic";
+
+const cacheFirst = async (request) => {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (isCacheable(response)) {
+    const cache = await caches.open(CACHE_NAME);
+    await cache.put(request, response.clone());
+  }
+  return response;
+};
+
+// Navigations may carry a query (?shared), but there's only one page.
+const networkFirst = async (request) => {
+  try {
+    const response = await fetch(request);
+    if (isCacheable(response)) {
+      const cache = await caches.open(CACHE_NAME);
+      await cache.put(
+        request.mode === "navigate" ? "/" : request,
+        response.clone()
+      );
+    }
+    return response;
+  } catch (error) {
+    const cached = await caches.match(
+      request.mode === "navigate" ? "/" : request
+    );
+    if (cached) return cached;
+    throw error;
+  }
+};
+
+// Each file becomes one cache entry; the name travels in a header.
+const receiveShare = async (request) => {
+  const formData = await request.formData();
+  const files = formData
+    .getAll("images")
+    .filter((file) => file instanceof File);
+  const cache = await caches.open(SHARE_CACHE_NAME);
+  const stamp = Date.now();
+  await Promise.all(
+    files.map((file, index) =>
+      cache.put(
+        `/shared/${stamp}-${index}`,
+        new Response(file, {
+          headers: {
+            "Content-Type": file.type,
+            "X-File-Name": encodeURIComponent(file.name),
+          },
+        })
+      )
+    )
+  );
+  return Response.redirect("/?shared", 303);
+};
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+
+  if (request.method === "POST" && url.pathname === "/share-target") {
+    event.respondWith(receiveShare(request));
+    return;
+  }
+  if (request.method !== "GET") return;
+
+  event.respondWith(
+    url.pathname.startsWith("/_next/static/")
+      ? cacheFirst(request)
+      : networkFirst(request)
+  );
+});
+
+self.addEventListener("message", (event) => {
+  if (event.data?.type !== "cache-urls") return;
+  event.waitUntil(
+    caches.open(CACHE_NAME).then((cache) =>
+      Promise.allSettled(
+        event.data.urls.map(async (url) => {
+          if (!(await cache.match(url))) await cache.add(url);
+        })
+      )
+    )
+  );
+});